@@ -4,11 +4,111 @@ const path = require('path');
  * Configuración general y rutas de archivos.
  */
 
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const escuela = process.env.ESCUELA || 'ijcv';
+
+/**
+ * Lee la fuente de datos de un año desde FUENTE_<año>, con el formato
+ * "tipo:destino": url:https://..., archivo:./cuentas.xlsx o json:./libro.json.
+ * @param {number} anio - Año escolar.
+ * @returns {Object|null} Fuente o null si la variable no está definida.
+ */
+function fuenteDesdeEntorno(anio) {
+  const valor = process.env[`FUENTE_${anio}`];
+  if (!valor) return null;
+  const separador = valor.indexOf(':');
+  const tipo = valor.slice(0, separador);
+  const destino = valor.slice(separador + 1);
+  return tipo === 'url' ? { tipo, url: destino } : { tipo, ruta: path.resolve(destino) };
+}
+
 module.exports = {
-  excelFilePath: '/datos_estudiantes.xlsx',
-  relacionesFilePath: 'relaciones.xlsx',
-  encargadosFilePath: path.join(__dirname, '..', 'encargados.json'),
-  dataDir: path.join(__dirname, '..', 'data'),
+  relacionesFilePath: process.env.RELACIONES_FILE || 'relaciones.xlsx',
+  credencialesFilePath: process.env.CREDENCIALES_FILE || path.join(dataDir, 'credenciales.json'),
+  encargadosFilePath: process.env.ENCARGADOS_FILE || path.join(__dirname, '..', 'encargados.json'),
+  plantillasFilePath: process.env.PLANTILLAS_FILE || path.join(dataDir, 'plantillas.json'),
+  auditoriaFilePath: process.env.AUDITORIA_FILE || path.join(dataDir, 'auditoria.jsonl'),
+  dataDir,
+  estado: {
+    // 'archivo' persiste en dataDir/estado y sobrevive reinicios; 'memoria' no
+    backend: process.env.ESTADO_BACKEND || 'archivo',
+    directorio: path.join(dataDir, 'estado'),
+    expiracionMs: 10 * 60 * 1000, // 10 minutos
+    intervaloLimpiezaMs: 60 * 1000
+  },
+  cacheLibros: {
+    directorio: path.join(dataDir, 'cache'), // última copia buena para arranques en frío
+    refrescoMs: 60 * 60 * 1000, // 60 minutos
+    reintentoMs: 5 * 60 * 1000 // espera tras un refresco fallido
+  },
+  zonaHoraria: 'America/Tegucigalpa',
+  recordatorios: {
+    activo: process.env.RECORDATORIOS !== 'off',
+    horaEjecucion: 8, // hora local a partir de la cual se envían los del día
+    intervaloRevisionMs: 60 * 60 * 1000, // cada hora se envía lo que haya quedado pendiente
+    diasAntes: 3, // aviso previo: días antes del vencimiento
+    horasSilencio: { inicio: 20, fin: 7 }, // sin envíos de 8 PM a 7 AM
+    maxPorEjecucion: 50, // el resto se envía en la siguiente revisión
+    esperaEntreEnviosMs: 5 * 1000,
+    // Una plantilla por idioma de los encargados (ver idiomas)
+    plantillas: {
+      es: {
+        previo: '🔔 *RECORDATORIO DE PAGO*\n\nLa cuota de *{meses}* de *{nombre}* por L.{monto} vence el *{vence}*.\n\n' +
+          'Si ya realizó el pago puede enviarnos el comprobante con la opción 7️⃣ del menú.',
+        vencido: '⚠️ *PAGO VENCIDO*\n\n*{nombre}* tiene pendiente: *{meses}* por L.{monto}.\n{mora}\n\n' +
+          'Escriba *menú* y elija la opción 2️⃣ para ver el detalle o 7️⃣ para enviar su comprobante.'
+      },
+      en: {
+        previo: '🔔 *PAYMENT REMINDER*\n\nThe *{meses}* fee for *{nombre}* of L.{monto} is due on *{vence}*.\n\n' +
+          'If you already paid you can send us the receipt with option 7️⃣ of the menu.',
+        vencido: '⚠️ *PAYMENT OVERDUE*\n\n*{nombre}* has pending: *{meses}* for L.{monto}.\n{mora}\n\n' +
+          'Type *menu* and choose option 2️⃣ to see the details or 7️⃣ to send your receipt.'
+      }
+    }
+  },
+  broadcasts: {
+    directorio: path.join(dataDir, 'broadcasts'), // cola de trabajos y media de cada broadcast
+    esperaMinMs: 1000, // espera aleatoria entre envíos
+    esperaMaxMs: 15 * 1000,
+    maxIntentos: 3, // intentos por destinatario antes de darlo por fallido
+    esperaReintentoMs: 5 * 60 * 1000
+  },
+  comprobantes: {
+    directorio: path.join(dataDir, 'comprobantes'), // archivos recibidos y cola de revisión
+    tamanoMaximoBytes: 10 * 1024 * 1024, // 10 MB
+    tiposPermitidos: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+  },
+  documentos: {
+    // Clave HMAC de los tokens de solvencia; sin ella se genera una y se
+    // guarda en el estado (cambiarla invalida las solvencias ya emitidas)
+    secreto: process.env.DOCUMENTOS_SECRETO || null,
+    // Dirección pública de la página de verificación a la que apunta el QR
+    // (p. ej. https://bot.escuela.edu.hn/verificar); sin ella el QR lleva sólo el token
+    urlVerificacion: process.env.DOCUMENTOS_URL_VERIFICACION || null,
+    // Puerto del servidor de verificación (GET /verificar?token=…); sin puerto no se inicia
+    puertoVerificacion: Number(process.env.DOCUMENTOS_PUERTO) || null,
+    vigenciaSolvenciaDias: 30
+  },
+  menus: {
+    // Menús y listas de alumnos como botones/listas de WhatsApp; con 'off'
+    // (o en transportes que no los soportan) se envían como texto numerado
+    interactivos: process.env.MENUS_INTERACTIVOS !== 'off'
+  },
+  soporte: {
+    directorio: path.join(dataDir, 'soporte'), // tickets de atención y turnos del personal
+    inactividadMs: 30 * 60 * 1000, // sin mensajes de ninguna de las partes, el ticket se cierra
+    intervaloRevisionMs: 60 * 1000
+  },
+  pines: {
+    digitos: 6 // longitud de los PIN generados por administración
+  },
+  seguridadPin: {
+    maxIntentos: 5, // fallos antes del bloqueo temporal
+    esperaBaseMs: 15 * 1000, // espera tras el primer fallo; se duplica con cada fallo
+    bloqueoMs: 60 * 60 * 1000, // 1 hora
+    ventanaMs: 24 * 60 * 60 * 1000, // los fallos más antiguos dejan de contar
+    umbralAlertaAdmin: 3 // fallos a partir de los cuales se notifica a los administradores
+  },
   infoEscuela: {
     nombre: "Instituto Jose Cecilio Del Valle",
     direccion: "https://acortar.link/ijUbNm",
@@ -19,15 +119,41 @@ module.exports = {
     bac: "730043231",
     occidente: "11-402-004148-5",
   },
-  columnas: {
-    NOMBRE: 'A',
-    GRADO: 'B',
-    ID: 'F',
-    MESES: {
-      ENERO: 'W', FEBRERO: 'X', MARZO: 'Y', ABRIL: 'Z',
-      MAYO: 'AA', JUNIO: 'AB', JULIO: 'AC', AGOSTO: 'AD',
-      SEPTIEMBRE: 'AE', OCTUBRE: 'AF', NOVIEMBRE: 'AG', DICIEMBRE: 'AH'
+  // Año escolar que se consulta por defecto
+  anioActual: Number(process.env.ANIO_ESCOLAR) || 2025,
+  // Fuente del libro de cuentas de cada año escolar (ver services/dataSources);
+  // un año sin fuente no está disponible
+  anios: {
+    2024: {
+      fuente: fuenteDesdeEntorno(2024)
     },
-    TOTAL_PAGAR: 'N'
-  }
+    2025: {
+      fuente: fuenteDesdeEntorno(2025) || {
+        tipo: 'url',
+        url: 'https://www.dropbox.com/scl/fi/be1f5zgppiijqvsus0qor/CUENTAS-A-O-2025-IJCV.xlsx?rlkey=zriuxv8yk3l7ho4ky6vz85jbg&e=2&st=c6tuewcy&dl=1'
+      }
+    }
+  },
+  esquemas: require('./schemas'),
+  // Idiomas de los mensajes a encargados (config/mensajes/<idioma>.js)
+  idiomas: {
+    predeterminado: 'es',
+    catalogos: {
+      es: require('./mensajes/es'),
+      en: require('./mensajes/en')
+    }
+  },
+  // Roles del personal y sus permisos (config/roles.js)
+  roles: require('./roles'),
+  // Texto libre en el menú principal (config/intents.js): con confianza
+  // desde umbralEjecutar se ejecuta la opción; desde umbralSugerir sólo se
+  // sugiere; por debajo se muestra el menú
+  intenciones: {
+    vocabulario: require('./intents'),
+    umbralEjecutar: 0.6,
+    umbralSugerir: 0.35
+  },
+  // Reglas de cobro de la escuela (config/feeRules.js)
+  escuela,
+  reglasCobro: require('./feeRules')[escuela]
 };
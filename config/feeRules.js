@@ -0,0 +1,41 @@
+/**
+ * Reglas de cobro por escuela y plan de pago.
+ *
+ * `base` aplica a todos los planes; cada entrada de `planes` (por número
+ * de plan de pago de la hoja) sobrescribe sólo lo que cambia.
+ *
+ *   mesesFacturables       Meses (1-12) en que se cobra cuota.
+ *   diaVencimiento         Día en que vence la cuota.
+ *   vencimientoMesSiguiente True: vence en el mes siguiente al cobrado
+ *                          (la cuota de enero vence en febrero).
+ *   diasGracia             Días después del vencimiento sin mora.
+ *   mora                   { tipo: 'porcentaje' | 'fijo', valor } por mes vencido.
+ *   moraMaximaMes          Tope de mora por mes (null = sin tope).
+ *   moraMaximaTotal        Tope de mora acumulada (null = sin tope).
+ *   umbralPagoParcial      Fracción de la cuota a partir de la cual un
+ *                          monto cuenta como mes pagado (1 = cuota completa).
+ *   notasExoneracion       Textos que, escritos en la celda de un mes,
+ *                          lo marcan como exonerado (sin cuota ni mora).
+ */
+
+const mesesDel = (inicio, fin) => Array.from({ length: fin - inicio + 1 }, (_, i) => inicio + i);
+
+module.exports = {
+  ijcv: {
+    base: {
+      mesesFacturables: mesesDel(1, 12),
+      diaVencimiento: 1,
+      vencimientoMesSiguiente: true,
+      diasGracia: 10,
+      mora: { tipo: 'porcentaje', valor: 5 },
+      moraMaximaMes: null,
+      moraMaximaTotal: null,
+      umbralPagoParcial: 1,
+      notasExoneracion: ['BECA', 'EXONERADO', 'EXONERADA']
+    },
+    planes: {
+      10: { mesesFacturables: mesesDel(2, 11) }, // febrero a noviembre
+      12: { mesesFacturables: mesesDel(1, 12) }
+    }
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Vocabulario del clasificador de intenciones del menú principal
+ * (services/intentService.js). Todo se escribe en minúsculas y sin tildes.
+ *
+ *   ignorar      Palabras sin peso (artículos, saludos, cortesías).
+ *   sinonimos    Palabra → forma canónica, aplicado después de corregir
+ *                errores de escritura; así las tablas de cada intención
+ *                sólo listan la forma canónica.
+ *   intenciones  Por intención: `opcion` del menú que ejecuta, `palabras`
+ *                (palabra → peso) y `frases` (frase de varias palabras →
+ *                peso). El nombre que se muestra al sugerirla está en los
+ *                catálogos de mensajes (intencion.*). Las frases se
+ *                comparan con el texto ya sin palabras ignoradas y con los
+ *                sinónimos aplicados, así que se escriben en forma canónica
+ *                ("¿dónde pago?" → 'ubicacion pago').
+ *
+ * Un peso de 3 o más basta por sí solo para ejecutar la opción; palabras
+ * ambiguas ("cuenta", "pago") llevan pesos bajos y se deciden por el resto
+ * de la frase.
+ *
+ * Las palabras en inglés más comunes se llevan a la misma forma canónica
+ * en español, para los encargados que escriben en inglés.
+ */
+
+module.exports = {
+  ignorar: [
+    'a', 'al', 'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'en', 'y', 'o',
+    'que', 'me', 'mi', 'mis', 'su', 'sus', 'se', 'le', 'lo', 'por', 'para', 'con', 'es', 'son',
+    'hola', 'buenas', 'buenos', 'dias', 'tardes', 'noches', 'favor', 'porfa', 'porfavor', 'gracias',
+    'quisiera', 'quiero', 'necesito', 'deseo', 'puedo', 'podria', 'como', 'hacer', 'saber', 'ver',
+    'ayuda', 'ayudeme', 'seria', 'tan', 'amable', 'usted', 'ustedes', 'este', 'esta', 'ese', 'esa',
+    // inglés
+    'the', 'an', 'is', 'are', 'my', 'i', 'to', 'of', 'for', 'and', 'or', 'in', 'on', 'it', 'do', 'does',
+    'can', 'what', 'how', 'you', 'your', 'hi', 'hello', 'hey', 'good', 'morning', 'afternoon', 'evening',
+    'please', 'thanks', 'thank', 'want', 'need', 'would', 'like', 'know', 'see', 'help', 'with', 'this'
+  ],
+  sinonimos: {
+    // alumnos
+    hijo: 'alumno', hija: 'alumno', hijos: 'alumno', hijas: 'alumno', alumna: 'alumno',
+    alumnos: 'alumno', alumnas: 'alumno', estudiante: 'alumno', estudiantes: 'alumno',
+    nino: 'alumno', nina: 'alumno', ninos: 'alumno', ninas: 'alumno', nieto: 'alumno', nieta: 'alumno',
+    // pagos y deuda
+    pagos: 'pago', pagado: 'pago', pagar: 'pago', pagamos: 'pago',
+    debo: 'deber', debe: 'deber', debemos: 'deber', deuda: 'deber', deudas: 'deber', adeudo: 'deber',
+    adeuda: 'deber', pendiente: 'deber', pendientes: 'deber', atrasado: 'deber', atrasada: 'deber',
+    mensualidad: 'cuota', mensualidades: 'cuota', colegiatura: 'cuota', cuotas: 'cuota', mora: 'cuota',
+    saldos: 'saldo', balance: 'saldo', cuantos: 'cuanto', cuantas: 'cuanto',
+    consultar: 'estado', revisar: 'estado',
+    // registro
+    registrar: 'registro', registrarme: 'registro', inscribir: 'registro', inscribirme: 'registro',
+    inscripcion: 'registro', afiliar: 'registro', vincular: 'registro', agregar: 'registro',
+    anadir: 'registro', registre: 'registro', agrego: 'registro', registrarlo: 'registro', registrarla: 'registro',
+    // desvincular
+    eliminar: 'quitar', borrar: 'quitar', remover: 'quitar', desvincular: 'quitar', sacar: 'quitar',
+    elimine: 'quitar', borre: 'quitar', quite: 'quitar', desafiliar: 'quitar',
+    // información
+    direccion: 'ubicacion', donde: 'ubicacion', queda: 'ubicacion', ubicados: 'ubicacion',
+    horarios: 'horario', hora: 'horario', abren: 'horario', atienden: 'horario', cierran: 'horario',
+    bancaria: 'banco', bancarias: 'banco', bancos: 'banco', bac: 'banco', occidente: 'banco',
+    depositar: 'deposito', depositos: 'deposito', transferencia: 'deposito', transferir: 'deposito',
+    correo: 'email', mail: 'email', pagina: 'web', sitio: 'web', celular: 'telefono', tel: 'telefono',
+    informacion: 'info', informes: 'info', datos: 'info',
+    // contacto
+    contactar: 'contacto', comunicarme: 'contacto', hablar: 'contacto', llamar: 'contacto',
+    secretaria: 'administracion', oficina: 'administracion', contabilidad: 'administracion',
+    persona: 'agente', humano: 'agente', asesor: 'agente', alguien: 'agente',
+    queja: 'reclamo', problema: 'reclamo', duda: 'reclamo', consulta: 'reclamo',
+    // reportar pago
+    recibo: 'comprobante', voucher: 'comprobante', boucher: 'comprobante', baucher: 'comprobante',
+    foto: 'comprobante', captura: 'comprobante',
+    enviar: 'reportar', mandar: 'reportar', adjuntar: 'reportar', subir: 'reportar',
+    // inglés
+    child: 'alumno', children: 'alumno', son: 'alumno', daughter: 'alumno', kid: 'alumno', kids: 'alumno',
+    student: 'alumno', students: 'alumno',
+    pay: 'pago', payment: 'pago', payments: 'pago', paid: 'pague', already: 'ya',
+    owe: 'deber', debt: 'deber', due: 'deber', overdue: 'deber', much: 'cuanto',
+    fee: 'cuota', fees: 'cuota', tuition: 'cuota', status: 'estado', check: 'estado',
+    register: 'registro', enroll: 'registro', add: 'registro', link: 'registro', new: 'nuevo',
+    remove: 'quitar', delete: 'quitar', unlink: 'quitar',
+    address: 'ubicacion', where: 'ubicacion', location: 'ubicacion', hours: 'horario', schedule: 'horario',
+    bank: 'banco', account: 'cuenta', deposit: 'deposito', transfer: 'deposito', number: 'numero',
+    information: 'info', phone: 'telefono', website: 'web', school: 'escuela',
+    contact: 'contacto', talk: 'contacto', call: 'contacto', office: 'administracion', staff: 'administracion',
+    complaint: 'reclamo', receipt: 'comprobante', proof: 'comprobante', photo: 'comprobante',
+    send: 'reportar', upload: 'reportar', report: 'reportar'
+  },
+  intenciones: {
+    registro: {
+      opcion: '1',
+      palabras: { registro: 3, nuevo: 1, otro: 0.5, alumno: 0.5 },
+      frases: { 'registro alumno': 1, 'registro otro': 1 }
+    },
+    pagos: {
+      opcion: '2',
+      palabras: { deber: 3, saldo: 3, cuota: 2, pago: 1.5, cuanto: 1, estado: 1, alumno: 0.5, cuenta: 0.5 },
+      frases: {
+        'estado cuenta': 3, 'cuanto deber': 1, 'estado pago': 2, 'meses deber': 1,
+        'cuanto falta': 3, 'cuanto pago': 1
+      }
+    },
+    info: {
+      opcion: '3',
+      palabras: {
+        info: 3, ubicacion: 3, horario: 3, banco: 3, deposito: 2.5, email: 3, web: 3,
+        telefono: 1.5, escuela: 1, colegio: 1, instituto: 1, cuenta: 1, numero: 0.5
+      },
+      frases: { 'numero cuenta': 3, 'cuenta banco': 2, 'banco cuenta': 2, 'ubicacion pago': 3, 'ubicacion deposito': 1 }
+    },
+    contacto: {
+      opcion: '4',
+      palabras: { contacto: 3, administracion: 3, agente: 2.5, reclamo: 2, atencion: 2, telefono: 1 },
+      frases: { 'atencion cliente': 1 }
+    },
+    eliminar: {
+      opcion: '5',
+      palabras: { quitar: 3, retiro: 2, alumno: 0.5 },
+      frases: { 'ya no estudia': 3, 'quitar alumno': 1 }
+    },
+    reportar: {
+      opcion: '7',
+      palabras: { comprobante: 3, pague: 3, reportar: 1.5, pago: 0.5, deposito: 0.5 },
+      frases: { 'ya pague': 2, 'ya pago': 3, 'reportar pago': 2, 'hice pago': 3, 'hice deposito': 4, 'pago comprobante': 1 }
+    }
+  }
+};
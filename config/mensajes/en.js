@@ -0,0 +1,202 @@
+/**
+ * Catálogo de mensajes en inglés. Mismas claves que config/mensajes/es.js;
+ * lo que falte aquí se muestra en español.
+ */
+
+module.exports = {
+  // Saludo e idioma
+  'saludo': '🐺 Hi! I am Chilo the wolf, the virtual assistant of Instituto José Cecilio del Valle.\n' +
+    'I am here to help you. How can I assist you today? 📚✨',
+  'idioma.nombre': 'English',
+  'idioma.cambiado': '🌐 Done, we will assist you in English.',
+
+  // Menú principal
+  'menu.titulo': '🏫 *WELCOME TO THE SCHOOL SYSTEM*',
+  'menu.alumnos': {
+    one: '👨‍👩‍👧‍👦 You have {cantidad} registered student',
+    other: '👨‍👩‍👧‍👦 You have {cantidad} registered students'
+  },
+  'menu.seleccione': 'Choose an option:',
+  'menu.pie': 'Reply with the option number or type what you need.',
+  'menu.boton': 'See options',
+  'menu.pieInteractivo': 'You can also reply with the option number.',
+  'menu.1.titulo': 'Register student',
+  'menu.1.descripcion': 'Link a student to your number',
+  'menu.1.texto': '1️⃣ *Register* a new student',
+  'menu.2.titulo': 'Check payments',
+  'menu.2.descripcion': 'Payment status of your students',
+  'menu.2.texto': '2️⃣ *Check* payment status',
+  'menu.3.titulo': 'Information',
+  'menu.3.descripcion': 'Address, hours and bank accounts',
+  'menu.3.texto': '3️⃣ School *information*',
+  'menu.4.titulo': 'Contact',
+  'menu.4.descripcion': 'Talk to the school office',
+  'menu.4.texto': '4️⃣ *Contact* the school office',
+  'menu.5.titulo': 'Remove student',
+  'menu.5.descripcion': 'Remove a student from your account',
+  'menu.5.texto': '5️⃣ *Remove* a student from my account',
+  'menu.7.titulo': 'Report payment',
+  'menu.7.descripcion': 'Send the receipt of a payment',
+  'menu.7.texto': '7️⃣ *Report* a payment (send receipt)',
+  'menu.8.titulo': 'Español',
+  'menu.8.descripcion': 'Cambiar a español',
+  'menu.8.texto': '8️⃣ 🌐 *Español*',
+  'menu.opcionInvalida': '❓ Invalid option. Please choose an option from the menu.',
+  'menu.noDisponible': '❌ Invalid option.',
+  'menu.sinAlumnos': '❌ You have no registered students. Choose option 1️⃣ to register a student.',
+
+  // Sugerencia del clasificador de intenciones
+  'intencion.registro': 'Register a student',
+  'intencion.pagos': 'Check payment status',
+  'intencion.info': 'School information',
+  'intencion.contacto': 'Contact the school office',
+  'intencion.eliminar': 'Remove a student',
+  'intencion.reportar': 'Report a payment',
+  'intencion.sugerencia': '🤔 Did you mean *{nombre}*?',
+  'intencion.si': 'Yes',
+  'intencion.siTexto': 'Reply *{opcion}* to continue',
+  'intencion.menu': 'See menu',
+  'intencion.menuTexto': 'or type *menu* to see all the options.',
+
+  // Listas de alumnos
+  'lista.boton': 'See students',
+  'lista.opcionInvalida': '❌ Invalid option. Please choose a number from the list.',
+  'alumno.noEncontrado': '❌ No information was found for the student. Please contact the school office.',
+  'alumno.seleccionadoNoEncontrado': '❌ No information was found for the selected student. Please contact the school office.',
+
+  // Información de la escuela y contacto
+  'info.mensaje': '📚 *SCHOOL INFORMATION*\n\n' +
+    '*{nombre}*\n\n' +
+    '📍 *Address:* {direccion}\n' +
+    '📞 *Phone:* {telefono}\n' +
+    '📧 *Email:* {email}\n' +
+    '⏰ *Hours:* {horario}\n' +
+    '🌐 *Website:* {sitioWeb}\n\n' +
+    '🏦 *Bank accounts:*\n' +
+    '⚪ *BAC:* {bac}\n' +
+    '⚪ *Occidente:* {occidente}\n' +
+    'Type *menu* to go back to the main menu.',
+  'contacto.mensaje': '📞 *CONTACT THE SCHOOL OFFICE*\n\n' +
+    'For administrative questions you can reach us at:\n' +
+    '📱 *WhatsApp:* {telefono}\n' +
+    '📧 *Email:* {email}\n\n' +
+    '⏰ *Office hours:*\n' +
+    '{horario}\n\n' +
+    'Type *menu* to go back to the main menu.',
+
+  // Registro de alumnos
+  'registro.pedirId': '📝 *STUDENT REGISTRATION*\n\nPlease enter the student\'s ID number (13 digits):',
+  'registro.encontrado': '✅ *Student found:* {nombre}\n\nNow enter the authorization PIN:',
+  'registro.idNoRegistrado': '❌ That ID number is not registered in the system. Please check it and try again.',
+  'registro.formatoId': '❌ Wrong format. The ID number must have 13 digits.\n\n' +
+    'Try again or type *menu* to go back to the main menu.',
+  'registro.bloqueado': '🔒 For security, registration is temporarily locked after too many failed attempts. ' +
+    'Try again later or contact the school office.',
+  'registro.esperar': {
+    one: '⏳ For security you must wait {cantidad} second before entering another PIN.',
+    other: '⏳ For security you must wait {cantidad} seconds before entering another PIN.'
+  },
+  'registro.exito': '✅ *REGISTRATION COMPLETE*\n\nThe student *{nombre}* is now linked to your number.\n\n' +
+    'You can check their payment status from the main menu.',
+  'registro.bloqueadoPorFallos': '🔒 Too many failed attempts. For security, registration is temporarily locked. ' +
+    'Contact the school office if you need help.',
+  'registro.pinIncorrecto': '❌ Wrong PIN. Please check it and try again, or type *menu* to go back to the main menu.',
+
+  // Estado de pagos
+  'pagos.seleccione': '👨‍👩‍👧‍👦 *CHOOSE A STUDENT ({anio})*',
+  'pagos.seleccionePie': 'Reply with the student\'s number to see their payment status.',
+  'pagos.sinInformacion': '❌ No information was found for your students in {anio}. Please contact the school office.',
+  'pagos.anioNoDisponible': '❌ There is no information for {anio}. Available years: {anios}.',
+  'pagos.titulo': '📊 *PAYMENT STATUS {anio} - {nombre}*',
+  'pagos.grado': '🏫 Grade: {grado}',
+  'pagos.mes.pagado': 'L.{pagado} ✅ Paid',
+  'pagos.mes.excedente': 'L.{pagado} ✅ Paid (L.{credito} overpaid, in your favor)',
+  'pagos.mes.parcial': 'L.{pagado} ⚠️ Partial payment, L.{saldo} left{aplicado}',
+  'pagos.mes.cubierto': '✅ Covered by credit{aplicado}',
+  'pagos.mes.exonerado': '🎓 Waived ({nota})',
+  'pagos.mes.nota': '✅ {nota}',
+  'pagos.mes.pendiente': '❌ Pending{aplicado}',
+  'pagos.mes.creditoAplicado': ' (L.{monto} credit applied)',
+  'pagos.cuota': '💵 Monthly fee: L.{monto}',
+  'pagos.mesesPendientes': '📅 Pending months: {cantidad}',
+  'pagos.saldoAFavor': '💚 Credit in your favor: L.{monto}',
+  'pagos.arrastre': '📌 Pending balance {anio} ({meses}): L.{monto}',
+  'pagos.alDia': '✅ *PAYMENTS UP TO DATE*',
+  'pagos.deuda': '❌ *TUITION DUE: L.{mensualidad}*\n❌ *LATE FEES DUE: L.{mora}*\n❌ *TOTAL DUE: L.{total}*',
+  'pagos.actualizado': '🕒 Data updated at {fecha}.',
+  'pagos.otrosAnios': '🗓️ To check another year type *payments <year>* ({anios}).',
+  'pagos.pdf': '📄 Type *pdf* to get this account statement as a PDF document.',
+  'pagos.solvencia': '🎓 Since payments are up to date, you can also type *solvency* to get a solvency certificate.',
+  'fecha.horaDia': '{hora} on {dia}',
+
+  // Documentos PDF
+  'documento.consulteAntes': '📄 First check the student\'s payment status (option 2️⃣) and then type *pdf*.',
+  'documento.estadoCuenta': '📄 Account statement {anio} for *{nombre}*.\nVerification code: {codigo}',
+  'documento.solvencia': '🎓 Solvency certificate {anio} for *{nombre}*, valid until {vence}.\n' +
+    'Whoever receives it can verify it with the QR code. Verification code: {codigo}',
+  'documento.solvenciaConDeuda': '❌ The solvency certificate cannot be issued: *{nombre}* has L.{total} due. ' +
+    'Once payments are up to date you can request it by typing *solvency*.',
+
+  // Eliminar alumno
+  'eliminar.titulo': '🗑️ *REMOVE STUDENT*',
+  'eliminar.pie': 'Reply with the number of the student you want to remove from your account.',
+  'eliminar.sinAlumnos': '❌ You have no registered students to remove.',
+  'eliminar.exito': '✅ The student *{nombre}* was removed from your account.',
+  'eliminar.error': '❌ The student could not be removed. Please contact the school office.',
+
+  // Reporte de pagos y comprobantes
+  'reporte.titulo': '🧾 *REPORT A PAYMENT*',
+  'reporte.pie': 'Reply with the number of the student the payment is for.',
+  'reporte.meses': '🧾 *REPORT A PAYMENT - {nombre}*',
+  'reporte.mesesPie': '❌ = pending month\n\nReply with the number of the month you paid.',
+  'reporte.pedirArchivo': '📎 Send the *photo* or *PDF* of the deposit receipt for *{mes}*.\n\nType *menu* to cancel.',
+  'reporte.faltaArchivo': '📎 To continue send the photo or PDF of the receipt, or type *menu* to cancel.',
+  'reporte.tipoInvalido': '❌ Only photos (JPG, PNG) or PDF files are accepted. Send the receipt again or type *menu* to cancel.',
+  'reporte.muyGrande': '❌ The file is larger than {limite} MB. Send a smaller photo or PDF.',
+  'reporte.noRecibido': '❌ The file could not be received (empty or larger than {limite} MB). Please try sending it again.',
+  'reporte.recibido': '✅ *RECEIPT RECEIVED*\n\nYour receipt #{numero} for *{mes}* is under review. ' +
+    'We will let you know here when the school office reviews it.',
+  'comprobante.aprobado': '✅ *PAYMENT CONFIRMED*\n\nYour receipt #{numero} for *{mes}* for *{nombre}* was approved. ' +
+    'The payment will show in the account statement once the school office updates its records.',
+  'comprobante.rechazado': '❌ *RECEIPT REJECTED*\n\nYour receipt #{numero} for *{mes}* for *{nombre}* was not accepted.',
+  'comprobante.motivo': 'Reason: {motivo}',
+  'comprobante.rechazadoPie': 'You can send a new receipt with option 7️⃣ of the menu or contact the school office.',
+
+  // Recordatorios
+  'recordatorios.desactivados': '🔕 You will no longer receive payment reminders. To receive them again type *reminders on*.',
+  'recordatorios.activados': '🔔 You will receive payment reminders again.',
+  'recordatorios.incluyeMora': 'Includes L.{monto} in late fees.',
+  'recordatorios.moraDesde': 'Late fees apply from {fecha}.',
+  'recordatorios.pie': 'To stop receiving reminders type *reminders off*.',
+
+  // Atención de administración (tickets)
+  'ticket.abierto': '🎧 *SCHOOL OFFICE SUPPORT*\n\nYour request was registered as ticket *#{numero}*. ' +
+    'Write your message here (you can also send photos or documents) and a staff member will reply in this chat.\n\n' +
+    '⏰ Office hours: {horario}\n\nType *close* to end the conversation.',
+  'ticket.cerrar': 'close',
+  'ticket.cerrado': '✅ Conversation closed (ticket #{numero}). Thank you for contacting us!',
+  'ticket.cerradoPorAdministracion': '✅ The school office closed the conversation (ticket #{numero}). ' +
+    'Thank you for contacting us!\n\nType *menu* to see the options.',
+  'ticket.errorEntrega': '⚠️ We could not deliver your message to the school office. Please try again in a few minutes.',
+  'ticket.respuesta': '👩‍💼 *School office:*',
+  'ticket.inactividad': '⌛ The conversation with the school office (ticket #{numero}) was closed due to inactivity.\n\n' +
+    'Type *menu* to see the options.',
+
+  // Errores generales
+  'error.servicioNoDisponible': '⚠️ Account information is not available right now. ' +
+    'Please try again later or contact the school office.',
+
+  // Meses (clave: nombre del mes en la hoja)
+  'mes.enero': 'January',
+  'mes.febrero': 'February',
+  'mes.marzo': 'March',
+  'mes.abril': 'April',
+  'mes.mayo': 'May',
+  'mes.junio': 'June',
+  'mes.julio': 'July',
+  'mes.agosto': 'August',
+  'mes.septiembre': 'September',
+  'mes.octubre': 'October',
+  'mes.noviembre': 'November',
+  'mes.diciembre': 'December'
+};
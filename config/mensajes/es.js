@@ -0,0 +1,212 @@
+/**
+ * Catálogo de mensajes en español (idioma predeterminado).
+ *
+ * Claves planas con puntos por área. Los valores usan los campos {campo}
+ * de templateService; un valor { one, other } se elige según el campo
+ * `cantidad` con las reglas de plural del idioma. Una clave que falte en
+ * otro catálogo se toma de éste.
+ *
+ * Sólo incluye los mensajes para encargados; los comandos y avisos del
+ * personal se mantienen en español en el código.
+ */
+
+module.exports = {
+  // Saludo e idioma
+  'saludo': '🐺 ¡Hola! Soy Chilo el lobo asistente virtual del Instituto José Cecilio del Valle.\n' +
+    'Estoy aquí para ayudarte. ¿En qué puedo asistirte hoy? 📚✨.',
+  'idioma.nombre': 'Español',
+  'idioma.cambiado': '🌐 Listo, le atenderemos en español.',
+
+  // Menú principal
+  'menu.titulo': '🏫 *BIENVENIDO AL SISTEMA ESCOLAR*',
+  'menu.alumnos': {
+    one: '👨‍👩‍👧‍👦 Tiene {cantidad} alumno registrado',
+    other: '👨‍👩‍👧‍👦 Tiene {cantidad} alumnos registrados'
+  },
+  'menu.seleccione': 'Seleccione una opción:',
+  'menu.pie': 'Responda con el número de la opción deseada o escriba lo que necesita (p. ej. "cuánto debo").',
+  'menu.boton': 'Ver opciones',
+  'menu.pieInteractivo': 'También puede responder con el número de la opción.',
+  'menu.1.titulo': 'Registrar alumno',
+  'menu.1.descripcion': 'Vincular un alumno a su número',
+  'menu.1.texto': '1️⃣ *Registrar* nuevo alumno',
+  'menu.2.titulo': 'Consultar pagos',
+  'menu.2.descripcion': 'Estado de pagos de sus alumnos',
+  'menu.2.texto': '2️⃣ *Consultar* estado de pagos',
+  'menu.3.titulo': 'Información',
+  'menu.3.descripcion': 'Dirección, horario y cuentas bancarias',
+  'menu.3.texto': '3️⃣ *Información* de la escuela',
+  'menu.4.titulo': 'Contactar',
+  'menu.4.descripcion': 'Hablar con administración',
+  'menu.4.texto': '4️⃣ *Contactar* administración',
+  'menu.5.titulo': 'Eliminar alumno',
+  'menu.5.descripcion': 'Quitar un alumno de su cuenta',
+  'menu.5.texto': '5️⃣ *Eliminar* alumno de mi cuenta',
+  'menu.6.titulo': 'Broadcast Admin',
+  'menu.6.descripcion': 'Enviar un mensaje a los encargados',
+  'menu.6.texto': '6️⃣ *Broadcast Admin*',
+  'menu.7.titulo': 'Reportar pago',
+  'menu.7.descripcion': 'Enviar el comprobante de un pago',
+  'menu.7.texto': '7️⃣ *Reportar* pago (enviar comprobante)',
+  'menu.8.titulo': 'English',
+  'menu.8.descripcion': 'Switch to English',
+  'menu.8.texto': '8️⃣ 🌐 *English*',
+  'menu.opcionInvalida': '❓ Opción no válida. Por favor seleccione una opción del menú.',
+  'menu.noDisponible': '❌ Opción no válida.',
+  'menu.sinAlumnos': '❌ No tiene alumnos registrados. Seleccione la opción 1️⃣ para registrar un alumno.',
+
+  // Sugerencia del clasificador de intenciones
+  'intencion.registro': 'Registrar alumno',
+  'intencion.pagos': 'Consultar estado de pagos',
+  'intencion.info': 'Información de la escuela',
+  'intencion.contacto': 'Contactar administración',
+  'intencion.eliminar': 'Eliminar alumno',
+  'intencion.reportar': 'Reportar pago',
+  'intencion.sugerencia': '🤔 ¿Quiso decir *{nombre}*?',
+  'intencion.si': 'Sí',
+  'intencion.siTexto': 'Responda *{opcion}* para continuar',
+  'intencion.menu': 'Ver menú',
+  'intencion.menuTexto': 'o escriba *menú* para ver todas las opciones.',
+
+  // Listas de alumnos
+  'lista.boton': 'Ver alumnos',
+  'lista.opcionInvalida': '❌ Opción no válida. Por favor seleccione un número de la lista.',
+  'alumno.noEncontrado': '❌ No se encontró información del alumno. Por favor contacte a administración.',
+  'alumno.seleccionadoNoEncontrado': '❌ No se encontró información del alumno seleccionado. Por favor contacte a administración.',
+
+  // Información de la escuela y contacto
+  'info.mensaje': '📚 *INFORMACIÓN DE LA ESCUELA*\n\n' +
+    '*{nombre}*\n\n' +
+    '📍 *Dirección:* {direccion}\n' +
+    '📞 *Teléfono:* {telefono}\n' +
+    '📧 *Email:* {email}\n' +
+    '⏰ *Horario:* {horario}\n' +
+    '🌐 *Sitio Web:* {sitioWeb}\n\n' +
+    '🏦 *Cuentas Bancarias:*\n' +
+    '⚪ *BAC:* {bac}\n' +
+    '⚪ *Occidente:* {occidente}\n' +
+    'Escriba *menú* para volver al menú principal.',
+  'contacto.mensaje': '📞 *CONTACTAR ADMINISTRACIÓN*\n\n' +
+    'Para consultas administrativas puede comunicarse al:\n' +
+    '📱 *WhatsApp:* {telefono}\n' +
+    '📧 *Email:* {email}\n\n' +
+    '⏰ *Horario de atención:*\n' +
+    '{horario}\n\n' +
+    'Escriba *menú* para volver al menú principal.',
+
+  // Registro de alumnos
+  'registro.pedirId': '📝 *REGISTRO DE ALUMNO*\n\nPor favor, ingrese el número de identidad del alumno (13 dígitos):',
+  'registro.encontrado': '✅ *Alumno encontrado:* {nombre}\n\nAhora ingrese el PIN de autorización:',
+  'registro.idNoRegistrado': '❌ El número de identidad no está registrado en el sistema. Verifique e intente nuevamente.',
+  'registro.formatoId': '❌ Formato incorrecto. El número de identidad debe tener 13 dígitos numéricos.\n\n' +
+    'Intente nuevamente o escriba *menú* para volver al menú principal.',
+  'registro.bloqueado': '🔒 Por seguridad, el registro está bloqueado temporalmente por demasiados intentos fallidos. ' +
+    'Intente más tarde o contacte a administración.',
+  'registro.esperar': {
+    one: '⏳ Por seguridad debe esperar {cantidad} segundo antes de ingresar otro PIN.',
+    other: '⏳ Por seguridad debe esperar {cantidad} segundos antes de ingresar otro PIN.'
+  },
+  'registro.exito': '✅ *REGISTRO EXITOSO*\n\nEl alumno *{nombre}* ha sido vinculado a su número.\n\n' +
+    'Ya puede consultar su estado de pagos desde el menú principal.',
+  'registro.bloqueadoPorFallos': '🔒 Demasiados intentos fallidos. Por seguridad, el registro queda bloqueado temporalmente. ' +
+    'Contacte a administración si necesita ayuda.',
+  'registro.pinIncorrecto': '❌ PIN incorrecto. Verifique e intente nuevamente o escriba *menú* para volver al menú principal.',
+
+  // Estado de pagos
+  'pagos.seleccione': '👨‍👩‍👧‍👦 *SELECCIONE ALUMNO ({anio})*',
+  'pagos.seleccionePie': 'Responda con el número del alumno para ver su estado de pagos.',
+  'pagos.sinInformacion': '❌ No se encontró información de sus alumnos en {anio}. Por favor contacte a administración.',
+  'pagos.anioNoDisponible': '❌ No hay información disponible del año {anio}. Años disponibles: {anios}.',
+  'pagos.titulo': '📊 *ESTADO DE PAGOS {anio} - {nombre}*',
+  'pagos.grado': '🏫 Grado: {grado}',
+  'pagos.mes.pagado': 'L.{pagado} ✅ Pagado',
+  'pagos.mes.excedente': 'L.{pagado} ✅ Pagado (excedente L.{credito} a favor)',
+  'pagos.mes.parcial': 'L.{pagado} ⚠️ Pago parcial, falta L.{saldo}{aplicado}',
+  'pagos.mes.cubierto': '✅ Cubierto con saldo a favor{aplicado}',
+  'pagos.mes.exonerado': '🎓 Exonerado ({nota})',
+  'pagos.mes.nota': '✅ {nota}',
+  'pagos.mes.pendiente': '❌ Pendiente{aplicado}',
+  'pagos.mes.creditoAplicado': ' (crédito aplicado L.{monto})',
+  'pagos.cuota': '💵 Cuota mensual: L.{monto}',
+  'pagos.mesesPendientes': '📅 Meses pendientes: {cantidad}',
+  'pagos.saldoAFavor': '💚 Saldo a favor: L.{monto}',
+  'pagos.arrastre': '📌 Saldo pendiente {anio} ({meses}): L.{monto}',
+  'pagos.alDia': '✅ *AL DÍA EN PAGOS*',
+  'pagos.deuda': '❌ *DEUDA MENSUALIDAD: L.{mensualidad}*\n❌ *DEUDA MORA: L.{mora}*\n❌ *DEUDA TOTAL: L.{total}*',
+  'pagos.actualizado': '🕒 Datos actualizados a las {fecha}.',
+  'pagos.otrosAnios': '🗓️ Para consultar otro año escriba *pagos <año>* ({anios}).',
+  'pagos.pdf': '📄 Escriba *pdf* para recibir este estado de cuenta como documento PDF.',
+  'pagos.solvencia': '🎓 Como está al día, también puede escribir *solvencia* para recibir una constancia de solvencia.',
+  'fecha.horaDia': '{hora} del {dia}',
+
+  // Documentos PDF
+  'documento.consulteAntes': '📄 Primero consulte el estado de pagos del alumno (opción 2️⃣) y luego escriba *pdf*.',
+  'documento.estadoCuenta': '📄 Estado de cuenta {anio} de *{nombre}*.\nCódigo de verificación: {codigo}',
+  'documento.solvencia': '🎓 Constancia de solvencia {anio} de *{nombre}*, válida hasta el {vence}.\n' +
+    'Quien la reciba puede verificarla con el código QR. Código de verificación: {codigo}',
+  'documento.solvenciaConDeuda': '❌ No se puede emitir la constancia de solvencia: *{nombre}* tiene una deuda de L.{total}. ' +
+    'Cuando esté al día podrá solicitarla escribiendo *solvencia*.',
+
+  // Eliminar alumno
+  'eliminar.titulo': '🗑️ *ELIMINAR ALUMNO*',
+  'eliminar.pie': 'Responda con el número del alumno que desea eliminar de su cuenta.',
+  'eliminar.sinAlumnos': '❌ No tiene alumnos registrados para eliminar.',
+  'eliminar.exito': '✅ El alumno *{nombre}* ha sido eliminado de su cuenta correctamente.',
+  'eliminar.error': '❌ Error al eliminar el alumno. Por favor contacte a administración.',
+
+  // Reporte de pagos y comprobantes
+  'reporte.titulo': '🧾 *REPORTAR PAGO*',
+  'reporte.pie': 'Responda con el número del alumno al que corresponde el pago.',
+  'reporte.meses': '🧾 *REPORTAR PAGO - {nombre}*',
+  'reporte.mesesPie': '❌ = mes pendiente\n\nResponda con el número del mes que pagó.',
+  'reporte.pedirArchivo': '📎 Envíe la *foto* o el *PDF* del comprobante de depósito de *{mes}*.\n\nEscriba *menú* para cancelar.',
+  'reporte.faltaArchivo': '📎 Para continuar envíe la foto o el PDF del comprobante, o escriba *menú* para cancelar.',
+  'reporte.tipoInvalido': '❌ Solo se aceptan fotos (JPG, PNG) o archivos PDF. Envíe el comprobante nuevamente o escriba *menú* para cancelar.',
+  'reporte.muyGrande': '❌ El archivo supera el límite de {limite} MB. Envíe una foto o un PDF más liviano.',
+  'reporte.noRecibido': '❌ No se pudo recibir el archivo (vacío o mayor a {limite} MB). Intente enviarlo nuevamente.',
+  'reporte.recibido': '✅ *COMPROBANTE RECIBIDO*\n\nSu comprobante #{numero} de *{mes}* quedó en revisión. ' +
+    'Le avisaremos por este medio cuando administración lo revise.',
+  'comprobante.aprobado': '✅ *PAGO CONFIRMADO*\n\nSu comprobante #{numero} de *{mes}* para *{nombre}* fue aprobado. ' +
+    'El pago se reflejará en el estado de cuenta cuando administración actualice el registro.',
+  'comprobante.rechazado': '❌ *COMPROBANTE RECHAZADO*\n\nSu comprobante #{numero} de *{mes}* para *{nombre}* no fue aceptado.',
+  'comprobante.motivo': 'Motivo: {motivo}',
+  'comprobante.rechazadoPie': 'Puede enviar un nuevo comprobante con la opción 7️⃣ del menú o contactar a administración.',
+
+  // Recordatorios
+  'recordatorios.desactivados': '🔕 Ya no recibirá recordatorios de pago. Para volver a recibirlos escriba *recordatorios si*.',
+  'recordatorios.activados': '🔔 Volverá a recibir recordatorios de pago.',
+  'recordatorios.incluyeMora': 'Incluye mora por L.{monto}.',
+  'recordatorios.moraDesde': 'A partir del {fecha} se aplicará mora.',
+  'recordatorios.pie': 'Para dejar de recibir recordatorios escriba *recordatorios no*.',
+
+  // Atención de administración (tickets)
+  'ticket.abierto': '🎧 *ATENCIÓN DE ADMINISTRACIÓN*\n\nSu consulta quedó registrada con el ticket *#{numero}*. ' +
+    'Escriba aquí su mensaje (también puede enviar fotos o documentos) y un miembro de administración le responderá por este chat.\n\n' +
+    '⏰ Horario de atención: {horario}\n\nEscriba *cerrar* para terminar la conversación.',
+  'ticket.cerrar': 'cerrar',
+  'ticket.cerrado': '✅ Conversación terminada (ticket #{numero}). ¡Gracias por comunicarse con nosotros!',
+  'ticket.cerradoPorAdministracion': '✅ Administración dio por terminada la conversación (ticket #{numero}). ' +
+    '¡Gracias por comunicarse con nosotros!\n\nEscriba *menú* para ver las opciones.',
+  'ticket.errorEntrega': '⚠️ No pudimos entregar su mensaje a administración. Intente de nuevo en unos minutos.',
+  'ticket.respuesta': '👩‍💼 *Administración:*',
+  'ticket.inactividad': '⌛ La conversación con administración (ticket #{numero}) se cerró por inactividad.\n\n' +
+    'Escriba *menú* para ver las opciones.',
+
+  // Errores generales
+  'error.servicioNoDisponible': '⚠️ La consulta de cuentas no está disponible en este momento. ' +
+    'Por favor intente más tarde o contacte a administración.',
+
+  // Meses (clave: nombre del mes en la hoja)
+  'mes.enero': 'enero',
+  'mes.febrero': 'febrero',
+  'mes.marzo': 'marzo',
+  'mes.abril': 'abril',
+  'mes.mayo': 'mayo',
+  'mes.junio': 'junio',
+  'mes.julio': 'julio',
+  'mes.agosto': 'agosto',
+  'mes.septiembre': 'septiembre',
+  'mes.octubre': 'octubre',
+  'mes.noviembre': 'noviembre',
+  'mes.diciembre': 'diciembre'
+};
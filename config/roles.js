@@ -0,0 +1,35 @@
+/**
+ * Roles del personal y los permisos de cada uno.
+ *
+ *   broadcast      Enviar broadcasts, plantillas y ver/cancelar envíos.
+ *   consultar      Consola: buscar alumnos, ver encargados y estado del bot.
+ *   vincular       Consola: vincular y desvincular encargados.
+ *   pines          Comandos de PIN y desbloqueo de intentos.
+ *   comprobantes   Revisar, aprobar y rechazar comprobantes (y recibir los avisos).
+ *   recordatorios  Ejecutar y revisar los recordatorios de pago.
+ *   datos          Refrescar la hoja de cuentas (y recibir alertas de la hoja).
+ *   soporte        Atender tickets de encargados (opción 4 del menú).
+ *   personal       Agregar y quitar personal desde WhatsApp.
+ *   auditoria      Consultar, verificar y exportar la bitácora de auditoría.
+ *
+ * '*' concede todos los permisos.
+ */
+
+module.exports = {
+  superadmin: {
+    descripcion: 'acceso total y administración del personal',
+    permisos: ['*']
+  },
+  cajero: {
+    descripcion: 'caja: comprobantes, PINs, vínculos de encargados y atención',
+    permisos: ['consultar', 'vincular', 'pines', 'comprobantes', 'recordatorios', 'soporte']
+  },
+  docente: {
+    descripcion: 'consultas y broadcasts',
+    permisos: ['consultar', 'broadcast']
+  },
+  lectura: {
+    descripcion: 'sólo consultas',
+    permisos: ['consultar']
+  }
+};
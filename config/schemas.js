@@ -0,0 +1,50 @@
+/**
+ * Esquemas de la hoja de cuentas por año escolar.
+ *
+ * Cada columna se busca por el texto de su encabezado (sin distinguir
+ * mayúsculas, tildes ni espacios repetidos). Una columna `requerida` sin
+ * encabezado invalida la hoja; `columna` es la letra que se usa si ningún
+ * encabezado coincide, sólo para columnas opcionales o, en columnas
+ * requeridas, en los años con `respaldoPorLetra: true` (hojas antiguas sin
+ * encabezados confiables).
+ */
+
+const mes = (nombre, columna) => ({ encabezados: [nombre, nombre.slice(0, 3)], columna, requerida: true });
+
+// Columnas comunes a todos los años; cada año indica su hoja
+const columnasMatricula = {
+  columnas: {
+    NOMBRE: { encabezados: ['nombre', 'nombre del alumno', 'nombre completo', 'alumno', 'estudiante'], columna: 'A', requerida: true },
+    GRADO: { encabezados: ['grado', 'curso', 'grado/curso'], columna: 'B', requerida: true },
+    ID: { encabezados: ['identidad', 'no. identidad', 'numero de identidad', 'id', 'dni'], columna: 'F', requerida: true },
+    PLAN_PAGO: { encabezados: ['plan de pago', 'plan', 'plan pago'], columna: 'H', requerida: false },
+    TOTAL_PAGAR: { encabezados: ['total a pagar', 'cuota mensual', 'mensualidad', 'cuota'], columna: 'N', requerida: true }
+  },
+  meses: {
+    ENERO: mes('enero', 'W'),
+    FEBRERO: mes('febrero', 'X'),
+    MARZO: mes('marzo', 'Y'),
+    ABRIL: mes('abril', 'Z'),
+    MAYO: mes('mayo', 'AA'),
+    JUNIO: mes('junio', 'AB'),
+    JULIO: mes('julio', 'AC'),
+    AGOSTO: mes('agosto', 'AD'),
+    SEPTIEMBRE: mes('septiembre', 'AE'),
+    OCTUBRE: mes('octubre', 'AF'),
+    NOVIEMBRE: mes('noviembre', 'AG'),
+    DICIEMBRE: mes('diciembre', 'AH')
+  }
+};
+
+module.exports = {
+  2024: {
+    hoja: 'Matricula 2024',
+    filaEncabezado: 2, // null para detectarla entre las primeras filas
+    ...columnasMatricula
+  },
+  2025: {
+    hoja: 'Matricula 2025',
+    filaEncabezado: 2,
+    ...columnasMatricula
+  }
+};
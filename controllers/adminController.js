@@ -0,0 +1,1481 @@
+/**
+ * Controlador de los comandos del personal: consola de administración
+ * ("/comando ..."), broadcasts, PINs, comprobantes, recordatorios y
+ * respuestas a tickets, más los avisos que recibe el personal.
+ * Como conversationController, no depende de WhatsApp: recibe un transporte.
+ */
+
+const {
+  buscarEstudiante,
+  buscarEstudiantes,
+  buscarEstudianteAnioAnterior,
+  buscarEstudiantesPorNombre,
+  obtenerDuplicados,
+  duplicadosCargados,
+  calcularDeuda
+} = require('../services/studentService');
+const { aniosDisponibles, obtenerEdadDatos, refrescarWorkbook } = require('../services/studentExcelService');
+const {
+  generarPIN,
+  resetearPIN,
+  expirarPIN,
+  obtenerInfoPIN
+} = require('../services/pinService');
+const {
+  registrarEncargado,
+  obtenerAlumnosEncargado,
+  obtenerEncargadosAlumno,
+  eliminarRelacion,
+  listarEncargados
+} = require('../services/encargadoService');
+const { establecerEstado } = require('../services/stateService');
+const { desbloquear } = require('../services/pinAttemptService');
+const {
+  obtenerComprobante,
+  leerArchivoComprobante,
+  listarPendientes,
+  aprobarComprobante,
+  rechazarComprobante
+} = require('../services/receiptService');
+const { revisarRecordatorios, obtenerResumenRecordatorios } = require('../services/reminderService');
+const { parsearFiltros, resolverSegmento, describirFiltros } = require('../services/segmentService');
+const {
+  prepararContenido,
+  armarMensaje,
+  crearTrabajo,
+  obtenerTrabajo,
+  listarTrabajos,
+  cancelarTrabajo,
+  resumirTrabajo
+} = require('../services/broadcastService');
+const {
+  CAMPOS_ALUMNO,
+  CAMPOS_ENCARGADO,
+  validarPlantillaBroadcast,
+  personalizar,
+  guardarPlantilla,
+  obtenerPlantilla,
+  listarPlantillas,
+  eliminarPlantilla
+} = require('../services/broadcastTemplateService');
+const { esPlantilla } = require('../services/templateService');
+const {
+  obtenerTicket,
+  listarTicketsAbiertos,
+  establecerTurno,
+  agentesEnTurno,
+  registrarActividad,
+  tomarTicket,
+  cerrarTicket
+} = require('../services/ticketService');
+const { verificarDocumento, resumenVerificacion } = require('../services/documentService');
+const {
+  traducir,
+  idiomaDe,
+  nombreMes,
+  formatearFechaHora
+} = require('../services/i18nService');
+const { esperarAleatorio } = require('../services/delayService');
+const { anioActual, roles } = require('../config/config');
+const {
+  isAdmin,
+  tienePermiso,
+  obtenerAdmins,
+  obtenerMiembro,
+  listarPersonal,
+  agregarPersonal,
+  quitarPersonal
+} = require('../services/adminService');
+const {
+  registrarAuditoria,
+  verificarAuditoria,
+  parsearConsultaAuditoria,
+  consultarAuditoria,
+  exportarAuditoriaCSV
+} = require('../services/auditService');
+
+let ultimaAlertaDatos = { mensaje: null, timestamp: 0 };
+// IDs duplicados ya avisados por año escolar, para avisar sólo cuando cambian
+const duplicadosAvisados = {};
+// Broadcasts esperando confirmación, por administrador. Quedan en memoria
+// porque el mensaje original (con sus claves de media) no se puede serializar.
+const broadcastsPendientes = new Map();
+
+const AYUDA_FILTROS = 'Filtros disponibles (se pueden combinar):\n' +
+  '▫️ grado:Quinto (varios: grado:Quinto,Sexto)\n' +
+  '▫️ deuda:si | deuda:no | deuda:mora | deuda:2 (2 o más meses pendientes)\n' +
+  '▫️ ids:<ID>,<ID>\n' +
+  '▫️ encargados:<número>,<número>\n\n' +
+  'Plantillas: el texto puede usar {nombre}, {totalDeuda}, {si campo}…{fin} (escriba *plantilla campos*).\n' +
+  '▫️ plantilla:<nombre> usa una plantilla guardada\n' +
+  '▫️ modo:alumno (un mensaje por alumno) | modo:encargado (uno por encargado)';
+
+/**
+ * Envía una notificación al personal que tiene el permiso indicado.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string|Object} texto - Texto de la notificación o contenido de mensaje.
+ * @param {string} permiso - Permiso que deben tener los destinatarios (config/roles.js).
+ */
+async function notificarAdmins(transporte, texto, permiso) {
+  const contenido = typeof texto === 'string' ? { text: texto } : texto;
+  for (const admin of obtenerAdmins(permiso)) {
+    try {
+      await transporte.enviarMensaje(admin, contenido);
+    } catch (error) {
+      console.error(`Error notificando al administrador ${admin}:`, error);
+    }
+  }
+}
+
+/**
+ * Avisa a los administradores que la hoja de cuentas no cumple el esquema.
+ * El mismo error se notifica como máximo una vez por hora.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {Error} error - Error con codigo 'ESQUEMA_INVALIDO'.
+ */
+async function alertarErrorDatos(transporte, error) {
+  const ahora = Date.now();
+  if (ultimaAlertaDatos.mensaje === error.message && ahora - ultimaAlertaDatos.timestamp < 60 * 60 * 1000) {
+    return;
+  }
+  ultimaAlertaDatos = { mensaje: error.message, timestamp: ahora };
+  await notificarAdmins(transporte,
+    `🚨 *ERROR EN HOJA DE CUENTAS*\n\nEl bot dejó de mostrar datos de pagos hasta que se corrija:\n\n▫️ ${error.detalles.join('\n▫️ ')}`,
+    'datos'
+  );
+}
+
+/**
+ * Avisa a los administradores los IDs que aparecen en varias filas de la
+ * hoja de cuentas: las consultas usan la primera fila, que puede no ser la
+ * correcta. Cada lista de duplicados de un año se avisa una sola vez.
+ * @param {Object} transporte - Transporte de mensajería.
+ */
+async function alertarDuplicados(transporte) {
+  const actuales = duplicadosCargados();
+  Object.keys(duplicadosAvisados)
+    .filter(anio => !actuales.some(entrada => String(entrada.anio) === anio))
+    .forEach(anio => { delete duplicadosAvisados[anio]; });
+
+  for (const { anio, duplicados } of actuales) {
+    const lineas = duplicados.map(({ id, filas }) => `${id}: filas ${filas.join(', ')} (se usa la fila ${filas[0]})`);
+    if (duplicadosAvisados[anio] === lineas.join('\n')) continue;
+    duplicadosAvisados[anio] = lineas.join('\n');
+    await notificarAdmins(transporte,
+      `⚠️ *IDS DUPLICADOS EN HOJA DE CUENTAS ${anio}*\n\nLas consultas muestran la primera fila de cada ID hasta que se corrija la hoja:\n\n▫️ ${lineas.join('\n▫️ ')}`,
+      'datos'
+    );
+  }
+}
+
+/**
+ * Describe el contenido de un broadcast para la vista previa.
+ * @param {string|Object} mensaje - Texto u objeto de mensaje de WhatsApp.
+ * @returns {string} Descripción.
+ */
+function describirContenido(mensaje) {
+  if (typeof mensaje === 'string') return mensaje;
+  const tipos = {
+    imageMessage: '🖼️ Imagen',
+    videoMessage: '🎬 Video',
+    audioMessage: '🎵 Audio',
+    documentMessage: '📄 Documento',
+    stickerMessage: '🏷️ Sticker'
+  };
+  const tipo = Object.keys(tipos).find(clave => mensaje[clave]);
+  if (!tipo) return mensaje.conversation || mensaje.extendedTextMessage?.text || '(mensaje)';
+  const caption = mensaje[tipo].caption || mensaje[tipo].fileName;
+  return caption ? `${tipos[tipo]}: ${caption}` : tipos[tipo];
+}
+
+/**
+ * Obtiene el texto (o caption) de un mensaje de broadcast.
+ * @param {string|Object|null} mensaje - Texto u objeto de mensaje de WhatsApp.
+ * @returns {string} Texto, vacío si no tiene.
+ */
+function textoDeMensaje(mensaje) {
+  if (!mensaje) return '';
+  if (typeof mensaje === 'string') return mensaje;
+  const nodo = mensaje.imageMessage || mensaje.videoMessage || mensaje.documentMessage;
+  return mensaje.conversation || mensaje.extendedTextMessage?.text || nodo?.caption || '';
+}
+
+/**
+ * Calcula los destinatarios de un broadcast y pide confirmación con una vista previa.
+ * Si el texto (o caption) es una plantilla, genera los mensajes de cada encargado.
+ * Una plantilla guardada no se combina con texto propio: el broadcast se rechaza
+ * en vez de descartar lo que escribió el administrador.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ * @param {Object} filtros - Filtros de segmento (parsearFiltros).
+ * @param {string|Object|null} mensaje - Texto u objeto de mensaje a enviar (null con plantilla guardada).
+ * @param {Object} opciones - { modo, plantilla } de parsearFiltros.
+ */
+async function prepararBroadcast(transporte, remitente, filtros, mensaje, opciones = {}) {
+  let texto = textoDeMensaje(mensaje);
+  let modo = opciones.modo || null;
+
+  if (opciones.plantilla) {
+    const guardada = obtenerPlantilla(opciones.plantilla);
+    if (!guardada) {
+      await transporte.enviarMensaje(remitente, {
+        text: `❌ No existe la plantilla *${opciones.plantilla}*. Escriba *plantillas* para ver las guardadas.`
+      });
+      establecerEstado(remitente, 'MENU_PRINCIPAL');
+      return;
+    }
+    if (texto) {
+      await transporte.enviarMensaje(remitente, {
+        text: `❌ La plantilla *${opciones.plantilla}* ya trae el texto del mensaje, así que no se puede enviar junto con otro texto o caption.\n\n` +
+          `Envíe *bc plantilla:${opciones.plantilla}* sin texto, o su mensaje sin *plantilla:*.`
+      });
+      establecerEstado(remitente, 'MENU_PRINCIPAL');
+      return;
+    }
+    // Con media sin caption, la plantilla guardada se usa como caption
+    if (!mensaje || typeof mensaje === 'string') mensaje = guardada.texto;
+    texto = guardada.texto;
+    modo = modo || guardada.modo;
+  }
+
+  let plantilla = null;
+  if (esPlantilla(texto)) {
+    plantilla = validarPlantillaBroadcast(texto, modo);
+    if (plantilla.errores.length > 0) {
+      await transporte.enviarMensaje(remitente, {
+        text: `❌ La plantilla tiene errores:\n▫️ ${plantilla.errores.join('\n▫️ ')}\n\nEscriba *plantilla campos* para ver los campos disponibles.`
+      });
+      establecerEstado(remitente, 'MENU_PRINCIPAL');
+      return;
+    }
+  }
+
+  const segmento = await resolverSegmento(filtros, { incluirAlumnos: Boolean(plantilla) });
+  let destinatarios = segmento.destinatarios;
+  let personalizados = null;
+  if (plantilla) {
+    personalizados = {};
+    for (const numero of destinatarios) {
+      personalizados[numero] = await personalizar(plantilla, segmento.alumnosPorEncargado[numero] || []);
+    }
+    // En modo alumno, un encargado sin alumnos encontrados no tiene mensajes
+    destinatarios = destinatarios.filter(numero => personalizados[numero].length > 0);
+  }
+
+  if (destinatarios.length === 0) {
+    await transporte.enviarMensaje(remitente, {
+      text: `ℹ️ Ningún encargado coincide con el segmento (${describirFiltros(filtros)}). No se envió nada.`
+    });
+    establecerEstado(remitente, 'MENU_PRINCIPAL');
+    return;
+  }
+
+  broadcastsPendientes.set(remitente, { mensaje, destinatarios, segmento: describirFiltros(filtros), personalizados });
+  establecerEstado(remitente, 'BROADCAST_CONFIRMAR');
+
+  let vistaPrevia = '📢 *VISTA PREVIA DE BROADCAST*\n\n';
+  vistaPrevia += `🎯 Segmento: ${describirFiltros(filtros)}\n`;
+  vistaPrevia += `👥 Destinatarios: ${destinatarios.length} encargado(s)\n`;
+  if (segmento.alumnos.length > 0) {
+    vistaPrevia += `🎓 Alumnos que cumplen el filtro: ${segmento.alumnos.length}\n`;
+  }
+  if (segmento.desconocidos.length > 0) {
+    vistaPrevia += `⚠️ No registrados (se omiten): ${segmento.desconocidos.map(n => n.split('@')[0]).join(', ')}\n`;
+  }
+  if (plantilla) {
+    const total = destinatarios.reduce((suma, numero) => suma + personalizados[numero].length, 0);
+    vistaPrevia += `🧩 Plantilla en modo ${plantilla.modo}: ${total} mensaje(s) en total\n`;
+    vistaPrevia += `\n💬 Ejemplo para ${destinatarios[0].split('@')[0]}:\n${personalizados[destinatarios[0]][0]}`;
+  } else {
+    vistaPrevia += `\n💬 Mensaje:\n${describirContenido(mensaje)}`;
+  }
+  vistaPrevia += '\n\nResponda *si* para enviar o *no* para cancelar.';
+  await transporte.enviarMensaje(remitente, { text: vistaPrevia });
+}
+
+/**
+ * Comando de broadcast: "broadcast <mensaje>" o "bc [filtros] <mensaje>".
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} mensaje - Texto del mensaje recibido.
+ */
+async function procesarComandoBroadcast(transporte, remitente, mensaje) {
+  const textoMinuscula = mensaje.toLowerCase();
+  console.log(`Broadcast command received from ${remitente}`);
+  if (!tienePermiso(remitente, 'broadcast')) {
+    console.log(`User ${remitente} lacks broadcast permission, broadcast denied.`);
+    await transporte.enviarMensaje(remitente, { text: '❌ No tiene permisos para enviar mensajes broadcast.' });
+    return;
+  }
+  console.log(`User ${remitente} has broadcast permission, proceeding with broadcast.`);
+
+  // Remove the command prefix and get the rest of the message as broadcast content
+  let textoBroadcast = mensaje;
+  if (textoMinuscula.startsWith('broadcast ')) {
+    textoBroadcast = mensaje.substring(10).trim();
+  } else if (textoMinuscula.startsWith('bc ')) {
+    textoBroadcast = mensaje.substring(3).trim();
+  }
+
+  // Filtros de segmento opcionales al inicio, p. ej. "bc grado:Quinto deuda:si <mensaje>"
+  const { filtros, opciones, resto, errores } = parsearFiltros(textoBroadcast);
+  if (errores.length > 0 || (!resto && !opciones.plantilla)) {
+    await transporte.enviarMensaje(remitente, {
+      text: (errores.length > 0 ? `❌ ${errores.join('\n❌ ')}\n\n` : '❌ Falta el texto del mensaje.\n\n') +
+        `Uso: *bc [filtros] <mensaje>*\n\n${AYUDA_FILTROS}`
+    });
+    return;
+  }
+
+  await prepararBroadcast(transporte, remitente, filtros, resto || null, opciones);
+}
+
+/**
+ * Opción 6 del menú: pide el segmento del broadcast.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ */
+async function iniciarMenuBroadcast(transporte, remitente) {
+  establecerEstado(remitente, 'MENU_ADMIN_BROADCAST');
+  await esperarAleatorio(1000, 10000);
+  await transporte.enviarMensaje(remitente, {
+    text: '📢 *MENÚ BROADCAST ADMIN*\n\n¿A quién va dirigido? Escriba *todos* o los filtros del segmento.\n\n' +
+      `${AYUDA_FILTROS}\n\nEscriba *menú* para volver al menú principal.`
+  });
+}
+
+/**
+ * Atiende los pasos del broadcast iniciado desde el menú: segmento,
+ * mensaje y confirmación.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {Object} estado - Estado de la conversación (MENU_ADMIN_BROADCAST, BROADCAST_MENSAJE o BROADCAST_CONFIRMAR).
+ * @param {string} mensaje - Texto del mensaje recibido.
+ * @param {Object} mensajeObj - Objeto de mensaje original de WhatsApp.
+ * @returns {Promise<boolean>} True si el broadcast terminó y se debe volver al menú principal.
+ */
+async function procesarEstadoBroadcast(transporte, remitente, estado, mensaje, mensajeObj) {
+  const textoMinuscula = mensaje.toLowerCase();
+  if (!tienePermiso(remitente, 'broadcast')) {
+    console.log(`User ${remitente} lacks broadcast permission, broadcast denied.`);
+    await transporte.enviarMensaje(remitente, { text: '❌ No tiene permisos para enviar mensajes broadcast.' });
+    return true;
+  }
+
+  if (estado.estado === 'MENU_ADMIN_BROADCAST') {
+    const { filtros, opciones, resto, errores } = parsearFiltros(textoMinuscula === 'todos' ? '' : mensaje);
+    if (errores.length > 0 || resto) {
+      await transporte.enviarMensaje(remitente, {
+        text: (errores.length > 0 ? `❌ ${errores.join('\n❌ ')}` : `❌ No se reconoce el filtro "${resto}".`) +
+          `\n\nEscriba *todos* o los filtros del segmento.\n\n${AYUDA_FILTROS}`
+      });
+      return false;
+    }
+    if (opciones.plantilla) {
+      await prepararBroadcast(transporte, remitente, filtros, null, opciones);
+      return false;
+    }
+    establecerEstado(remitente, 'BROADCAST_MENSAJE', { filtros, opciones });
+    await transporte.enviarMensaje(remitente, {
+      text: `🎯 Segmento: ${describirFiltros(filtros)}\n\nAhora envíe el mensaje (texto, foto, video, etc.). Puede usar campos de plantilla como {nombre}.`
+    });
+    return false;
+  }
+
+  if (estado.estado === 'BROADCAST_MENSAJE') {
+    await prepararBroadcast(transporte, remitente, estado.datos.filtros, mensajeObj, estado.datos.opciones);
+    return false;
+  }
+
+  const pendiente = broadcastsPendientes.get(remitente);
+  if (textoMinuscula === 'si' || textoMinuscula === 'sí') {
+    broadcastsPendientes.delete(remitente);
+    if (!pendiente) {
+      await transporte.enviarMensaje(remitente, { text: '⚠️ El broadcast ya no está disponible. Prepárelo de nuevo.' });
+    } else {
+      const trabajo = await crearTrabajo(transporte, { creadoPor: remitente, ...pendiente });
+      await transporte.enviarMensaje(remitente, {
+        text: trabajo
+          ? `📤 Broadcast #${trabajo.id} en cola para ${pendiente.destinatarios.length} encargado(s). Le avisaré cuando termine.\n\n` +
+            `Escriba *envio ${trabajo.id}* para ver el avance o *envio cancelar ${trabajo.id}* para cancelarlo.`
+          : '❌ Este tipo de mensaje no se puede enviar como broadcast.'
+      });
+    }
+    return true;
+  }
+  if (textoMinuscula === 'no') {
+    broadcastsPendientes.delete(remitente);
+    await transporte.enviarMensaje(remitente, { text: '🚫 Broadcast cancelado.' });
+    return true;
+  }
+  await transporte.enviarMensaje(remitente, { text: 'Responda *si* para enviar el broadcast o *no* para cancelarlo.' });
+  return false;
+}
+
+/**
+ * Ejecuta un comando de plantillas de broadcast guardadas.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ * @param {string} mensaje - Texto completo del comando (conserva saltos de línea).
+ */
+async function procesarComandoPlantilla(transporte, remitente, mensaje) {
+  const guardar = mensaje.match(/^plantilla\s+guardar\s+(\S+)\s+(?:modo:(\S+)\s+)?([\s\S]+)$/i);
+  const verOBorrar = mensaje.match(/^plantilla\s+(ver|borrar)\s+(\S+)$/i);
+  let respuesta;
+
+  if (/^plantillas$/i.test(mensaje)) {
+    const guardadas = listarPlantillas();
+    respuesta = guardadas.length === 0
+      ? 'ℹ️ No hay plantillas guardadas.'
+      : `🧩 *PLANTILLAS GUARDADAS*\n\n▫️ ${guardadas.map(p => `${p.nombre} (modo ${p.modo})`).join('\n▫️ ')}\n\n` +
+        'Úselas con *bc plantilla:<nombre>* o en el menú 6.';
+  } else if (/^plantilla\s+campos$/i.test(mensaje)) {
+    const lista = campos => Object.entries(campos).map(([campo, descripcion]) => `▫️ {${campo}} ${descripcion}`).join('\n');
+    respuesta = `🧩 *CAMPOS DE PLANTILLA*\n\nDel alumno:\n${lista(CAMPOS_ALUMNO)}\n\nDel encargado:\n${lista(CAMPOS_ENCARGADO)}\n\n` +
+      'Secciones: {si campo}…{sino}…{fin} y {cada alumno}…{fin} (un solo mensaje con todos los alumnos).';
+  } else if (guardar) {
+    const { plantilla, errores } = guardarPlantilla(guardar[1], {
+      texto: guardar[3].trim(),
+      modo: guardar[2] ? guardar[2].toLowerCase() : null,
+      creadoPor: remitente
+    });
+    respuesta = plantilla
+      ? `✅ Plantilla *${plantilla.nombre}* guardada (modo ${plantilla.modo}).`
+      : `❌ La plantilla tiene errores:\n▫️ ${errores.join('\n▫️ ')}`;
+    if (plantilla) registrarAuditoria({ actor: remitente, accion: 'plantilla guardar', objetivo: plantilla.nombre, detalle: plantilla.texto.slice(0, 200) });
+  } else if (verOBorrar) {
+    const [, accion, nombre] = verOBorrar;
+    const plantilla = obtenerPlantilla(nombre);
+    if (!plantilla) {
+      respuesta = `❌ No existe la plantilla *${nombre}*.`;
+    } else if (accion.toLowerCase() === 'borrar') {
+      eliminarPlantilla(nombre);
+      registrarAuditoria({ actor: remitente, accion: 'plantilla borrar', objetivo: plantilla.nombre });
+      respuesta = `🗑️ Plantilla *${plantilla.nombre}* eliminada.`;
+    } else {
+      respuesta = `🧩 *${plantilla.nombre}* (modo ${plantilla.modo})\n\n${plantilla.texto}`;
+    }
+  } else {
+    respuesta = '🧩 *COMANDOS DE PLANTILLAS*\n\n' +
+      '▫️ plantillas\n▫️ plantilla campos\n▫️ plantilla guardar <nombre> [modo:alumno|encargado] <texto>\n' +
+      '▫️ plantilla ver <nombre>\n▫️ plantilla borrar <nombre>';
+  }
+
+  await transporte.enviarMensaje(remitente, { text: respuesta });
+}
+
+/**
+ * Ejecuta un comando de seguimiento de broadcasts.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ * @param {string} accion - Vacío para listar, 'ver' para el reporte o 'cancelar'.
+ * @param {string} id - Número del broadcast.
+ */
+async function procesarComandoEnvio(transporte, remitente, accion, id) {
+  if (!accion) {
+    const recientes = listarTrabajos();
+    await transporte.enviarMensaje(remitente, {
+      text: recientes.length === 0
+        ? 'ℹ️ No hay broadcasts registrados.'
+        : '📤 *BROADCASTS RECIENTES*\n\n' + recientes.map(trabajo => {
+          const resumen = resumirTrabajo(trabajo);
+          return `▫️ #${trabajo.id} ${trabajo.estado} - ${resumen.enviados}/${resumen.total} enviados - ${trabajo.segmento}`;
+        }).join('\n') + '\n\nUse *envio <número>* o *envio cancelar <número>*.'
+    });
+    return;
+  }
+
+  if (!/^\d+$/.test(id) || !obtenerTrabajo(id)) {
+    await transporte.enviarMensaje(remitente, { text: `❌ No existe el broadcast #${id}. Escriba *envios* para ver la lista.` });
+    return;
+  }
+
+  if (accion === 'cancelar') {
+    const cancelado = cancelarTrabajo(id, remitente);
+    await transporte.enviarMensaje(remitente, {
+      text: cancelado
+        ? `🚫 Broadcast #${id} cancelado. Se alcanzaron a mandar ${resumirTrabajo(cancelado).enviados} encargados.`
+        : `ℹ️ El broadcast #${id} ya estaba ${obtenerTrabajo(id).estado}.`
+    });
+    return;
+  }
+
+  const trabajo = obtenerTrabajo(id);
+  const resumen = resumirTrabajo(trabajo);
+  const fallidos = Object.entries(trabajo.destinatarios)
+    .filter(([, destinatario]) => destinatario.estado === 'fallido');
+
+  let reporte = `📤 *BROADCAST #${trabajo.id}* (${trabajo.estado})\n\n`;
+  reporte += `🎯 Segmento: ${trabajo.segmento}\n`;
+  reporte += `🕒 Creado: ${formatearFechaHora(new Date(trabajo.creado))}\n`;
+  if (trabajo.finalizado) reporte += `🏁 Finalizado: ${formatearFechaHora(new Date(trabajo.finalizado))}\n`;
+  reporte += `\n✅ Enviados: ${resumen.enviados}/${resumen.total}\n⏳ Pendientes: ${resumen.pendientes}\n`;
+  reporte += `❌ Fallidos: ${resumen.fallidos}\n🚫 Cancelados: ${resumen.cancelados}`;
+  if (fallidos.length > 0) {
+    reporte += '\n\nCon error:\n' + fallidos.slice(0, 20)
+      .map(([numero, destinatario]) => `▫️ ${numero.split('@')[0]} (${destinatario.intentos} intento(s)): ${destinatario.ultimoError}`)
+      .join('\n');
+  }
+  await transporte.enviarMensaje(remitente, { text: reporte });
+}
+
+/**
+ * Ejecuta un comando de administración de PINs.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ * @param {string} accion - generar, reset, expirar o info.
+ * @param {string} idEstudiante - ID del estudiante.
+ */
+async function procesarComandoPIN(transporte, remitente, accion, idEstudiante) {
+  const acciones = ['generar', 'reset', 'expirar', 'info'];
+  if (!acciones.includes(accion) || !/^\d{13}$/.test(idEstudiante)) {
+    await transporte.enviarMensaje(remitente, {
+      text: '🔑 *COMANDOS DE PIN*\n\n' +
+        '▫️ pin generar <ID>\n▫️ pin reset <ID>\n▫️ pin expirar <ID>\n▫️ pin info <ID>\n\n' +
+        'El ID del alumno debe tener 13 dígitos.'
+    });
+    return;
+  }
+
+  const estudiante = await buscarEstudiante(idEstudiante);
+  if (!estudiante) {
+    await transporte.enviarMensaje(remitente, { text: `❌ No existe un alumno con ID ${idEstudiante}.` });
+    return;
+  }
+
+  console.log(`Admin ${remitente} PIN ${accion} for student ${idEstudiante}`);
+  let respuesta;
+
+  if (accion === 'generar') {
+    const pin = generarPIN(idEstudiante);
+    respuesta = pin
+      ? `✅ PIN generado para *${estudiante.nombre}*: *${pin}*`
+      : `ℹ️ *${estudiante.nombre}* ya tiene PIN. Use *pin reset ${idEstudiante}* para cambiarlo.`;
+  } else if (accion === 'reset') {
+    const pin = resetearPIN(idEstudiante);
+    respuesta = pin
+      ? `✅ Nuevo PIN para *${estudiante.nombre}*: *${pin}*`
+      : `ℹ️ *${estudiante.nombre}* no tiene PIN. Use *pin generar ${idEstudiante}*.`;
+  } else if (accion === 'expirar') {
+    respuesta = expirarPIN(idEstudiante)
+      ? `✅ El PIN de *${estudiante.nombre}* quedó expirado.`
+      : `ℹ️ *${estudiante.nombre}* no tiene PIN.`;
+  } else {
+    const info = obtenerInfoPIN(idEstudiante);
+    respuesta = info
+      ? `🔑 *PIN de ${estudiante.nombre}*\n\n` +
+        `📅 Emitido: ${info.emitido}\n` +
+        `🔄 Rotado: ${info.rotado || '—'}\n` +
+        `⛔ Expirado: ${info.expirado || '—'}`
+      : `ℹ️ *${estudiante.nombre}* no tiene PIN.`;
+  }
+
+  if (accion !== 'info') {
+    registrarAuditoria({ actor: remitente, accion: `pin ${accion}`, objetivo: idEstudiante, detalle: respuesta.startsWith('✅') ? null : 'sin cambios' });
+  }
+  await transporte.enviarMensaje(remitente, { text: respuesta });
+}
+
+/**
+ * Levanta el bloqueo de PIN de un número o de un alumno.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ * @param {string} objetivo - Número de teléfono, JID o ID de alumno.
+ */
+async function procesarComandoDesbloqueo(transporte, remitente, objetivo) {
+  let clave = objetivo;
+  if (!objetivo.includes('@')) {
+    const digitos = objetivo.replace(/\D/g, '');
+    // 13 dígitos = ID de alumno; de lo contrario, número de teléfono
+    clave = digitos.length === 13 ? digitos : `${digitos}@s.whatsapp.net`;
+  }
+
+  const desbloqueado = desbloquear(clave);
+  registrarAuditoria({ actor: remitente, accion: 'desbloquear', objetivo: clave, detalle: desbloqueado ? null : 'sin bloqueo' });
+  console.log(`Admin ${remitente} unlock request for ${clave}: ${desbloqueado}`);
+  await transporte.enviarMensaje(remitente, {
+    text: desbloqueado
+      ? `🔓 Se levantó el bloqueo de PIN para *${clave}*.`
+      : `ℹ️ No hay intentos fallidos registrados para *${clave}*.`
+  });
+}
+
+/**
+ * Arma el mensaje con el archivo de un comprobante para reenviarlo a administración.
+ * @param {Object} registro - Registro del comprobante.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @param {string} caption - Texto que acompaña al archivo.
+ * @returns {Object} Contenido de mensaje.
+ */
+function contenidoComprobante(registro, buffer, caption) {
+  if (registro.mimetype.startsWith('image/')) {
+    return { image: buffer, caption };
+  }
+  return { document: buffer, mimetype: registro.mimetype, fileName: registro.archivo, caption };
+}
+
+/**
+ * Describe un comprobante en una línea para administración.
+ * @param {Object} registro - Registro del comprobante.
+ * @returns {string} Texto.
+ */
+function resumenComprobante(registro) {
+  return `#${registro.numero} ${registro.nombreEstudiante} (${registro.idEstudiante}) - ` +
+    `${registro.mes.toUpperCase()} ${registro.anio} - ${registro.remitente.split('@')[0]}`;
+}
+
+/**
+ * Avisa al personal de comprobantes que un encargado envió un comprobante.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {Object} registro - Registro del comprobante.
+ * @param {Buffer} buffer - Contenido del archivo.
+ */
+async function avisarComprobanteNuevo(transporte, registro, buffer) {
+  const aviso = `🧾 *NUEVO COMPROBANTE DE PAGO*\n\n${resumenComprobante(registro)}` +
+    (registro.duplicadoDe ? `\n⚠️ Es el mismo archivo del comprobante #${registro.duplicadoDe}.` : '') +
+    `\n\nResponda *comprobante aprobar ${registro.numero}* o *comprobante rechazar ${registro.numero} <motivo>*.`;
+  await notificarAdmins(transporte, contenidoComprobante(registro, buffer, aviso), 'comprobantes');
+}
+
+/**
+ * Ejecuta un comando de revisión de comprobantes.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del administrador.
+ * @param {string} accion - ver, aprobar o rechazar (vacío para listar pendientes).
+ * @param {string} numero - Número del comprobante.
+ * @param {string} motivo - Motivo del rechazo.
+ */
+async function procesarComandoComprobante(transporte, remitente, accion, numero, motivo) {
+  if (!accion) {
+    const pendientes = listarPendientes();
+    await transporte.enviarMensaje(remitente, {
+      text: pendientes.length === 0
+        ? '✅ No hay comprobantes pendientes de revisión.'
+        : `🧾 *COMPROBANTES PENDIENTES (${pendientes.length})*\n\n▫️ ${pendientes.map(resumenComprobante).join('\n▫️ ')}\n\n` +
+          'Use *comprobante ver|aprobar|rechazar <número>*.'
+    });
+    return;
+  }
+
+  if (!['ver', 'aprobar', 'rechazar'].includes(accion) || !/^\d+$/.test(numero)) {
+    await transporte.enviarMensaje(remitente, {
+      text: '🧾 *COMANDOS DE COMPROBANTES*\n\n' +
+        '▫️ comprobantes\n▫️ comprobante ver <número>\n▫️ comprobante aprobar <número>\n▫️ comprobante rechazar <número> <motivo>'
+    });
+    return;
+  }
+
+  const registro = obtenerComprobante(numero);
+  if (!registro) {
+    await transporte.enviarMensaje(remitente, { text: `❌ No existe el comprobante #${numero}.` });
+    return;
+  }
+
+  if (accion === 'ver') {
+    const buffer = leerArchivoComprobante(registro);
+    const detalle = `🧾 ${resumenComprobante(registro)}\nEstado: ${registro.estado}` +
+      (registro.motivo ? `\nMotivo: ${registro.motivo}` : '');
+    await transporte.enviarMensaje(remitente, buffer ? contenidoComprobante(registro, buffer, detalle) : { text: detalle });
+    return;
+  }
+
+  const revisado = accion === 'aprobar'
+    ? aprobarComprobante(numero, remitente)
+    : rechazarComprobante(numero, remitente, motivo);
+  if (!revisado) {
+    await transporte.enviarMensaje(remitente, { text: `ℹ️ El comprobante #${numero} ya fue ${registro.estado}.` });
+    return;
+  }
+
+  registrarAuditoria({ actor: remitente, accion: `comprobante ${accion}`, objetivo: `#${numero}`, detalle: revisado.motivo || null });
+  await transporte.enviarMensaje(remitente, { text: `✅ Comprobante #${numero} ${revisado.estado}.` });
+
+  // Se avisa al encargado en su propio idioma
+  const idioma = idiomaDe(revisado.remitente);
+  const campos = { numero, mes: nombreMes(idioma, revisado.mes).toUpperCase(), nombre: revisado.nombreEstudiante };
+  const aviso = revisado.estado === 'aprobado'
+    ? traducir(idioma, 'comprobante.aprobado', campos)
+    : traducir(idioma, 'comprobante.rechazado', campos) +
+      (revisado.motivo ? `\n\n${traducir(idioma, 'comprobante.motivo', { motivo: revisado.motivo })}` : '') +
+      `\n\n${traducir(idioma, 'comprobante.rechazadoPie')}`;
+  try {
+    await transporte.enviarMensaje(revisado.remitente, { text: aviso });
+  } catch (error) {
+    console.error(`Error notificando al encargado ${revisado.remitente}:`, error);
+  }
+}
+
+/**
+ * Ejecuta un comando de administración de recordatorios: ejecución
+ * inmediata o estado.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} accion - ejecutar o estado.
+ */
+async function procesarComandoRecordatorios(transporte, remitente, accion) {
+  if (!tienePermiso(remitente, 'recordatorios')) {
+    await transporte.enviarMensaje(remitente, { text: '❌ No tiene permisos para administrar los recordatorios.' });
+    return;
+  }
+
+  if (accion === 'ejecutar') {
+    const resultado = await revisarRecordatorios(transporte, { forzar: true });
+    registrarAuditoria({
+      actor: remitente,
+      accion: 'recordatorios ejecutar',
+      resultado: resultado.estado === 'error' ? 'error' : 'ok',
+      detalle: resultado.estado === 'enviado' ? `${resultado.enviados} enviado(s)` : resultado.estado
+    });
+    const respuestas = {
+      enviado: `✅ Recordatorios enviados: ${resultado.enviados}. Pendientes para la siguiente revisión: ${resultado.pendientes}.`,
+      silencio: '🌙 Es horario de silencio; los recordatorios se enviarán en la siguiente revisión.',
+      error: '⚠️ No se pudo evaluar la deuda. Revise la hoja de cuentas.'
+    };
+    await transporte.enviarMensaje(remitente, { text: respuestas[resultado.estado] });
+    return;
+  }
+
+  const resumen = obtenerResumenRecordatorios();
+  await transporte.enviarMensaje(remitente, {
+    text: `🔔 *RECORDATORIOS*\n\n` +
+      `▫️ Programados: ${resumen.activo ? 'sí' : 'no'}\n` +
+      `▫️ Avisos enviados: ${resumen.enviados}\n` +
+      `▫️ Encargados excluidos: ${resumen.excluidos}\n` +
+      `▫️ Última ejecución: ${resumen.ultimaEjecucion
+        ? `${formatearFechaHora(new Date(resumen.ultimaEjecucion.fecha))} (${resumen.ultimaEjecucion.enviados} enviado(s), ${resumen.ultimaEjecucion.pendientes} pendiente(s))`
+        : '—'}`
+  });
+}
+
+/**
+ * Arma los mensajes para reenviar lo que escribió una de las partes de un
+ * ticket: texto con encabezado, o la misma media con el encabezado como
+ * caption. Audio y stickers no llevan caption, así que el encabezado va antes.
+ * @param {Object} transporte - Transporte de mensajería (para descargar media).
+ * @param {Object} mensajeObj - Objeto de mensaje original de WhatsApp.
+ * @param {string} encabezado - Quién habla y en qué ticket.
+ * @param {string} texto - Texto del mensaje (sin comandos).
+ * @returns {Promise<Object[]>} Contenidos a enviar.
+ */
+async function mensajesReenviados(transporte, mensajeObj, encabezado, texto) {
+  const cuerpo = texto ? `${encabezado}\n${texto}` : encabezado;
+  const esMedia = mensajeObj && !mensajeObj.conversation && !mensajeObj.extendedTextMessage;
+  const preparado = esMedia ? await prepararContenido(transporte, mensajeObj) : null;
+  if (!preparado) return [{ text: cuerpo }];
+
+  const { contenido, buffer } = preparado;
+  if (contenido.tipo === 'audio' || contenido.tipo === 'sticker') {
+    return [{ text: cuerpo }, armarMensaje(contenido, buffer)];
+  }
+  return [armarMensaje(contenido, buffer, cuerpo)];
+}
+
+/**
+ * Describe al encargado de un ticket y sus alumnos para el agente.
+ * @param {Object} ticket - Ticket abierto.
+ * @returns {Promise<string>} Texto con la identidad del encargado.
+ */
+async function identidadTicket(ticket) {
+  let alumnos;
+  try {
+    const estudiantes = ticket.alumnos.length > 0 ? await buscarEstudiantes(ticket.alumnos) : [];
+    alumnos = ticket.alumnos.map((id, index) => {
+      const estudiante = estudiantes[index];
+      return estudiante ? `▫️ ${estudiante.nombre} - ${estudiante.grado} (${id})` : `▫️ ${id}`;
+    });
+  } catch (error) {
+    alumnos = ticket.alumnos.map(id => `▫️ ${id}`);
+  }
+  return `📱 Encargado: ${ticket.encargado.split('@')[0]}\n` +
+    (alumnos.length > 0 ? `🎓 Alumnos:\n${alumnos.join('\n')}` : '🎓 Sin alumnos vinculados');
+}
+
+/**
+ * Avisa al agente asignado que se abrió un ticket.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {Object} ticket - Ticket recién abierto.
+ */
+async function avisarTicketAbierto(transporte, ticket) {
+  await transporte.enviarMensaje(ticket.agente, {
+    text: `🎧 *TICKET #${ticket.numero} ABIERTO*\n\n${await identidadTicket(ticket)}\n\n` +
+      `Responda con *#${ticket.numero} <mensaje>* (también fotos o documentos con ese texto).\n` +
+      `Para cerrarlo: */ticket cerrar ${ticket.numero}*.`
+  });
+}
+
+/**
+ * Reenvía al encargado la respuesta de un agente ("#<ticket> <mensaje>").
+ * Sólo responde el agente asignado; otro miembro del personal debe tomar el
+ * ticket primero para que el agente anterior se entere.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del agente.
+ * @param {string} numero - Número del ticket.
+ * @param {string} texto - Texto de la respuesta (sin el prefijo).
+ * @param {Object} mensajeObj - Objeto de mensaje original de WhatsApp.
+ */
+async function responderTicket(transporte, remitente, numero, texto, mensajeObj) {
+  const ticket = obtenerTicket(numero);
+  if (!ticket || ticket.estado !== 'abierto') {
+    await transporte.enviarMensaje(remitente, {
+      text: ticket
+        ? `ℹ️ El ticket #${numero} ya está cerrado.`
+        : `❌ No existe el ticket #${numero}. Escriba */tickets* para ver los abiertos.`
+    });
+    return;
+  }
+  if (ticket.agente !== remitente) {
+    registrarAuditoria({ actor: remitente, accion: 'ticket respuesta', objetivo: `#${ticket.numero}`, resultado: 'denegado', detalle: `asignado a ${ticket.agente}` });
+    await transporte.enviarMensaje(remitente, {
+      text: `❌ El ticket #${ticket.numero} lo atiende ${ticket.agente.split('@')[0]}. ` +
+        `Para responderlo, tómelo primero con */ticket tomar ${ticket.numero}*.`
+    });
+    return;
+  }
+
+  registrarActividad(ticket.numero);
+  registrarAuditoria({ actor: remitente, accion: 'ticket respuesta', objetivo: `#${ticket.numero}`, detalle: texto.slice(0, 200) || null });
+  const encabezado = traducir(idiomaDe(ticket.encargado), 'ticket.respuesta');
+  const mensajes = await mensajesReenviados(transporte, mensajeObj, encabezado, texto);
+  for (const contenido of mensajes) {
+    await transporte.enviarMensaje(ticket.encargado, contenido);
+  }
+}
+
+/**
+ * Hace cuánto pasó una fecha, en minutos u horas.
+ * @param {string} fecha - Fecha ISO.
+ * @returns {string} Texto, p. ej. "hace 5 min".
+ */
+function haceCuanto(fecha) {
+  const minutos = Math.floor((Date.now() - new Date(fecha).getTime()) / 60000);
+  return minutos < 60 ? `hace ${minutos} min` : `hace ${Math.floor(minutos / 60)} h`;
+}
+
+/**
+ * Convierte un número escrito por un administrador en JID de WhatsApp.
+ * @param {string} texto - Número con o sin código de país o JID completo.
+ * @returns {string|null} JID o null si no tiene dígitos suficientes.
+ */
+function jidDeNumero(texto) {
+  if (String(texto).includes('@')) return texto;
+  const digitos = String(texto).replace(/\D/g, '');
+  return digitos.length >= 8 ? `${digitos}@s.whatsapp.net` : null;
+}
+
+/**
+ * Ficha de un alumno para la consola: datos, saldo y encargados vinculados.
+ * @param {Object} estudiante - Información del estudiante.
+ * @returns {Promise<string>} Texto de la ficha.
+ */
+async function fichaAlumno(estudiante) {
+  const anterior = await buscarEstudianteAnioAnterior(estudiante);
+  const deuda = calcularDeuda(estudiante, { anterior });
+  const encargados = obtenerEncargadosAlumno(estudiante.id);
+
+  let ficha = `🧑‍🎓 *${String(estudiante.nombre).toUpperCase()}*\n`;
+  ficha += `🆔 ${estudiante.id}\n🏫 Grado: ${estudiante.grado}\n`;
+  ficha += `💵 Cuota mensual: L.${deuda.cuotaMensual} (plan ${estudiante.planDePago || '—'})\n`;
+  ficha += deuda.alDia
+    ? '✅ Al día en pagos\n'
+    : `❌ Deuda total: L.${deuda.totalDeuda} (${deuda.mesesPendientes.join(', ')})\n`;
+  if (parseFloat(deuda.saldoAFavor) > 0) ficha += `💚 Saldo a favor: L.${deuda.saldoAFavor}\n`;
+  ficha += encargados.length > 0
+    ? `👪 Encargados: ${encargados.map(numero => numero.split('@')[0]).join(', ')}`
+    : '👪 Sin encargados vinculados';
+  return ficha;
+}
+
+/**
+ * /alumno <ID o nombre>: busca por ID exacto o por partes del nombre.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @returns {Promise<Object>} { respuesta, objetivo, detalle }
+ */
+async function consolaAlumno(argumentos) {
+  const consulta = argumentos.join(' ');
+  if (/^\d{13}$/.test(consulta)) {
+    const estudiante = await buscarEstudiante(consulta);
+    return estudiante
+      ? { respuesta: await fichaAlumno(estudiante), objetivo: consulta }
+      : { respuesta: `❌ No existe un alumno con ID ${consulta}.`, objetivo: consulta, detalle: 'sin resultados' };
+  }
+
+  const encontrados = await buscarEstudiantesPorNombre(consulta);
+  if (encontrados.length === 0) {
+    return { respuesta: `❌ No se encontraron alumnos con «${consulta}».`, objetivo: consulta, detalle: 'sin resultados' };
+  }
+  if (encontrados.length === 1) {
+    return { respuesta: await fichaAlumno(encontrados[0]), objetivo: encontrados[0].id };
+  }
+
+  const lista = encontrados.slice(0, 10)
+    .map((estudiante, index) => `${index + 1}. ${estudiante.nombre} - ${estudiante.grado} (${estudiante.id})`)
+    .join('\n');
+  const resto = encontrados.length > 10 ? `\n… y ${encontrados.length - 10} más; escriba más palabras del nombre.` : '';
+  return {
+    respuesta: `🔎 ${encontrados.length} alumnos con «${consulta}»:\n\n${lista}${resto}\n\nEscriba */alumno <ID>* para ver la ficha.`,
+    objetivo: consulta,
+    detalle: `${encontrados.length} resultados`
+  };
+}
+
+/**
+ * /encargados <ID>: encargados vinculados a un alumno.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @returns {Promise<Object>} { respuesta, objetivo }
+ */
+async function consolaEncargados([idEstudiante]) {
+  const estudiante = await buscarEstudiante(idEstudiante);
+  const encargados = obtenerEncargadosAlumno(idEstudiante);
+  const nombre = estudiante ? estudiante.nombre : `ID ${idEstudiante} (no está en la hoja)`;
+  if (encargados.length === 0) {
+    return { respuesta: `ℹ️ *${nombre}* no tiene encargados vinculados.`, objetivo: idEstudiante };
+  }
+  const lista = encargados
+    .map(numero => `▫️ ${numero.split('@')[0]} (${obtenerAlumnosEncargado(numero).length} alumno(s))`)
+    .join('\n');
+  return { respuesta: `👪 *Encargados de ${nombre}*\n\n${lista}`, objetivo: idEstudiante };
+}
+
+/**
+ * /vincular <número> <ID>: vincula un encargado a un alumno sin pedir PIN.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @param {string} remitente - Número del administrador (queda como actor en la bitácora).
+ * @returns {Promise<Object>} { respuesta, objetivo, resultado, detalle }
+ */
+async function consolaVincular([numero, idEstudiante], remitente) {
+  const encargado = jidDeNumero(numero);
+  const objetivo = `${encargado}→${idEstudiante}`;
+  const estudiante = await buscarEstudiante(idEstudiante);
+  if (!estudiante) {
+    return { respuesta: `❌ No existe un alumno con ID ${idEstudiante}.`, objetivo, resultado: 'error', detalle: 'alumno inexistente' };
+  }
+  if (obtenerAlumnosEncargado(encargado).includes(idEstudiante)) {
+    return { respuesta: `ℹ️ ${numero} ya estaba vinculado a *${estudiante.nombre}*.`, objetivo, detalle: 'ya vinculado' };
+  }
+  registrarEncargado(encargado, idEstudiante, remitente);
+  return { respuesta: `✅ ${encargado.split('@')[0]} quedó vinculado a *${estudiante.nombre}*.`, objetivo };
+}
+
+/**
+ * /desvincular <número> <ID>: quita la relación encargado-alumno.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @param {string} remitente - Número del administrador (queda como actor en la bitácora).
+ * @returns {Promise<Object>} { respuesta, objetivo, detalle }
+ */
+async function consolaDesvincular([numero, idEstudiante], remitente) {
+  const encargado = jidDeNumero(numero);
+  const objetivo = `${encargado}→${idEstudiante}`;
+  if (!obtenerAlumnosEncargado(encargado).includes(idEstudiante)) {
+    return { respuesta: `ℹ️ ${numero} no está vinculado al alumno ${idEstudiante}.`, objetivo, detalle: 'no vinculado' };
+  }
+  eliminarRelacion(encargado, idEstudiante, remitente);
+  return { respuesta: `✅ Se desvinculó a ${encargado.split('@')[0]} del alumno ${idEstudiante}.`, objetivo };
+}
+
+/**
+ * /refrescar [año]: vuelve a leer la hoja de cuentas desde su fuente.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @returns {Promise<Object>} { respuesta, objetivo, resultado, detalle }
+ */
+async function consolaRefrescar([anioTexto]) {
+  const anio = anioTexto ? Number(anioTexto) : anioActual;
+  if (!aniosDisponibles().includes(anio)) {
+    return {
+      respuesta: `❌ No hay hoja de cuentas para ${anioTexto}. Años disponibles: ${aniosDisponibles().join(', ')}.`,
+      objetivo: anioTexto,
+      resultado: 'error',
+      detalle: 'año no disponible'
+    };
+  }
+  const { cambiado } = await refrescarWorkbook(anio);
+  return {
+    respuesta: cambiado
+      ? `✅ Hoja de cuentas ${anio} actualizada con cambios.`
+      : `✅ Hoja de cuentas ${anio} revisada: sin cambios.`,
+    objetivo: String(anio),
+    detalle: cambiado ? 'con cambios' : 'sin cambios'
+  };
+}
+
+/**
+ * /estado: salud del bot (datos, colas y proceso).
+ * @returns {Promise<Object>} { respuesta }
+ */
+async function consolaEstado() {
+  let respuesta = '🩺 *ESTADO DEL BOT*\n\n';
+  respuesta += `⏱️ En línea desde las ${formatearFechaHora(new Date(Date.now() - process.uptime() * 1000))}\n`;
+  respuesta += `💾 Memoria: ${Math.round(process.memoryUsage().rss / (1024 * 1024))} MB\n`;
+
+  for (const anio of aniosDisponibles()) {
+    // Leer los duplicados carga la hoja si aún no estaba en caché
+    let problemas = '';
+    try {
+      const duplicados = await obtenerDuplicados(anio);
+      if (duplicados.length > 0) {
+        problemas += `\n   ⚠️ IDs duplicados: ${duplicados.map(({ id, filas }) => `${id} (filas ${filas.join(', ')})`).join('; ')}`;
+      }
+    } catch (error) {
+      problemas += `\n   🚨 ${error.codigo === 'ESQUEMA_INVALIDO' ? 'Hoja inválida' : 'No se pudo leer'}: ${error.message.split('\n')[0]}`;
+    }
+    const edad = obtenerEdadDatos(anio);
+    respuesta += `\n📚 *Hoja ${anio}*: `;
+    respuesta += edad
+      ? `datos de las ${formatearFechaHora(edad.actualizado)} (${edad.origen})`
+      : 'sin cargar';
+    if (edad?.ultimoError) respuesta += `\n   ⚠️ Último refresco falló: ${edad.ultimoError}`;
+    respuesta += problemas;
+  }
+
+  const recordatorios = obtenerResumenRecordatorios();
+  const broadcastsEnCurso = listarTrabajos(Infinity).filter(trabajo => trabajo.estado === 'en_curso').length;
+  respuesta += `\n\n👪 Encargados registrados: ${listarEncargados().length}`;
+  respuesta += `\n🧾 Comprobantes pendientes: ${listarPendientes().length}`;
+  respuesta += `\n📤 Broadcasts en curso: ${broadcastsEnCurso}`;
+  respuesta += `\n🔔 Recordatorios: ${recordatorios.activo ? 'activos' : 'desactivados'}` +
+    (recordatorios.ultimaEjecucion ? `, última revisión a las ${formatearFechaHora(new Date(recordatorios.ultimaEjecucion.fecha))}` : '');
+  return { respuesta };
+}
+
+/**
+ * /personal [agregar <número> <rol> [nombre] | quitar <número>]: lista o
+ * modifica el personal (admins.json). Un superadministrador no puede
+ * quitarse a sí mismo ni cambiar su propio rol.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @param {string} remitente - Número del superadministrador.
+ * @returns {Promise<Object>} { respuesta, objetivo, resultado, detalle }
+ */
+async function consolaPersonal([accion = '', numero, rol, ...nombre], remitente) {
+  if (!accion) {
+    const lista = listarPersonal()
+      .map(miembro => `▫️ ${miembro.numero.split('@')[0]} — ${miembro.rol}${miembro.nombre ? ` (${miembro.nombre})` : ''}`)
+      .join('\n');
+    const ayudaRoles = Object.entries(roles).map(([clave, { descripcion }]) => `▫️ ${clave}: ${descripcion}`).join('\n');
+    return { respuesta: `👥 *PERSONAL*\n\n${lista || 'Sin personal registrado.'}\n\n*Roles*\n${ayudaRoles}` };
+  }
+
+  const miembro = jidDeNumero(numero);
+  if (miembro === remitente) {
+    return { respuesta: '❌ No puede modificar su propio acceso.', objetivo: miembro, resultado: 'error', detalle: 'propio acceso' };
+  }
+
+  if (accion === 'quitar') {
+    return quitarPersonal(miembro)
+      ? { respuesta: `✅ Se quitó a ${miembro.split('@')[0]} del personal.`, objetivo: miembro }
+      : { respuesta: `ℹ️ ${miembro.split('@')[0]} no es parte del personal.`, objetivo: miembro, detalle: 'no era personal' };
+  }
+
+  const anterior = obtenerMiembro(miembro);
+  const guardado = agregarPersonal(miembro, rol, nombre.join(' ') || null);
+  return {
+    respuesta: anterior
+      ? `✅ ${miembro.split('@')[0]} ahora es *${guardado.rol}* (antes ${anterior.rol}).`
+      : `✅ ${miembro.split('@')[0]} se agregó al personal como *${guardado.rol}*.`,
+    objetivo: miembro,
+    detalle: anterior ? `${anterior.rol} → ${guardado.rol}` : guardado.rol
+  };
+}
+
+/**
+ * /auditoria [verificar | exportar] [filtros] [cantidad]: consulta la
+ * bitácora de auditoría, comprueba su cadena de hashes o la envía como CSV.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @returns {Promise<Object>} { respuesta, objetivo, resultado, detalle }
+ */
+async function consolaAuditoria(argumentos) {
+  const [subcomando = ''] = argumentos;
+  if (subcomando.toLowerCase() === 'verificar') {
+    const verificacion = verificarAuditoria();
+    return verificacion.valida
+      ? {
+        respuesta: `🔐 Bitácora íntegra: ${verificacion.total} registro(s).\nÚltimo hash: ${verificacion.ultimoHash}`,
+        detalle: `${verificacion.total} registro(s)`
+      }
+      : {
+        respuesta: `🚨 *BITÁCORA ALTERADA*\n\nLínea ${verificacion.error.linea} (registro ${verificacion.error.secuencia}): ${verificacion.error.motivo}.`,
+        resultado: 'error',
+        detalle: `línea ${verificacion.error.linea}: ${verificacion.error.motivo}`
+      };
+  }
+
+  const exportar = subcomando.toLowerCase() === 'exportar';
+  const { filtros, limite, errores } = parsearConsultaAuditoria(exportar ? argumentos.slice(1) : argumentos);
+  if (errores.length > 0) {
+    return {
+      respuesta: `❌ ${errores.join('\n❌ ')}\n\nFiltros: actor:<número> accion:<texto> objetivo:<texto> resultado:ok|denegado|error desde:AAAA-MM-DD hasta:AAAA-MM-DD`,
+      resultado: 'error',
+      detalle: errores.join('; ')
+    };
+  }
+  const descripcion = Object.entries(filtros).map(([clave, valor]) => `${clave}:${valor}`).join(' ') || null;
+
+  if (exportar) {
+    const registros = consultarAuditoria(filtros, limite);
+    return {
+      respuesta: {
+        document: exportarAuditoriaCSV(registros),
+        mimetype: 'text/csv',
+        fileName: `auditoria-${new Date().toISOString().slice(0, 10)}.csv`,
+        caption: `📎 Bitácora de auditoría: ${registros.length} registro(s)${descripcion ? ` (${descripcion})` : ''}.`
+      },
+      objetivo: descripcion,
+      detalle: `exportar ${registros.length} registro(s)`
+    };
+  }
+
+  const registros = consultarAuditoria(filtros, limite || 10);
+  if (registros.length === 0) {
+    return { respuesta: 'ℹ️ No hay registros que coincidan.', objetivo: descripcion };
+  }
+  const lista = registros.map(registro =>
+    `▫️ #${registro.secuencia} ${formatearFechaHora(new Date(registro.fecha))} · ${registro.actor.split('@')[0]} · ` +
+    `${registro.accion} · ${registro.objetivo || '—'} · ${registro.resultado}${registro.detalle ? ` (${registro.detalle})` : ''}`
+  ).join('\n');
+  return {
+    respuesta: `📜 *AUDITORÍA* (últimos ${registros.length})\n\n${lista}\n\n` +
+      'Use */auditoria exportar [filtros]* para el CSV o */auditoria verificar* para comprobar la cadena.',
+    objetivo: descripcion
+  };
+}
+
+/**
+ * /tickets: tickets abiertos con su agente y última actividad.
+ * @returns {Promise<Object>} { respuesta }
+ */
+async function consolaTickets() {
+  const abiertos = listarTicketsAbiertos();
+  if (abiertos.length === 0) return { respuesta: 'ℹ️ No hay tickets abiertos.' };
+  const lista = abiertos.map(ticket =>
+    `▫️ #${ticket.numero} ${ticket.encargado.split('@')[0]} · agente ${ticket.agente.split('@')[0]} · ` +
+    `abierto ${haceCuanto(ticket.abierto)}, última actividad ${haceCuanto(ticket.ultimaActividad)}`
+  ).join('\n');
+  return {
+    respuesta: `🎧 *TICKETS ABIERTOS*\n\n${lista}\n\nUse */ticket <número>*, */ticket tomar <número>* o */ticket cerrar <número>*.`
+  };
+}
+
+/**
+ * /ticket [tomar | cerrar] <número>: detalle, reasignación o cierre de un ticket.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @param {string} remitente - Número del agente.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @returns {Promise<Object>} { respuesta, objetivo, resultado, detalle }
+ */
+async function consolaTicket(argumentos, remitente, transporte) {
+  const [accion, numero] = argumentos.length === 1 ? ['ver', argumentos[0]] : [argumentos[0].toLowerCase(), argumentos[1]];
+  const ticket = obtenerTicket(numero);
+  if (!ticket) {
+    return { respuesta: `❌ No existe el ticket #${numero}.`, objetivo: `#${numero}`, resultado: 'error', detalle: 'no existe' };
+  }
+
+  if (accion === 'ver') {
+    let respuesta = `🎧 *TICKET #${ticket.numero}* (${ticket.estado})\n\n${await identidadTicket(ticket)}\n\n`;
+    respuesta += `👩‍💼 Agente: ${ticket.agente.split('@')[0]}\n🕒 Abierto: ${formatearFechaHora(new Date(ticket.abierto))}`;
+    if (ticket.cerrado) respuesta += `\n🔒 Cerrado: ${formatearFechaHora(new Date(ticket.cerrado))} (${ticket.motivoCierre})`;
+    return { respuesta, objetivo: `#${ticket.numero}` };
+  }
+
+  if (ticket.estado !== 'abierto') {
+    return { respuesta: `ℹ️ El ticket #${ticket.numero} ya está cerrado.`, objetivo: `#${ticket.numero}`, detalle: 'ya cerrado' };
+  }
+
+  if (accion === 'tomar') {
+    const tomado = tomarTicket(ticket.numero, remitente);
+    if (tomado.agenteAnterior !== remitente) {
+      await transporte.enviarMensaje(tomado.agenteAnterior, { text: `ℹ️ ${remitente.split('@')[0]} tomó el ticket #${ticket.numero}.` });
+    }
+    return {
+      respuesta: `✅ Ahora atiende el ticket #${ticket.numero}.\n\n${await identidadTicket(tomado)}`,
+      objetivo: `#${ticket.numero}`
+    };
+  }
+
+  cerrarTicket(ticket.numero, remitente, 'agente');
+  establecerEstado(ticket.encargado, 'MENU_PRINCIPAL');
+  await transporte.enviarMensaje(ticket.encargado, {
+    text: traducir(idiomaDe(ticket.encargado), 'ticket.cerradoPorAdministracion', { numero: ticket.numero })
+  });
+  return { respuesta: `🔒 Ticket #${ticket.numero} cerrado.`, objetivo: `#${ticket.numero}` };
+}
+
+/**
+ * /turno [si | no]: entra o sale del turno de atención de tickets.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @param {string} remitente - Número del agente.
+ * @returns {Promise<Object>} { respuesta, detalle }
+ */
+async function consolaTurno([accion = ''], remitente) {
+  if (accion) establecerTurno(remitente, accion.toLowerCase() !== 'no');
+  const enTurno = agentesEnTurno();
+  const lista = enTurno.length > 0
+    ? enTurno.map(agente => agente.split('@')[0]).join(', ')
+    : 'nadie (los tickets se reparten entre todo el personal de soporte)';
+  return {
+    respuesta: (accion ? `✅ ${accion.toLowerCase() === 'no' ? 'Salió del' : 'Entró al'} turno de atención.\n\n` : '') +
+      `🎧 De turno: ${lista}`,
+    detalle: accion ? accion.toLowerCase() : null
+  };
+}
+
+/**
+ * /verificar <código o token>: confirma un documento emitido por el bot
+ * (código impreso o token del QR de una solvencia) y muestra los datos con
+ * que se emitió.
+ * @param {string[]} argumentos - Argumentos del comando.
+ * @returns {Object} { respuesta, objetivo, detalle }
+ */
+function consolaVerificar([texto]) {
+  const resultado = verificarDocumento(texto);
+  const { titulo, lineas } = resumenVerificacion(resultado, { interno: true });
+  return {
+    respuesta: `*${titulo}*\n\n${lineas.map(([etiqueta, valor]) => `${etiqueta}: ${valor}`).join('\n')}`,
+    objetivo: resultado.datos ? resultado.datos.codigo : texto.slice(0, 20),
+    detalle: resultado.motivo
+  };
+}
+
+// Comandos de la consola de administración ("/<comando> ..."). `permiso`
+// es el permiso de config/roles.js que se revisa antes de ejecutar;
+// `argumentos` valida la cantidad y forma de los argumentos.
+const COMANDOS_CONSOLA = {
+  alumno: {
+    permiso: 'consultar',
+    uso: '/alumno <ID o nombre>',
+    descripcion: 'ficha, saldo y encargados de un alumno',
+    argumentos: args => args.length > 0,
+    ejecutar: consolaAlumno
+  },
+  encargados: {
+    permiso: 'consultar',
+    uso: '/encargados <ID>',
+    descripcion: 'encargados vinculados a un alumno',
+    argumentos: ([id, ...resto]) => /^\d{13}$/.test(id || '') && resto.length === 0,
+    ejecutar: consolaEncargados
+  },
+  vincular: {
+    permiso: 'vincular',
+    uso: '/vincular <número> <ID>',
+    descripcion: 'vincula un encargado a un alumno',
+    argumentos: ([numero, id, ...resto]) => Boolean(jidDeNumero(numero || '')) && /^\d{13}$/.test(id || '') && resto.length === 0,
+    ejecutar: consolaVincular
+  },
+  desvincular: {
+    permiso: 'vincular',
+    uso: '/desvincular <número> <ID>',
+    descripcion: 'quita un alumno a un encargado',
+    argumentos: ([numero, id, ...resto]) => Boolean(jidDeNumero(numero || '')) && /^\d{13}$/.test(id || '') && resto.length === 0,
+    ejecutar: consolaDesvincular
+  },
+  refrescar: {
+    permiso: 'datos',
+    uso: '/refrescar [año]',
+    descripcion: 'vuelve a leer la hoja de cuentas',
+    argumentos: ([anio, ...resto]) => (!anio || /^\d{4}$/.test(anio)) && resto.length === 0,
+    ejecutar: consolaRefrescar
+  },
+  estado: {
+    permiso: 'consultar',
+    uso: '/estado',
+    descripcion: 'salud del bot: datos, colas y proceso',
+    argumentos: args => args.length === 0,
+    ejecutar: consolaEstado
+  },
+  personal: {
+    permiso: 'personal',
+    uso: '/personal [agregar <número> <rol> [nombre] | quitar <número>]',
+    descripcion: 'lista, agrega o quita personal',
+    argumentos: ([accion, numero, rol]) => !accion ||
+      (accion === 'quitar' && Boolean(jidDeNumero(numero || ''))) ||
+      (accion === 'agregar' && Boolean(jidDeNumero(numero || '')) && Boolean(roles[rol])),
+    ejecutar: consolaPersonal
+  },
+  tickets: {
+    permiso: 'soporte',
+    uso: '/tickets',
+    descripcion: 'tickets de atención abiertos',
+    argumentos: args => args.length === 0,
+    ejecutar: consolaTickets
+  },
+  ticket: {
+    permiso: 'soporte',
+    uso: '/ticket [tomar | cerrar] <número>',
+    descripcion: 'detalle, reasignación o cierre de un ticket',
+    argumentos: args => (args.length === 1 && /^\d+$/.test(args[0])) ||
+      (args.length === 2 && /^(tomar|cerrar)$/i.test(args[0]) && /^\d+$/.test(args[1])),
+    ejecutar: consolaTicket
+  },
+  turno: {
+    permiso: 'soporte',
+    uso: '/turno [si | no]',
+    descripcion: 'entra o sale del turno de atención de tickets',
+    argumentos: ([accion, ...resto]) => (!accion || /^(si|sí|no)$/i.test(accion)) && resto.length === 0,
+    ejecutar: consolaTurno
+  },
+  verificar: {
+    permiso: 'consultar',
+    uso: '/verificar <código o token>',
+    descripcion: 'confirma un estado de cuenta o una solvencia emitidos por el bot',
+    argumentos: ([texto, ...resto]) => /^([a-z0-9]{4}-?[a-z0-9]{4}|[\w-]+\.[\w-]+)$/i.test(texto || '') && resto.length === 0,
+    ejecutar: consolaVerificar
+  },
+  auditoria: {
+    permiso: 'auditoria',
+    uso: '/auditoria [verificar | exportar] [actor:… accion:… objetivo:… desde:AAAA-MM-DD hasta:AAAA-MM-DD] [cantidad]',
+    descripcion: 'consulta, verifica o exporta la bitácora de auditoría',
+    argumentos: () => true,
+    ejecutar: consolaAuditoria
+  }
+};
+
+/**
+ * Ayuda de la consola de administración con los comandos que el usuario puede usar.
+ * @param {string} remitente - Número del usuario.
+ * @returns {string} Lista de comandos.
+ */
+function ayudaConsola(remitente) {
+  const miembro = obtenerMiembro(remitente);
+  return `🛠️ *CONSOLA DE ADMINISTRACIÓN* (rol: ${miembro.rol})\n\n` +
+    Object.values(COMANDOS_CONSOLA)
+      .filter(comando => tienePermiso(remitente, comando.permiso))
+      .map(comando => `▫️ ${comando.uso} — ${comando.descripcion}`)
+      .join('\n');
+}
+
+/**
+ * Ejecuta un comando de la consola de administración ("/comando ...").
+ * Se revisa el permiso antes de ejecutar y todo intento, incluso los
+ * denegados, queda en la bitácora de auditoría.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} mensaje - Texto completo del mensaje.
+ */
+async function procesarComandoConsola(transporte, remitente, mensaje) {
+  const [nombre = '', ...argumentos] = mensaje.trim().slice(1).split(/\s+/).filter(Boolean);
+  const clave = nombre.toLowerCase();
+  const comando = COMANDOS_CONSOLA[clave];
+  const accion = `/${clave}`;
+
+  // Sin comando conocido sólo se muestra la ayuda, que requiere ser parte del personal
+  if (comando ? !tienePermiso(remitente, comando.permiso) : !isAdmin(remitente)) {
+    console.log(`User ${remitente} is not allowed to run ${accion}.`);
+    registrarAuditoria({ actor: remitente, accion, objetivo: argumentos.join(' ') || null, resultado: 'denegado' });
+    await transporte.enviarMensaje(remitente, {
+      text: isAdmin(remitente)
+        ? `❌ Su rol no tiene permiso para ${accion}. Escriba */ayuda* para ver sus comandos.`
+        : '❌ No tiene permisos para usar comandos de administración.'
+    });
+    return;
+  }
+
+  if (!comando) {
+    await transporte.enviarMensaje(remitente, {
+      text: (clave && clave !== 'ayuda' ? `❌ Comando desconocido: ${accion}\n\n` : '') + ayudaConsola(remitente)
+    });
+    return;
+  }
+
+  if (!comando.argumentos(argumentos)) {
+    let aviso = comando.uso.includes('<ID') ? '\n\nEl ID del alumno debe tener 13 dígitos.' : '';
+    if (comando.uso.includes('<rol>')) aviso += `\n\nRoles: ${Object.keys(roles).join(', ')}.`;
+    await transporte.enviarMensaje(remitente, { text: `Uso: *${comando.uso}*${aviso}` });
+    return;
+  }
+
+  console.log(`Admin ${remitente} console ${accion} ${argumentos.join(' ')}`);
+  let respuesta;
+  try {
+    const salida = await comando.ejecutar(argumentos, remitente, transporte);
+    respuesta = salida.respuesta;
+    registrarAuditoria({
+      actor: remitente,
+      accion,
+      objetivo: salida.objetivo || null,
+      resultado: salida.resultado || 'ok',
+      detalle: salida.detalle || null
+    });
+  } catch (error) {
+    console.error(`Error en ${accion}:`, error);
+    respuesta = `❌ No se pudo completar ${accion}: ${error.message.split('\n')[0]}`;
+    registrarAuditoria({ actor: remitente, accion, objetivo: argumentos.join(' ') || null, resultado: 'error', detalle: error.message });
+  }
+  // La respuesta puede ser texto o un contenido completo (p. ej. un documento)
+  await transporte.enviarMensaje(remitente, typeof respuesta === 'string' ? { text: respuesta } : respuesta);
+}
+
+/**
+ * Atiende los comandos de texto del personal fuera de la consola:
+ * broadcasts, plantillas, envíos, PINs, comprobantes y recordatorios.
+ * Salvo broadcast y recordatorios, que responden si falta el permiso, un
+ * comando sin permiso no se atiende y sigue el flujo normal del menú.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} mensaje - Texto del mensaje recibido.
+ * @returns {Promise<boolean>} True si el mensaje era un comando del personal.
+ */
+async function procesarComandoPersonal(transporte, remitente, mensaje) {
+  const textoMinuscula = mensaje.toLowerCase();
+
+  // Check for broadcast command from admin
+  if (textoMinuscula.startsWith('broadcast ') || textoMinuscula.startsWith('bc ')) {
+    await procesarComandoBroadcast(transporte, remitente, mensaje);
+    return true;
+  }
+
+  // Plantillas de broadcast guardadas: "plantillas" o "plantilla guardar|ver|borrar|campos ..."
+  if (/^plantillas?(\s|$)/.test(textoMinuscula) && tienePermiso(remitente, 'broadcast')) {
+    await procesarComandoPlantilla(transporte, remitente, mensaje.trim());
+    return true;
+  }
+
+  // Trabajos de broadcast: "envios", "envio <número>" o "envio cancelar <número>"
+  const comandoEnvio = textoMinuscula.match(/^envios?(?:\s+(cancelar\s+)?(\S+))?$/);
+  if (comandoEnvio && tienePermiso(remitente, 'broadcast')) {
+    const accion = comandoEnvio[1] ? 'cancelar' : (comandoEnvio[2] ? 'ver' : '');
+    await procesarComandoEnvio(transporte, remitente, accion, comandoEnvio[2] || '');
+    return true;
+  }
+
+  // Levantar un bloqueo de PIN: "desbloquear <número o ID de alumno>"
+  if (textoMinuscula.startsWith('desbloquear ') && tienePermiso(remitente, 'pines')) {
+    await procesarComandoDesbloqueo(transporte, remitente, mensaje.substring(12).trim());
+    return true;
+  }
+
+  // Revisión de comprobantes: "comprobantes" o "comprobante ver|aprobar|rechazar <número> [motivo]"
+  if (/^comprobantes?(\s|$)/.test(textoMinuscula) && tienePermiso(remitente, 'comprobantes')) {
+    const [comando, accion = '', numero = '', ...motivo] = mensaje.trim().split(/\s+/);
+    await procesarComandoComprobante(
+      transporte, remitente, comando.toLowerCase() === 'comprobantes' ? '' : accion.toLowerCase(), numero, motivo.join(' ')
+    );
+    return true;
+  }
+
+  // Recordatorios: "recordatorios ejecutar|estado"
+  const comandoRecordatorios = textoMinuscula.match(/^recordatorios\s+(ejecutar|estado)$/);
+  if (comandoRecordatorios) {
+    await procesarComandoRecordatorios(transporte, remitente, comandoRecordatorios[1]);
+    return true;
+  }
+
+  // Ciclo de vida del PIN: "pin generar|reset|expirar|info <ID de alumno>"
+  if (textoMinuscula.startsWith('pin ') && tienePermiso(remitente, 'pines')) {
+    const [, accion = '', idEstudiante = ''] = mensaje.trim().split(/\s+/);
+    await procesarComandoPIN(transporte, remitente, accion.toLowerCase(), idEstudiante);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  procesarComandoConsola,
+  procesarComandoPersonal,
+  responderTicket,
+  iniciarMenuBroadcast,
+  procesarEstadoBroadcast,
+  notificarAdmins,
+  alertarErrorDatos,
+  alertarDuplicados,
+  avisarComprobanteNuevo,
+  avisarTicketAbierto,
+  mensajesReenviados
+};
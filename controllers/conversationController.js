@@ -0,0 +1,975 @@
+/**
+ * Controlador de la lógica de conversación del bot.
+ * No depende de WhatsApp: recibe un transporte (ver transports/) que
+ * se encarga de enviar mensajes y descargar media.
+ */
+
+const {
+  buscarEstudiante,
+  buscarEstudiantes,
+  buscarEstudianteAnioAnterior,
+  calcularDeuda
+} = require('../services/studentService');
+const { aniosDisponibles, obtenerEdadDatos } = require('../services/studentExcelService');
+const { validarPIN } = require('../services/pinService');
+const { registrarEncargado, obtenerAlumnosEncargado, eliminarRelacion } = require('../services/encargadoService');
+const {
+  establecerEstado,
+  obtenerEstado,
+  establecerUltimoSaludo,
+  obtenerUltimoSaludo,
+  establecerUltimaConsulta,
+  obtenerUltimaConsulta
+} = require('../services/stateService');
+const {
+  verificarIntento,
+  registrarFallo,
+  registrarExito,
+  desbloquear
+} = require('../services/pinAttemptService');
+const { esTipoPermitido, registrarComprobante } = require('../services/receiptService');
+const { reglasParaPlan } = require('../services/feeService');
+const { excluirRecordatorios } = require('../services/reminderService');
+const { MESES } = require('../services/schemaService');
+const {
+  ticketAbiertoDe,
+  ticketVencido,
+  abrirTicket,
+  registrarActividad,
+  cerrarTicket,
+  cerrarTicketsInactivos
+} = require('../services/ticketService');
+const { clasificarIntencion } = require('../services/intentService');
+const { enviarMenu } = require('../services/menuService');
+const { emitirEstadoCuenta, emitirSolvencia } = require('../services/documentService');
+const {
+  traductor,
+  traducir,
+  idiomaDe,
+  tieneIdioma,
+  establecerIdioma,
+  adivinarIdioma,
+  nombreMes,
+  formatearFechaHora
+} = require('../services/i18nService');
+const { esperar, esperarAleatorio } = require('../services/delayService');
+const {
+  infoEscuela,
+  seguridadPin,
+  anioActual,
+  zonaHoraria,
+  comprobantes: configComprobantes
+} = require('../config/config');
+const { isAdmin, tienePermiso } = require('../services/adminService');
+const { registrarAuditoria } = require('../services/auditService');
+const {
+  procesarComandoConsola,
+  procesarComandoPersonal,
+  responderTicket,
+  iniciarMenuBroadcast,
+  procesarEstadoBroadcast,
+  notificarAdmins,
+  alertarErrorDatos,
+  alertarDuplicados,
+  avisarComprobanteNuevo,
+  avisarTicketAbierto,
+  mensajesReenviados
+} = require('./adminController');
+
+/**
+ * Envía el menú principal al usuario.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ */
+async function enviarMenuPrincipal(transporte, remitente) {
+  const t = traductor(remitente);
+  const alumnos = obtenerAlumnosEncargado(remitente);
+  const ids = ['1', '2', '3', '4'];
+
+  if (alumnos.length > 0) {
+    ids.push('5');
+  }
+
+  // Opción del menú sólo para el personal
+  if (tienePermiso(remitente, 'broadcast')) {
+    ids.push('6');
+  }
+
+  if (alumnos.length > 0) {
+    ids.push('7');
+  }
+
+  // Cambio de idioma, siempre al final
+  ids.push('8');
+
+  let cuerpo = t('menu.seleccione');
+  if (alumnos.length > 0) {
+    cuerpo = `${t('menu.alumnos', { cantidad: alumnos.length })}\n\n${cuerpo}`;
+  }
+
+  establecerEstado(remitente, 'MENU_PRINCIPAL');
+  await enviarMenu(transporte, remitente, {
+    titulo: t('menu.titulo'),
+    cuerpo,
+    opciones: ids.map(id => ({
+      id,
+      titulo: t(`menu.${id}.titulo`),
+      descripcion: t(`menu.${id}.descripcion`),
+      texto: t(`menu.${id}.texto`)
+    })),
+    pie: t('menu.pie'),
+    boton: t('menu.boton'),
+    ayuda: t('menu.pieInteractivo')
+  });
+}
+
+/**
+ * Cambia el idioma del encargado y le muestra el menú en el nuevo idioma.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {string} idioma - Código de idioma.
+ */
+async function cambiarIdioma(transporte, remitente, idioma) {
+  establecerIdioma(remitente, idioma);
+  console.log(`[${new Date().toISOString()}] Idioma de ${remitente}: ${idioma}`);
+  await transporte.enviarMensaje(remitente, { text: traducir(idioma, 'idioma.cambiado') });
+  await enviarMenuPrincipal(transporte, remitente);
+}
+
+/**
+ * Convierte lo que escribió el encargado en el menú principal en una opción.
+ * Los números y "pagos <año>" pasan tal cual; el texto libre se clasifica
+ * (ver intentService): con confianza alta devuelve la opción, con confianza
+ * media sugiere la opción y devuelve null, y con confianza baja devuelve el
+ * texto original para que se muestre el menú.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - JID del encargado.
+ * @param {string} mensaje - Texto recibido.
+ * @returns {Promise<string|null>} Opción del menú, el texto original o null si ya se respondió.
+ */
+async function resolverOpcionMenu(transporte, remitente, mensaje) {
+  const texto = mensaje.trim();
+  if (!texto || /^\d+$/.test(texto) || /^(pagos|payments)\s+\d{4}$/i.test(texto) || /^(pdf|solvencia|solvency)$/i.test(texto)) {
+    return texto;
+  }
+
+  const t = traductor(remitente);
+  const { intencion, opcion, confianza, accion } = clasificarIntencion(texto);
+  console.log(`[${new Date().toISOString()}] Intención en menú de ${remitente}: ${intencion || 'ninguna'} (${confianza}, ${accion})`);
+
+  if (accion === 'ejecutar') {
+    return opcion;
+  }
+  if (accion === 'sugerir') {
+    await enviarMenuConDelay(transporte, remitente, {
+      titulo: t('intencion.sugerencia', { nombre: t(`intencion.${intencion}`) }),
+      opciones: [
+        { id: opcion, titulo: t('intencion.si'), texto: t('intencion.siTexto', { opcion }) },
+        { id: 'menu', titulo: t('intencion.menu'), texto: t('intencion.menuTexto') }
+      ]
+    });
+    return null;
+  }
+  return texto;
+}
+
+/**
+ * Describe el estado de un mes para el mensaje de estado de pagos.
+ * @param {Object} detalle - Entrada de detalleMeses de calcularDeuda.
+ * @param {Function} t - Traductor del encargado.
+ * @returns {string} Texto del estado.
+ */
+function describirMes(detalle, t) {
+  const aplicado = parseFloat(detalle.creditoAplicado) > 0
+    ? t('pagos.mes.creditoAplicado', { monto: detalle.creditoAplicado })
+    : '';
+  const campos = { ...detalle, aplicado };
+  switch (detalle.estado) {
+    case 'pagado':
+    case 'excedente':
+    case 'parcial':
+    case 'cubierto':
+    case 'exonerado':
+    case 'nota':
+      return t(`pagos.mes.${detalle.estado}`, campos);
+    default:
+      return t('pagos.mes.pendiente', campos);
+  }
+}
+
+/**
+ * Envía el estado de pagos detallado al usuario.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {Object} estudiante - Información del estudiante.
+ */
+async function enviarEstadoPagos(transporte, remitente, estudiante) {
+  const idioma = idiomaDe(remitente);
+  const t = traductor(remitente);
+  if (!estudiante || !estudiante.nombre) {
+    await transporte.enviarMensaje(remitente, { text: t('alumno.noEncontrado') });
+    return;
+  }
+
+  const anterior = await buscarEstudianteAnioAnterior(estudiante);
+  const deuda = calcularDeuda(estudiante, { anterior });
+
+  let respuesta = `${t('pagos.titulo', { anio: estudiante.anio, nombre: estudiante.nombre.toUpperCase() })}\n`;
+  respuesta += `${t('pagos.grado', { grado: estudiante.grado })}\n\n`;
+
+  deuda.detalleMeses.forEach(detalle => {
+    const mes = nombreMes(idioma, detalle.mes);
+    respuesta += `▫️ ${mes.charAt(0).toUpperCase() + mes.slice(1)}: ${describirMes(detalle, t)}\n`;
+  });
+
+  respuesta += `\n${t('pagos.cuota', { monto: deuda.cuotaMensual })}`;
+  respuesta += `\n${t('pagos.mesesPendientes', { cantidad: deuda.mesesPendientes.length })}`;
+  if (parseFloat(deuda.saldoAFavor) > 0) {
+    respuesta += `\n${t('pagos.saldoAFavor', { monto: deuda.saldoAFavor })}`;
+  }
+  if (deuda.arrastre) {
+    respuesta += `\n${t('pagos.arrastre', {
+      anio: deuda.arrastre.anio,
+      meses: deuda.arrastre.mesesPendientes.map(mes => nombreMes(idioma, mes).toUpperCase()).join(', '),
+      monto: deuda.arrastre.totalDeuda
+    })}`;
+  }
+  respuesta += `\n\n${deuda.alDia
+    ? t('pagos.alDia')
+    : t('pagos.deuda', { mensualidad: deuda.deudaMensualidad, mora: deuda.deudaMora, total: deuda.totalDeuda })}`;
+
+  const edadDatos = obtenerEdadDatos(estudiante.anio);
+  if (edadDatos) {
+    respuesta += `\n\n${t('pagos.actualizado', { fecha: formatearFechaHora(edadDatos.actualizado, idioma) })}`;
+  }
+
+  const otrosAnios = aniosDisponibles().filter(anio => anio !== estudiante.anio);
+  if (otrosAnios.length > 0) {
+    respuesta += `\n\n${t('pagos.otrosAnios', { anios: otrosAnios.join(', ') })}`;
+  }
+  respuesta += `\n\n${t('pagos.pdf')}`;
+  if (deuda.alDia) {
+    respuesta += `\n${t('pagos.solvencia')}`;
+  }
+
+  establecerUltimaConsulta(remitente, { idEstudiante: estudiante.id, anio: estudiante.anio });
+  await transporte.enviarMensaje(remitente, { text: respuesta });
+}
+
+/**
+ * Elige el alumno de un documento pedido desde el menú: el del último
+ * estado de pagos consultado, o el único alumno si el encargado tiene uno.
+ * Si no hay alumno que elegir se lo indica al encargado.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {string[]} alumnos - IDs de los alumnos del encargado.
+ * @returns {Promise<Object|null>} { estudiante, deuda } o null si ya se respondió.
+ */
+async function alumnoParaDocumento(transporte, remitente, alumnos) {
+  const t = traductor(remitente);
+  const consulta = obtenerUltimaConsulta(remitente);
+  let idEstudiante = consulta ? consulta.idEstudiante : null;
+  let anio = consulta ? consulta.anio : anioActual;
+
+  // El alumno pudo desvincularse desde la última consulta
+  if (!alumnos.includes(idEstudiante)) {
+    idEstudiante = alumnos.length === 1 ? alumnos[0] : null;
+    anio = anioActual;
+  }
+  if (!idEstudiante) {
+    await enviarMensajeConDelay(transporte, remitente, {
+      text: alumnos.length === 0 ? t('menu.sinAlumnos') : t('documento.consulteAntes')
+    });
+    return null;
+  }
+
+  const estudiante = await buscarEstudiante(idEstudiante, anio);
+  if (!estudiante) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('alumno.noEncontrado') });
+    return null;
+  }
+
+  const anterior = await buscarEstudianteAnioAnterior(estudiante);
+  return { estudiante, deuda: calcularDeuda(estudiante, { anterior }) };
+}
+
+/**
+ * Envía como documento de WhatsApp el estado de cuenta en PDF del último
+ * alumno consultado, o del único alumno si el encargado tiene uno.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {string[]} alumnos - IDs de los alumnos del encargado.
+ */
+async function enviarEstadoCuentaPdf(transporte, remitente, alumnos) {
+  const seleccion = await alumnoParaDocumento(transporte, remitente, alumnos);
+  if (!seleccion) return;
+
+  const { estudiante, deuda } = seleccion;
+  const { codigo, buffer, nombreArchivo } = await emitirEstadoCuenta({ remitente, estudiante, deuda });
+  console.log(`[${new Date().toISOString()}] Estado de cuenta ${codigo} de ${estudiante.id} enviado a ${remitente}`);
+
+  await transporte.enviarMensaje(remitente, {
+    document: buffer,
+    mimetype: 'application/pdf',
+    fileName: nombreArchivo,
+    caption: traducir(idiomaDe(remitente), 'documento.estadoCuenta', { anio: deuda.anio, nombre: estudiante.nombre, codigo })
+  });
+}
+
+/**
+ * Envía la constancia de solvencia en PDF (con token firmado y QR) del
+ * último alumno consultado, si está al día en pagos.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {string[]} alumnos - IDs de los alumnos del encargado.
+ */
+async function enviarSolvencia(transporte, remitente, alumnos) {
+  const seleccion = await alumnoParaDocumento(transporte, remitente, alumnos);
+  if (!seleccion) return;
+
+  const t = traductor(remitente);
+  const { estudiante, deuda } = seleccion;
+  if (!deuda.alDia) {
+    await enviarMensajeConDelay(transporte, remitente, {
+      text: t('documento.solvenciaConDeuda', { nombre: estudiante.nombre, total: deuda.totalDeuda })
+    });
+    return;
+  }
+
+  const { codigo, vence, buffer, nombreArchivo } = await emitirSolvencia({ remitente, estudiante, deuda });
+  console.log(`[${new Date().toISOString()}] Solvencia ${codigo} de ${estudiante.id} enviada a ${remitente}`);
+  registrarAuditoria({ actor: remitente, accion: 'solvencia', objetivo: estudiante.id, detalle: codigo });
+
+  const dia = vence.toLocaleDateString('es-HN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: zonaHoraria });
+  await transporte.enviarMensaje(remitente, {
+    document: buffer,
+    mimetype: 'application/pdf',
+    fileName: nombreArchivo,
+    caption: t('documento.solvencia', { anio: deuda.anio, nombre: estudiante.nombre, codigo, vence: dia })
+  });
+}
+
+/**
+ * Obtiene la imagen o documento adjunto de un mensaje recibido.
+ * Los documentos con texto llegan envueltos en documentWithCaptionMessage.
+ * @param {Object} mensajeObj - Objeto de mensaje original de WhatsApp.
+ * @returns {Object|null} { contenedor, mimetype, tamano } o null si no trae imagen ni documento.
+ */
+function extraerMedia(mensajeObj) {
+  const contenedor = mensajeObj?.documentWithCaptionMessage?.message || mensajeObj;
+  const nodo = contenedor?.imageMessage || contenedor?.documentMessage;
+  if (!nodo) return null;
+  return {
+    contenedor,
+    mimetype: nodo.mimetype || (contenedor.imageMessage ? 'image/jpeg' : ''),
+    tamano: Number(nodo.fileLength) || 0
+  };
+}
+
+/**
+ * Inicia el reporte de un pago: elige el alumno si el encargado tiene varios.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string[]} alumnos - IDs de los alumnos del encargado.
+ */
+async function iniciarReportePago(transporte, remitente, alumnos) {
+  const t = traductor(remitente);
+  const estudiantes = (await buscarEstudiantes(alumnos)).filter(Boolean);
+
+  if (estudiantes.length === 0) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('menu.sinAlumnos') });
+    await enviarMenuPrincipal(transporte, remitente);
+  } else if (estudiantes.length === 1) {
+    await pedirMesReporte(transporte, remitente, estudiantes[0]);
+  } else {
+    establecerEstado(remitente, 'REPORTE_ALUMNO', { alumnos: estudiantes.map(e => e.id) });
+    await enviarMenuConDelay(transporte, remitente, {
+      titulo: t('reporte.titulo'),
+      opciones: opcionesAlumnos(estudiantes),
+      pie: t('reporte.pie'),
+      boton: t('lista.boton')
+    });
+  }
+}
+
+/**
+ * Pide el mes al que corresponde el pago, marcando los meses pendientes.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {Object} estudiante - Información del estudiante.
+ */
+async function pedirMesReporte(transporte, remitente, estudiante) {
+  const idioma = idiomaDe(remitente);
+  const pendientes = calcularDeuda(estudiante).mesesPendientes;
+  const meses = reglasParaPlan(estudiante.planDePago).mesesFacturables.map(num => MESES[num - 1]);
+
+  let mensajeMeses = `${traducir(idioma, 'reporte.meses', { nombre: estudiante.nombre.toUpperCase() })}\n\n`;
+  meses.forEach((mes, index) => {
+    const marca = pendientes.includes(mes.toUpperCase()) ? ' ❌' : '';
+    const nombre = nombreMes(idioma, mes);
+    mensajeMeses += `${index + 1}. ${nombre.charAt(0).toUpperCase() + nombre.slice(1)}${marca}\n`;
+  });
+  mensajeMeses += `\n${traducir(idioma, 'reporte.mesesPie')}`;
+
+  establecerEstado(remitente, 'REPORTE_MES', { idEstudiante: estudiante.id, meses });
+  await enviarMensajeConDelay(transporte, remitente, { text: mensajeMeses });
+}
+
+/**
+ * Guarda el comprobante enviado por el encargado y avisa a administración.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {Object} datos - { idEstudiante, mes } del estado REPORTE_ARCHIVO.
+ * @param {Object} media - Resultado de extraerMedia.
+ */
+async function recibirComprobante(transporte, remitente, datos, media) {
+  const t = traductor(remitente);
+  if (!esTipoPermitido(media.mimetype)) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('reporte.tipoInvalido') });
+    return;
+  }
+
+  const limiteMb = configComprobantes.tamanoMaximoBytes / (1024 * 1024);
+  if (media.tamano > configComprobantes.tamanoMaximoBytes) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('reporte.muyGrande', { limite: limiteMb }) });
+    return;
+  }
+
+  const buffer = await transporte.descargarMedia(media.contenedor);
+  if (!buffer || buffer.length === 0 || buffer.length > configComprobantes.tamanoMaximoBytes) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('reporte.noRecibido', { limite: limiteMb }) });
+    return;
+  }
+
+  const estudiante = await buscarEstudiante(datos.idEstudiante);
+  const registro = registrarComprobante({
+    remitente,
+    idEstudiante: datos.idEstudiante,
+    nombreEstudiante: estudiante ? estudiante.nombre : datos.idEstudiante,
+    anio: anioActual,
+    mes: datos.mes,
+    buffer,
+    mimetype: media.mimetype
+  });
+
+  await enviarMensajeConDelay(transporte, remitente, {
+    text: t('reporte.recibido', { numero: registro.numero, mes: nombreMes(idiomaDe(remitente), datos.mes).toUpperCase() })
+  });
+
+  await avisarComprobanteNuevo(transporte, registro, buffer);
+
+  await esperar(1500);
+  await enviarMenuPrincipal(transporte, remitente);
+}
+
+/**
+ * Opción 4: abre un ticket de atención con administración. Si no hay
+ * personal de soporte, muestra los datos de contacto de la escuela.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {string[]} alumnos - IDs de los alumnos vinculados.
+ */
+async function abrirAtencion(transporte, remitente, alumnos) {
+  const t = traductor(remitente);
+  const apertura = abrirTicket(remitente, alumnos);
+  if (!apertura) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('contacto.mensaje', infoEscuela) });
+    return;
+  }
+
+  const { ticket, nuevo } = apertura;
+  await enviarMensajeConDelay(transporte, remitente, {
+    text: t('ticket.abierto', { numero: ticket.numero, horario: infoEscuela.horario })
+  });
+  if (!nuevo) return;
+
+  await avisarTicketAbierto(transporte, ticket);
+}
+
+/**
+ * Atiende un mensaje del encargado mientras tiene un ticket abierto: lo
+ * reenvía al agente o cierra el ticket si escribe "cerrar".
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {Object} ticket - Ticket abierto.
+ * @param {string} mensaje - Texto del mensaje.
+ * @param {Object} mensajeObj - Objeto de mensaje original de WhatsApp.
+ */
+async function atenderMensajeTicket(transporte, remitente, ticket, mensaje, mensajeObj) {
+  const t = traductor(remitente);
+  const texto = mensaje.trim().toLowerCase();
+  if (texto === 'cerrar' || texto === t('ticket.cerrar')) {
+    cerrarTicket(ticket.numero, remitente, 'encargado');
+    await transporte.enviarMensaje(ticket.agente, { text: `🔒 El encargado cerró el ticket #${ticket.numero}.` });
+    await enviarMensajeConDelay(transporte, remitente, { text: t('ticket.cerrado', { numero: ticket.numero }) });
+    await enviarMenuPrincipal(transporte, remitente);
+    return;
+  }
+
+  registrarActividad(ticket.numero);
+  try {
+    const mensajes = await mensajesReenviados(transporte, mensajeObj, `🎧 *#${ticket.numero}* ${remitente.split('@')[0]}:`, mensaje);
+    for (const contenido of mensajes) {
+      await transporte.enviarMensaje(ticket.agente, contenido);
+    }
+  } catch (error) {
+    console.error(`Error reenviando el mensaje del ticket #${ticket.numero}:`, error);
+    await transporte.enviarMensaje(remitente, { text: t('ticket.errorEntrega') });
+  }
+}
+
+/**
+ * Activa o desactiva los recordatorios de pago de un encargado
+ * ("recordatorios no|si", "reminders off|on").
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del encargado.
+ * @param {boolean} excluir - True para dejar de recibir recordatorios.
+ */
+async function cambiarRecordatorios(transporte, remitente, excluir) {
+  excluirRecordatorios(remitente, excluir);
+  await transporte.enviarMensaje(remitente, {
+    text: traducir(idiomaDe(remitente), excluir ? 'recordatorios.desactivados' : 'recordatorios.activados')
+  });
+}
+
+/**
+ * Inicia la consulta de estado de pagos de un año escolar: muestra el
+ * estado directamente si hay un solo alumno, o la lista para elegir.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string[]} alumnos - IDs de los alumnos del encargado.
+ * @param {number} anio - Año escolar a consultar.
+ */
+async function iniciarConsultaPagos(transporte, remitente, alumnos, anio) {
+  const t = traductor(remitente);
+  if (alumnos.length === 0) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('menu.sinAlumnos') });
+    await enviarMenuPrincipal(transporte, remitente);
+    return;
+  }
+
+  const estudiantes = (await buscarEstudiantes(alumnos, anio)).filter(Boolean);
+
+  if (estudiantes.length === 0) {
+    await enviarMensajeConDelay(transporte, remitente, { text: t('pagos.sinInformacion', { anio }) });
+    await enviarMenuPrincipal(transporte, remitente);
+  } else if (estudiantes.length === 1) {
+    await enviarEstadoPagos(transporte, remitente, estudiantes[0]);
+    await esperar(15000);
+    await enviarMenuPrincipal(transporte, remitente);
+  } else {
+    establecerEstado(remitente, 'SELECCION_ALUMNO', { alumnos: estudiantes.map(e => e.id), anio });
+    await enviarMenuConDelay(transporte, remitente, {
+      titulo: t('pagos.seleccione', { anio }),
+      opciones: opcionesAlumnos(estudiantes),
+      pie: t('pagos.seleccionePie'),
+      boton: t('lista.boton')
+    });
+  }
+}
+
+async function enviarMensajeConDelay(transporte, remitente, mensaje) {
+  await esperarAleatorio(1000, 10000); // 1 to 10 seconds
+  await transporte.enviarMensaje(remitente, mensaje);
+}
+
+async function enviarMenuConDelay(transporte, remitente, menu) {
+  await esperarAleatorio(1000, 10000); // 1 to 10 seconds
+  await enviarMenu(transporte, remitente, { ayuda: traducir(idiomaDe(remitente), 'menu.pieInteractivo'), ...menu });
+}
+
+/**
+ * Opciones de menú para elegir un alumno: "1. Nombre - Grado".
+ * @param {Object[]} estudiantes - Estudiantes en el orden de la lista.
+ * @returns {Object[]} Opciones para enviarMenu.
+ */
+function opcionesAlumnos(estudiantes) {
+  return estudiantes.map((estudiante, index) => ({
+    id: String(index + 1),
+    titulo: estudiante.nombre,
+    descripcion: estudiante.grado
+  }));
+}
+
+/**
+ * Procesa los mensajes recibidos y maneja la lógica de conversación.
+ * Ante cualquier error responde que el servicio no está disponible y vuelve
+ * al menú principal; si la hoja de cuentas no es válida, además alerta a los
+ * administradores en vez de mostrar datos erróneos. Si la hoja tiene IDs
+ * duplicados, también los avisa.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} mensaje - Texto del mensaje recibido.
+ * @param {Object} mensajeObj - Objeto de mensaje original de WhatsApp.
+ */
+async function procesarMensaje(transporte, remitente, mensaje, mensajeObj) {
+  try {
+    await manejarMensaje(transporte, remitente, mensaje, mensajeObj);
+  } catch (error) {
+    console.error(`Error procesando el mensaje de ${remitente}:`, error);
+    establecerEstado(remitente, 'MENU_PRINCIPAL');
+    await transporte.enviarMensaje(remitente, { text: traducir(idiomaDe(remitente), 'error.servicioNoDisponible') });
+    if (error.codigo === 'ESQUEMA_INVALIDO') await alertarErrorDatos(transporte, error);
+  }
+  await alertarDuplicados(transporte);
+}
+
+async function manejarMensaje(transporte, remitente, mensaje, mensajeObj) {
+  const estado = obtenerEstado(remitente);
+  let t = traductor(remitente);
+  const alumnos = obtenerAlumnosEncargado(remitente);
+  const textoMinuscula = mensaje.toLowerCase();
+
+  // Consola de administración: "/comando ..." se atiende antes del saludo y de los estados del menú.
+  // Un encargado que no es del personal y tiene un ticket abierto sólo habla con el agente
+  if (mensaje.trim().startsWith('/') && (isAdmin(remitente) || !ticketAbiertoDe(remitente))) {
+    await procesarComandoConsola(transporte, remitente, mensaje);
+    return;
+  }
+
+  // Respuesta del personal a un ticket: "#<ticket> <mensaje>" (texto o caption de media)
+  const respuestaTicket = mensaje.trim().match(/^#(\d+)\s*([\s\S]*)$/);
+  if (respuestaTicket && tienePermiso(remitente, 'soporte')) {
+    await responderTicket(transporte, remitente, respuestaTicket[1], respuestaTicket[2].trim(), mensajeObj);
+    return;
+  }
+
+  // Mientras el encargado tenga un ticket abierto el bot no interviene y reenvía todo
+  let ticket = ticketAbiertoDe(remitente);
+  if (ticket && ticketVencido(ticket)) {
+    await cerrarTicketsInactivos(transporte);
+    ticket = null;
+  }
+  if (ticket) {
+    await atenderMensajeTicket(transporte, remitente, ticket, mensaje, mensajeObj);
+    return;
+  }
+
+  // Check if greeting was sent today
+  const hoy = new Date().toISOString().slice(0, 10);
+  const ultimoSaludo = obtenerUltimoSaludo(remitente);
+  let esPrimerMensajeDelDia = false;
+
+  if (ultimoSaludo !== hoy) {
+    esPrimerMensajeDelDia = true;
+    establecerUltimoSaludo(remitente, hoy);
+    // Adivinar el idioma por el primer mensaje mientras el encargado no tenga uno
+    const idiomaAdivinado = tieneIdioma(remitente) ? null : adivinarIdioma(mensaje);
+    if (idiomaAdivinado) {
+      establecerIdioma(remitente, idiomaAdivinado, 'adivinado');
+      t = traductor(remitente);
+    }
+    await enviarMensajeConDelay(transporte, remitente, { text: t('saludo') });
+    // Set state to MENU_PRINCIPAL after greeting
+    establecerEstado(remitente, 'MENU_PRINCIPAL');
+    await enviarMenuPrincipal(transporte, remitente);
+    return;
+  }
+
+  // Comandos del personal: broadcasts, plantillas, envíos, PINs, comprobantes y recordatorios
+  if (await procesarComandoPersonal(transporte, remitente, mensaje)) {
+    return;
+  }
+
+  // Exclusión de recordatorios para encargados: "recordatorios no|si" ("reminders off|on")
+  const comandoRecordatorios = textoMinuscula.match(/^recordatorios\s+(no|si|sí)$|^reminders\s+(off|on)$/);
+  if (comandoRecordatorios) {
+    const excluir = comandoRecordatorios[1] ? comandoRecordatorios[1] === 'no' : comandoRecordatorios[2] === 'off';
+    await cambiarRecordatorios(transporte, remitente, excluir);
+    return;
+  }
+
+  if (textoMinuscula === 'menu' || textoMinuscula === 'menú') {
+    await enviarMenuPrincipal(transporte, remitente);
+    return;
+  }
+
+  // Cambio de idioma: "idioma en", "language es", "english", "español"
+  const comandoIdioma = textoMinuscula.trim().match(/^(?:idioma|language)\s+(\S+)$|^(english|ingles|inglés|español|espanol|spanish)$/);
+  if (comandoIdioma) {
+    const pedido = comandoIdioma[1] || comandoIdioma[2];
+    const idioma = ['en', 'english', 'ingles', 'inglés'].includes(pedido) ? 'en'
+      : ['es', 'español', 'espanol', 'spanish'].includes(pedido) ? 'es' : null;
+    if (idioma) {
+      await cambiarIdioma(transporte, remitente, idioma);
+      return;
+    }
+  }
+
+  switch (estado.estado) {
+    case 'MENU_PRINCIPAL':
+      switch (await resolverOpcionMenu(transporte, remitente, mensaje)) {
+        case '1':
+          establecerEstado(remitente, 'REGISTRO_ID');
+          await enviarMensajeConDelay(transporte, remitente, { text: t('registro.pedirId') });
+          break;
+
+        case '6':
+          if (tienePermiso(remitente, 'broadcast')) {
+            await iniciarMenuBroadcast(transporte, remitente);
+          } else {
+            await enviarMensajeConDelay(transporte, remitente, { text: t('menu.noDisponible') });
+            await enviarMenuPrincipal(transporte, remitente);
+          }
+          break;
+
+        case '2':
+          await iniciarConsultaPagos(transporte, remitente, alumnos, anioActual);
+          break;
+
+        case '3':
+          await enviarMensajeConDelay(transporte, remitente, { text: t('info.mensaje', infoEscuela) });
+          break;
+
+        case '4':
+          await abrirAtencion(transporte, remitente, alumnos);
+          break;
+
+        case '5':
+          if (alumnos.length === 0) {
+            await enviarMensajeConDelay(transporte, remitente, { text: t('eliminar.sinAlumnos') });
+            await enviarMenuPrincipal(transporte, remitente);
+          } else {
+            const estudiantes = (await buscarEstudiantes(alumnos)).filter(Boolean);
+            if (estudiantes.length === 0) {
+              await enviarMensajeConDelay(transporte, remitente, { text: t('pagos.sinInformacion', { anio: anioActual }) });
+              await enviarMenuPrincipal(transporte, remitente);
+              break;
+            }
+            // Los índices de la lista corresponden a los alumnos encontrados en la hoja
+            establecerEstado(remitente, 'ELIMINAR_ALUMNO', { alumnos: estudiantes.map(e => e.id) });
+            await enviarMenuConDelay(transporte, remitente, {
+              titulo: t('eliminar.titulo'),
+              opciones: opcionesAlumnos(estudiantes),
+              pie: t('eliminar.pie'),
+              boton: t('lista.boton')
+            });
+          }
+          break;
+
+        case '7':
+          if (alumnos.length === 0) {
+            await enviarMensajeConDelay(transporte, remitente, { text: t('menu.sinAlumnos') });
+            await enviarMenuPrincipal(transporte, remitente);
+          } else {
+            await iniciarReportePago(transporte, remitente, alumnos);
+          }
+          break;
+
+        case '8':
+          await cambiarIdioma(transporte, remitente, idiomaDe(remitente) === 'en' ? 'es' : 'en');
+          break;
+
+        case null:
+          // Intención sugerida; se espera que el encargado confirme con el número
+          break;
+
+        default:
+          // Estado de cuenta como documento PDF
+          if (textoMinuscula.trim() === 'pdf') {
+            await enviarEstadoCuentaPdf(transporte, remitente, alumnos);
+            break;
+          }
+
+          // Constancia de solvencia con QR firmado (sólo si está al día)
+          if (['solvencia', 'solvency'].includes(textoMinuscula.trim())) {
+            await enviarSolvencia(transporte, remitente, alumnos);
+            break;
+          }
+
+          // Consultar otro año escolar: "pagos 2024" ("payments 2024")
+          const consultaAnio = textoMinuscula.match(/^(?:pagos|payments)\s+(\d{4})$/);
+          if (consultaAnio) {
+            const anio = Number(consultaAnio[1]);
+            if (aniosDisponibles().includes(anio)) {
+              await iniciarConsultaPagos(transporte, remitente, alumnos, anio);
+            } else {
+              await enviarMensajeConDelay(transporte, remitente, {
+                text: t('pagos.anioNoDisponible', { anio, anios: aniosDisponibles().join(', ') })
+              });
+            }
+            break;
+          }
+
+          // Suppress invalid option message on first message of the day
+          if (!esPrimerMensajeDelDia) {
+            await enviarMensajeConDelay(transporte, remitente, { text: t('menu.opcionInvalida') });
+          }
+          await enviarMenuPrincipal(transporte, remitente);
+          break;
+      }
+      break;
+
+    case 'REGISTRO_ID':
+      if (/^\d{13}$/.test(mensaje)) {
+        const estudiante = await buscarEstudiante(mensaje);
+        if (estudiante) {
+          establecerEstado(remitente, 'REGISTRO_PIN', { idEstudiante: mensaje });
+          await enviarMensajeConDelay(transporte, remitente, { text: t('registro.encontrado', { nombre: estudiante.nombre }) });
+        } else {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('registro.idNoRegistrado') });
+        }
+      } else {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('registro.formatoId') });
+      }
+      break;
+
+    case 'REGISTRO_PIN':
+      const idEstudiantePin = estado.datos.idEstudiante;
+      const intento = verificarIntento(remitente, idEstudiantePin);
+
+      if (intento.bloqueado) {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('registro.bloqueado') });
+        await enviarMenuPrincipal(transporte, remitente);
+        break;
+      }
+
+      if (!intento.permitido) {
+        await enviarMensajeConDelay(transporte, remitente, {
+          text: t('registro.esperar', { cantidad: Math.ceil(intento.esperaMs / 1000) })
+        });
+        break;
+      }
+
+      const pinValido = await validarPIN(idEstudiantePin, mensaje);
+
+      if (pinValido) {
+        registrarExito(remitente, idEstudiantePin);
+        await registrarEncargado(remitente, idEstudiantePin);
+        const estudiante = await buscarEstudiante(idEstudiantePin);
+
+        await enviarMensajeConDelay(transporte, remitente, { text: t('registro.exito', { nombre: estudiante.nombre }) });
+
+        await esperar(1500);
+        await enviarMenuPrincipal(transporte, remitente);
+      } else {
+        const fallo = registrarFallo(remitente, idEstudiantePin);
+        const fallos = Math.max(fallo.fallosRemitente, fallo.fallosEstudiante);
+        console.log(`PIN failure #${fallos} from ${remitente} for student ${idEstudiantePin}`);
+        registrarAuditoria({
+          actor: remitente,
+          accion: 'pin fallido',
+          objetivo: idEstudiantePin,
+          resultado: 'denegado',
+          detalle: `intento ${fallos}${fallo.bloqueado ? ', bloqueado' : ''}`
+        });
+
+        if (fallos >= seguridadPin.umbralAlertaAdmin) {
+          await notificarAdmins(transporte,
+            `⚠️ *ALERTA DE SEGURIDAD - PIN*\n\n` +
+            `📱 Remitente: ${remitente.split('@')[0]}\n` +
+            `🎓 Alumno: ${idEstudiantePin}\n` +
+            `❌ Intentos fallidos: ${fallos}\n` +
+            (fallo.bloqueado ? `🔒 Registro bloqueado temporalmente.\n` : '') +
+            `\nPara levantar el bloqueo escriba *desbloquear <número o ID>*.`,
+            'pines'
+          );
+        }
+
+        if (fallo.bloqueado) {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('registro.bloqueadoPorFallos') });
+          await enviarMenuPrincipal(transporte, remitente);
+        } else {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('registro.pinIncorrecto') });
+        }
+      }
+      break;
+
+    case 'SELECCION_ALUMNO':
+      const indice = parseInt(mensaje, 10) - 1;
+
+      if (isNaN(indice) || indice < 0 || indice >= estado.datos.alumnos.length) {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('lista.opcionInvalida') });
+      } else {
+        const idAlumno = estado.datos.alumnos[indice];
+        const estudiante = await buscarEstudiante(idAlumno, estado.datos.anio || anioActual);
+
+        if (estudiante) {
+          await enviarEstadoPagos(transporte, remitente, estudiante);
+          await esperar(1500);
+          await enviarMenuPrincipal(transporte, remitente);
+        } else {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('alumno.seleccionadoNoEncontrado') });
+          await enviarMenuPrincipal(transporte, remitente);
+        }
+      }
+      break;
+
+    case 'ELIMINAR_ALUMNO':
+      const indiceEliminar = parseInt(mensaje, 10) - 1;
+
+      if (isNaN(indiceEliminar) || indiceEliminar < 0 || indiceEliminar >= estado.datos.alumnos.length) {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('lista.opcionInvalida') });
+      } else {
+        const idAlumno = estado.datos.alumnos[indiceEliminar];
+        const estudiante = await buscarEstudiante(idAlumno);
+
+        if (eliminarRelacion(remitente, idAlumno)) {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('eliminar.exito', { nombre: estudiante ? estudiante.nombre : idAlumno }) });
+        } else {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('eliminar.error') });
+        }
+
+        await esperar(1500);
+        await enviarMenuPrincipal(transporte, remitente);
+      }
+      break;
+
+    case 'MENU_ADMIN_BROADCAST':
+    case 'BROADCAST_MENSAJE':
+    case 'BROADCAST_CONFIRMAR':
+      if (await procesarEstadoBroadcast(transporte, remitente, estado, mensaje, mensajeObj)) {
+        await enviarMenuPrincipal(transporte, remitente);
+      }
+      break;
+
+    case 'REPORTE_ALUMNO':
+      const indiceReporte = parseInt(mensaje, 10) - 1;
+
+      if (isNaN(indiceReporte) || indiceReporte < 0 || indiceReporte >= estado.datos.alumnos.length) {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('lista.opcionInvalida') });
+      } else {
+        const estudiante = await buscarEstudiante(estado.datos.alumnos[indiceReporte]);
+        if (estudiante) {
+          await pedirMesReporte(transporte, remitente, estudiante);
+        } else {
+          await enviarMensajeConDelay(transporte, remitente, { text: t('alumno.seleccionadoNoEncontrado') });
+          await enviarMenuPrincipal(transporte, remitente);
+        }
+      }
+      break;
+
+    case 'REPORTE_MES':
+      const indiceMes = parseInt(mensaje, 10) - 1;
+
+      if (isNaN(indiceMes) || indiceMes < 0 || indiceMes >= estado.datos.meses.length) {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('lista.opcionInvalida') });
+      } else {
+        const mes = estado.datos.meses[indiceMes];
+        establecerEstado(remitente, 'REPORTE_ARCHIVO', { idEstudiante: estado.datos.idEstudiante, mes });
+        await enviarMensajeConDelay(transporte, remitente, {
+          text: t('reporte.pedirArchivo', { mes: nombreMes(idiomaDe(remitente), mes).toUpperCase() })
+        });
+      }
+      break;
+
+    case 'REPORTE_ARCHIVO':
+      const media = extraerMedia(mensajeObj);
+      if (media) {
+        await recibirComprobante(transporte, remitente, estado.datos, media);
+      } else {
+        await enviarMensajeConDelay(transporte, remitente, { text: t('reporte.faltaArchivo') });
+      }
+      break;
+
+    default:
+      await enviarMenuPrincipal(transporte, remitente);
+      break;
+  }
+}
+
+module.exports = {
+  procesarMensaje,
+  enviarMenuPrincipal,
+  enviarEstadoPagos
+};
@@ -0,0 +1,94 @@
+/**
+ * Página de verificación de documentos para terceros (bancos, otras
+ * escuelas): GET /verificar?token=<token del QR> o ?codigo=<código impreso>
+ * responde una página con el resultado de la verificación. Sólo lee el
+ * registro de documentos; no expone a quién se emitió cada documento.
+ *
+ * Se inicia sólo si config.documentos.puertoVerificacion está configurado.
+ */
+
+const http = require('http');
+const { documentos: configDocumentos } = require('../config/config');
+const { verificarDocumento, resumenVerificacion } = require('../services/documentService');
+
+let servidor = null;
+
+/**
+ * Escapa un texto para insertarlo en HTML.
+ * @param {string} texto - Texto.
+ * @returns {string} Texto escapado.
+ */
+function escaparHtml(texto) {
+  return String(texto ?? '').replace(/[&<>"']/g, caracter => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[caracter]);
+}
+
+/**
+ * Arma la página con el resultado de una verificación.
+ * @param {Object} resumen - { titulo, lineas } de resumenVerificacion.
+ * @returns {string} HTML.
+ */
+function paginaResultado({ titulo, lineas }) {
+  const filas = lineas
+    .map(([etiqueta, valor]) => `<tr><th>${escaparHtml(etiqueta)}</th><td>${escaparHtml(valor)}</td></tr>`)
+    .join('');
+  return '<!DOCTYPE html><html lang="es"><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    `<title>${escaparHtml(titulo)}</title>` +
+    '<style>body{font-family:sans-serif;max-width:40em;margin:2em auto;padding:0 1em}' +
+    'th{text-align:left;padding-right:1em;vertical-align:top}td,th{padding:.3em 1em .3em 0}</style>' +
+    `</head><body><h1>${escaparHtml(titulo)}</h1><table>${filas}</table></body></html>`;
+}
+
+/**
+ * Atiende una petición HTTP.
+ * @param {http.IncomingMessage} peticion - Petición.
+ * @param {http.ServerResponse} respuesta - Respuesta.
+ */
+function atenderPeticion(peticion, respuesta) {
+  const url = new URL(peticion.url, 'http://localhost');
+  const texto = url.searchParams.get('token') || url.searchParams.get('codigo');
+
+  if (peticion.method !== 'GET' || url.pathname !== '/verificar' || !texto) {
+    respuesta.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    respuesta.end('Use /verificar?token=… o /verificar?codigo=…');
+    return;
+  }
+
+  const resultado = verificarDocumento(texto);
+  console.log(`[${new Date().toISOString()}] Verificación web de documento: ${resultado.datos ? resultado.datos.codigo : 'no válido'} (${resultado.motivo || 'válido'})`);
+  respuesta.writeHead(resultado.datos ? 200 : 404, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  respuesta.end(paginaResultado(resumenVerificacion(resultado)));
+}
+
+/**
+ * Inicia el servidor de verificación si hay puerto configurado. Llamarla
+ * de nuevo (p. ej. al reconectar) no hace nada.
+ */
+function iniciarServidorVerificacion() {
+  if (servidor || !configDocumentos.puertoVerificacion) return;
+
+  servidor = http.createServer((peticion, respuesta) => {
+    try {
+      atenderPeticion(peticion, respuesta);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error en la verificación web:`, error);
+      respuesta.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      respuesta.end('Error interno');
+    }
+  });
+  servidor.on('error', error => {
+    console.error(`[${new Date().toISOString()}] No se pudo iniciar el servidor de verificación:`, error.message);
+  });
+  servidor.listen(configDocumentos.puertoVerificacion, () => {
+    console.log(`[${new Date().toISOString()}] Verificación de documentos en el puerto ${configDocumentos.puertoVerificacion} (/verificar)`);
+  });
+}
+
+module.exports = {
+  iniciarServidorVerificacion
+};
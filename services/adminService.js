@@ -1,25 +1,170 @@
 const fs = require('fs');
 const path = require('path');
-const adminsFilePath = path.join(__dirname, '..', 'config', 'admins.json');
+const { roles } = require('../config/config');
+const adminsFilePath = process.env.ADMINS_FILE || path.join(__dirname, '..', 'config', 'admins.json');
 
-let admins = [];
+// Personal: JID → { rol, nombre }. admins.json también puede ser la lista
+// plana de JIDs del formato anterior; en ese caso todos son superadmin.
+let personal = {};
+let recarga = null;
+let vigilante = null;
 
-try {
-  const data = fs.readFileSync(adminsFilePath, 'utf8');
-  admins = JSON.parse(data);
-} catch (error) {
-  console.error('Error reading admins.json:', error);
+/**
+ * Normalizes the contents of admins.json into the roster shape.
+ * @param {Array|Object} datos - Parsed admins.json.
+ * @returns {Object} Roster (JID → { rol, nombre }).
+ */
+function normalizarPersonal(datos) {
+  if (Array.isArray(datos)) {
+    return datos.reduce((acc, numero) => {
+      acc[numero] = { rol: 'superadmin', nombre: null };
+      return acc;
+    }, {});
+  }
+  return Object.entries(datos || {}).reduce((acc, [numero, miembro]) => {
+    if (!roles[miembro?.rol]) {
+      console.warn(`[${new Date().toISOString()}] admins.json: ${numero} has unknown role "${miembro?.rol}"; ignored.`);
+      return acc;
+    }
+    acc[numero] = { rol: miembro.rol, nombre: miembro.nombre || null };
+    return acc;
+  }, {});
+}
+
+/**
+ * Reads admins.json into the roster. If the file cannot be read or parsed
+ * the previous roster is kept.
+ * @returns {boolean} True if the roster was loaded.
+ */
+function recargarPersonal() {
+  try {
+    const data = fs.readFileSync(adminsFilePath, 'utf8');
+    personal = normalizarPersonal(JSON.parse(data));
+    console.log(`[${new Date().toISOString()}] Staff roster loaded: ${Object.keys(personal).length} member(s).`);
+    return true;
+  } catch (error) {
+    console.error('Error reading admins.json:', error);
+    return false;
+  }
+}
+
+/**
+ * Writes the roster back to admins.json (always in the role format).
+ */
+function guardarPersonal() {
+  try {
+    fs.writeFileSync(adminsFilePath, JSON.stringify(personal, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error writing admins.json:', error);
+  }
+}
+
+recargarPersonal();
+
+/**
+ * Watches admins.json and reloads the roster when it changes, so staff can
+ * be added or removed without restarting the bot. The directory is watched
+ * because editors often replace the file instead of writing it in place.
+ * Calling it again (e.g. on reconnect) keeps the existing watcher.
+ */
+function vigilarPersonal() {
+  if (vigilante) return;
+  const archivo = path.basename(adminsFilePath);
+  try {
+    vigilante = fs.watch(path.dirname(adminsFilePath), (evento, nombre) => {
+      if (nombre && nombre !== archivo) return;
+      clearTimeout(recarga);
+      recarga = setTimeout(recargarPersonal, 200);
+    });
+    vigilante.unref();
+    console.log(`[${new Date().toISOString()}] Watching ${adminsFilePath} for staff changes.`);
+  } catch (error) {
+    console.error('Could not watch admins.json; staff changes will need a restart:', error);
+  }
 }
 
 /**
- * Checks if a phone number is an admin.
+ * Checks if a phone number belongs to any staff member.
  * @param {string} phoneNumber - The phone number with WhatsApp suffix (e.g., 1234567890@s.whatsapp.net).
- * @returns {boolean} True if admin, false otherwise.
+ * @returns {boolean} True if staff, false otherwise.
  */
 function isAdmin(phoneNumber) {
-  return admins.includes(phoneNumber);
+  return Boolean(personal[phoneNumber]);
+}
+
+/**
+ * Checks if a phone number has a permission through its role (see config/roles.js).
+ * @param {string} phoneNumber - The phone number with WhatsApp suffix.
+ * @param {string} permiso - Permission name, e.g. 'broadcast' or 'comprobantes'.
+ * @returns {boolean} True if allowed.
+ */
+function tienePermiso(phoneNumber, permiso) {
+  const miembro = personal[phoneNumber];
+  if (!miembro) return false;
+  const { permisos } = roles[miembro.rol];
+  return permisos.includes('*') || permisos.includes(permiso);
+}
+
+/**
+ * Returns the staff member for a phone number.
+ * @param {string} phoneNumber - The phone number with WhatsApp suffix.
+ * @returns {Object|null} { numero, rol, nombre } or null if not staff.
+ */
+function obtenerMiembro(phoneNumber) {
+  return personal[phoneNumber] ? { numero: phoneNumber, ...personal[phoneNumber] } : null;
+}
+
+/**
+ * Returns the list of staff phone numbers, optionally only those with a permission.
+ * @param {string} [permiso] - Permission the staff member must have.
+ * @returns {string[]} Staff JIDs (e.g., 1234567890@s.whatsapp.net).
+ */
+function obtenerAdmins(permiso = null) {
+  return Object.keys(personal).filter(numero => !permiso || tienePermiso(numero, permiso));
+}
+
+/**
+ * Lists the staff roster.
+ * @returns {Object[]} Members { numero, rol, nombre }.
+ */
+function listarPersonal() {
+  return Object.entries(personal).map(([numero, miembro]) => ({ numero, ...miembro }));
+}
+
+/**
+ * Adds a staff member, or changes the role of an existing one, and saves admins.json.
+ * @param {string} numero - JID of the staff member.
+ * @param {string} rol - Role name from config/roles.js.
+ * @param {string|null} nombre - Display name.
+ * @returns {Object} The saved member { numero, rol, nombre }.
+ */
+function agregarPersonal(numero, rol, nombre = null) {
+  if (!roles[rol]) throw new Error(`Unknown role: ${rol}`);
+  personal[numero] = { rol, nombre: nombre || personal[numero]?.nombre || null };
+  guardarPersonal();
+  return obtenerMiembro(numero);
+}
+
+/**
+ * Removes a staff member and saves admins.json.
+ * @param {string} numero - JID of the staff member.
+ * @returns {boolean} True if the member existed.
+ */
+function quitarPersonal(numero) {
+  if (!personal[numero]) return false;
+  delete personal[numero];
+  guardarPersonal();
+  return true;
 }
 
 module.exports = {
-  isAdmin
+  isAdmin,
+  tienePermiso,
+  obtenerMiembro,
+  obtenerAdmins,
+  listarPersonal,
+  agregarPersonal,
+  quitarPersonal,
+  recargarPersonal,
+  vigilarPersonal
 };
@@ -0,0 +1,210 @@
+/**
+ * Bitácora de auditoría: vínculos y desvínculos de encargados, fallos de
+ * PIN, broadcasts y acciones del personal.
+ *
+ * Cada registro se agrega como una línea JSON al final de
+ * config.auditoriaFilePath (el archivo nunca se reescribe) y lleva el hash
+ * del registro anterior, de modo que modificar, borrar o reordenar una
+ * línea rompe la cadena y verificarAuditoria lo detecta. Cortar las
+ * últimas líneas no rompe la cadena: para eso sirve anotar el último hash
+ * que muestra la verificación.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { auditoriaFilePath, zonaHoraria } = require('../config/config');
+
+const HASH_INICIAL = '0'.repeat(64);
+
+// Último eslabón de la cadena; se lee del archivo en el primer registro.
+let ultimo = null;
+
+/**
+ * Calcula el hash de un registro a partir de sus campos y del hash anterior.
+ * @param {Object} registro - Registro sin el campo hash.
+ * @returns {string} SHA-256 en hexadecimal.
+ */
+function calcularHash({ secuencia, fecha, actor, accion, objetivo, resultado, detalle, hashAnterior }) {
+  const contenido = JSON.stringify([secuencia, fecha, actor, accion, objetivo, resultado, detalle]);
+  return crypto.createHash('sha256').update(`${hashAnterior}|${contenido}`).digest('hex');
+}
+
+/**
+ * Lee todas las líneas de la bitácora.
+ * @returns {string[]} Líneas no vacías (vacío si el archivo no existe).
+ */
+function leerLineas() {
+  if (!fs.existsSync(auditoriaFilePath)) return [];
+  return fs.readFileSync(auditoriaFilePath, 'utf8').split('\n').filter(linea => linea.trim());
+}
+
+/**
+ * Obtiene el último eslabón de la cadena.
+ * @returns {Object} { secuencia, hash }
+ */
+function obtenerUltimo() {
+  if (!ultimo) {
+    const lineas = leerLineas();
+    ultimo = { secuencia: 0, hash: HASH_INICIAL };
+    if (lineas.length > 0) {
+      try {
+        const { secuencia, hash } = JSON.parse(lineas[lineas.length - 1]);
+        ultimo = { secuencia, hash };
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] La última línea de la bitácora no es válida; la cadena continúa desde cero:`, error.message);
+      }
+    }
+  }
+  return ultimo;
+}
+
+/**
+ * Registra una acción en la bitácora. Un fallo al escribir se reporta en
+ * consola pero no interrumpe la acción auditada.
+ * @param {Object} entrada - { actor, accion, objetivo, resultado, detalle }
+ *   actor: JID de quien actúa ('sistema' para tareas automáticas);
+ *   resultado: 'ok', 'denegado' o 'error'.
+ * @returns {Object} Registro escrito.
+ */
+function registrarAuditoria({ actor, accion, objetivo = null, resultado = 'ok', detalle = null }) {
+  const anterior = obtenerUltimo();
+  const registro = {
+    secuencia: anterior.secuencia + 1,
+    fecha: new Date().toISOString(),
+    actor,
+    accion,
+    objetivo,
+    resultado,
+    detalle,
+    hashAnterior: anterior.hash
+  };
+  registro.hash = calcularHash(registro);
+
+  try {
+    fs.mkdirSync(path.dirname(auditoriaFilePath), { recursive: true });
+    fs.appendFileSync(auditoriaFilePath, `${JSON.stringify(registro)}\n`, 'utf8');
+    ultimo = { secuencia: registro.secuencia, hash: registro.hash };
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error al escribir la bitácora de auditoría:`, error);
+  }
+  return registro;
+}
+
+/**
+ * Recorre la bitácora y comprueba la cadena de hashes.
+ * @returns {Object} { valida, total, ultimoHash, error: { secuencia, linea, motivo } | null }
+ */
+function verificarAuditoria() {
+  const lineas = leerLineas();
+  let hashAnterior = HASH_INICIAL;
+  let secuenciaAnterior = 0;
+
+  for (const [index, linea] of lineas.entries()) {
+    const falla = motivo => ({ valida: false, total: lineas.length, ultimoHash: null, error: { secuencia: secuenciaAnterior + 1, linea: index + 1, motivo } });
+    let registro;
+    try {
+      registro = JSON.parse(linea);
+    } catch (error) {
+      return falla('la línea no es JSON válido');
+    }
+    if (registro.secuencia !== secuenciaAnterior + 1) return falla(`se esperaba el registro ${secuenciaAnterior + 1} y sigue el ${registro.secuencia}`);
+    if (registro.hashAnterior !== hashAnterior) return falla('no enlaza con el registro anterior');
+    if (calcularHash(registro) !== registro.hash) return falla('el contenido no coincide con su hash');
+    hashAnterior = registro.hash;
+    secuenciaAnterior = registro.secuencia;
+  }
+
+  return { valida: true, total: lineas.length, ultimoHash: hashAnterior, error: null };
+}
+
+/**
+ * Fecha local (zona horaria de la escuela) de un registro, como AAAA-MM-DD.
+ * @param {string} fecha - Fecha ISO.
+ * @returns {string} Fecha local.
+ */
+function fechaLocal(fecha) {
+  return new Date(fecha).toLocaleDateString('en-CA', { timeZone: zonaHoraria });
+}
+
+/**
+ * Separa los filtros de una consulta escrita por el personal, p. ej.
+ * "actor:50499999999 accion:vincular desde:2025-03-01 20".
+ * @param {string[]} argumentos - Palabras de la consulta.
+ * @returns {Object} { filtros: { actor, accion, objetivo, resultado, desde, hasta }, limite, errores }
+ */
+function parsearConsultaAuditoria(argumentos) {
+  const filtros = {};
+  const errores = [];
+  let limite = null;
+
+  argumentos.forEach(argumento => {
+    const filtro = argumento.match(/^(actor|accion|objetivo|resultado|desde|hasta):(.+)$/i);
+    if (filtro) {
+      const [, clave, valor] = filtro;
+      if ((clave === 'desde' || clave === 'hasta') && !/^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+        errores.push(`La fecha de ${clave} debe ser AAAA-MM-DD.`);
+      }
+      filtros[clave.toLowerCase()] = valor;
+    } else if (/^\d+$/.test(argumento)) {
+      limite = Number(argumento);
+    } else {
+      errores.push(`Filtro no reconocido: ${argumento}`);
+    }
+  });
+
+  return { filtros, limite, errores };
+}
+
+/**
+ * Consulta la bitácora. actor y objetivo buscan el texto dentro del
+ * campo; accion, al inicio (accion:pin trae "pin fallido" y "pin reset");
+ * desde/hasta son fechas locales inclusivas.
+ * @param {Object} filtros - { actor, accion, objetivo, resultado, desde, hasta }
+ * @param {number|null} limite - Máximo de registros (los más recientes).
+ * @returns {Object[]} Registros en orden cronológico.
+ */
+function consultarAuditoria(filtros = {}, limite = null) {
+  const contiene = (valor, buscado) => !buscado || String(valor ?? '').toLowerCase().includes(buscado.toLowerCase());
+  const registros = leerLineas()
+    .map(linea => {
+      try {
+        return JSON.parse(linea);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .filter(registro =>
+      contiene(registro.actor, filtros.actor) &&
+      (!filtros.accion || String(registro.accion).toLowerCase().startsWith(filtros.accion.toLowerCase())) &&
+      contiene(registro.objetivo, filtros.objetivo) &&
+      (!filtros.resultado || registro.resultado === filtros.resultado) &&
+      (!filtros.desde || fechaLocal(registro.fecha) >= filtros.desde) &&
+      (!filtros.hasta || fechaLocal(registro.fecha) <= filtros.hasta)
+    );
+  return limite ? registros.slice(-limite) : registros;
+}
+
+/**
+ * Exporta registros como CSV (con los hashes, para poder verificarlos después).
+ * @param {Object[]} registros - Registros de consultarAuditoria.
+ * @returns {Buffer} CSV en UTF-8 con BOM (para que Excel respete las tildes).
+ */
+function exportarAuditoriaCSV(registros) {
+  const columnas = ['secuencia', 'fecha', 'actor', 'accion', 'objetivo', 'resultado', 'detalle', 'hashAnterior', 'hash'];
+  const celda = valor => {
+    const texto = valor === null || valor === undefined ? '' : String(valor);
+    return /[",\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  };
+  const filas = registros.map(registro => columnas.map(columna => celda(registro[columna])).join(','));
+  return Buffer.from(`\uFEFF${[columnas.join(','), ...filas].join('\n')}\n`, 'utf8');
+}
+
+module.exports = {
+  registrarAuditoria,
+  verificarAuditoria,
+  parsearConsultaAuditoria,
+  consultarAuditoria,
+  exportarAuditoriaCSV
+};
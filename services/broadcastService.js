@@ -0,0 +1,415 @@
+/**
+ * Cola de broadcasts persistida. Cada broadcast es un trabajo con el estado
+ * de cada destinatario; un único proceso en segundo plano los envía uno a
+ * uno, reintenta los fallidos y retoma los trabajos pendientes después de
+ * un reinicio o una reconexión.
+ *
+ * La media se descarga una sola vez al crear el trabajo y se guarda junto
+ * a la cola, porque el mensaje original no se puede volver a descargar
+ * después de reiniciar. El archivo se borra cuando el trabajo termina
+ * (completado o cancelado); el registro del trabajo se conserva.
+ *
+ * Si el proceso se cae entre un envío y el guardado de su estado, ese
+ * destinatario puede recibir el mensaje dos veces al retomar.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { broadcasts: configBroadcasts } = require('../config/config');
+const { crearAlmacenArchivo } = require('./stateStores/fileStore');
+const { esperarAleatorio } = require('./delayService');
+const { registrarAuditoria } = require('./auditService');
+
+const trabajos = crearAlmacenArchivo(path.join(configBroadcasts.directorio, 'trabajos.json'));
+
+let transporteActual = null;
+let procesando = null;
+let temporizadorReintento = null;
+
+/**
+ * Convierte el mensaje de un administrador en contenido guardable.
+ * Si el mensaje cita a otro, se difunde el mensaje citado.
+ * @param {Object} transporte - Transporte de mensajería (para descargar media).
+ * @param {string|Object} mensaje - Texto u objeto de mensaje de WhatsApp.
+ * @returns {Promise<Object|null>} { contenido, buffer } o null si el tipo no se puede difundir.
+ */
+async function prepararContenido(transporte, mensaje) {
+  if (typeof mensaje === 'string') {
+    return { contenido: { tipo: 'texto', texto: mensaje }, buffer: null };
+  }
+
+  let msgContent = mensaje;
+  if (mensaje.extendedTextMessage && mensaje.extendedTextMessage.contextInfo && mensaje.extendedTextMessage.contextInfo.quotedMessage) {
+    msgContent = mensaje.extendedTextMessage.contextInfo.quotedMessage;
+  }
+
+  // Documentos con texto llegan envueltos en documentWithCaptionMessage
+  msgContent = msgContent.documentWithCaptionMessage?.message || msgContent;
+
+  if (msgContent.conversation) {
+    return { contenido: { tipo: 'texto', texto: msgContent.conversation }, buffer: null };
+  }
+  if (msgContent.extendedTextMessage && msgContent.extendedTextMessage.text) {
+    return { contenido: { tipo: 'texto', texto: msgContent.extendedTextMessage.text }, buffer: null };
+  }
+
+  const medias = {
+    imageMessage: nodo => ({ tipo: 'imagen', caption: nodo.caption || '' }),
+    videoMessage: nodo => ({ tipo: 'video', caption: nodo.caption || '' }),
+    audioMessage: nodo => ({ tipo: 'audio', mimetype: nodo.mimetype || 'audio/mpeg' }),
+    documentMessage: nodo => ({
+      tipo: 'documento',
+      mimetype: nodo.mimetype || 'application/octet-stream',
+      fileName: nodo.fileName || 'document',
+      caption: nodo.caption || ''
+    }),
+    stickerMessage: () => ({ tipo: 'sticker' })
+  };
+  const clave = Object.keys(medias).find(nombre => msgContent[nombre]);
+  if (!clave) return null;
+
+  console.log(`[${new Date().toISOString()}] Descargando ${clave} del mensaje...`);
+  const buffer = await transporte.descargarMedia(msgContent);
+  return { contenido: medias[clave](msgContent[clave]), buffer };
+}
+
+/**
+ * Arma un mensaje con el formato del transporte a partir de contenido
+ * preparado (ver prepararContenido).
+ * @param {Object} contenido - Contenido preparado.
+ * @param {Buffer|null} buffer - Archivo de la media (null en textos).
+ * @param {string} [texto] - Texto o caption a usar en vez del original.
+ * @returns {Object} Contenido de mensaje.
+ */
+function armarMensaje(contenido, buffer, texto) {
+  switch (contenido.tipo) {
+    case 'texto':
+      return { text: texto ?? contenido.texto };
+    case 'imagen':
+      return { image: buffer, caption: texto ?? contenido.caption };
+    case 'video':
+      return { video: buffer, caption: texto ?? contenido.caption };
+    case 'audio':
+      return { audio: buffer, mimetype: contenido.mimetype };
+    case 'documento':
+      return { document: buffer, mimetype: contenido.mimetype, fileName: contenido.fileName, caption: texto ?? contenido.caption };
+    default:
+      return { sticker: buffer };
+  }
+}
+
+/**
+ * Arma los mensajes de un destinatario a partir del contenido guardado del
+ * trabajo. Con textos personalizados (plantillas) se envía un mensaje por
+ * texto; en media, cada texto va como caption (audio y stickers no llevan texto).
+ * @param {Object} trabajo - Trabajo de broadcast.
+ * @param {Object} destinatario - Estado del destinatario en el trabajo.
+ * @returns {Object[]} Contenidos con el formato del transporte.
+ */
+function mensajesDeTrabajo(trabajo, destinatario) {
+  const { contenido } = trabajo;
+  const buffer = contenido.archivo ? fs.readFileSync(path.join(configBroadcasts.directorio, contenido.archivo)) : null;
+  if (!destinatario.textos || contenido.tipo === 'audio' || contenido.tipo === 'sticker') {
+    return [armarMensaje(contenido, buffer)];
+  }
+  return destinatario.textos.map(texto => armarMensaje(contenido, buffer, texto));
+}
+
+/**
+ * Borra el archivo de media de un trabajo terminado y lo quita del contenido.
+ * @param {Object} trabajo - Trabajo de broadcast (se modifica; el llamador lo guarda).
+ */
+function borrarMedia(trabajo) {
+  if (!trabajo.contenido.archivo) return;
+  try {
+    fs.unlinkSync(path.join(configBroadcasts.directorio, trabajo.contenido.archivo));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[${new Date().toISOString()}] No se pudo borrar la media del broadcast #${trabajo.id}:`, error.message);
+    }
+  }
+  trabajo.contenido.archivo = null;
+}
+
+/**
+ * Siguiente número de trabajo (consecutivo).
+ * @returns {number} Número disponible.
+ */
+function siguienteId() {
+  return trabajos.entradas().reduce((maximo, [clave]) => Math.max(maximo, Number(clave)), 0) + 1;
+}
+
+/**
+ * Crea un trabajo de broadcast y lo pone en cola.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {Object} datos - { creadoPor, mensaje, destinatarios, segmento, personalizados }
+ *   `personalizados` (opcional) trae los textos de cada destinatario generados con una plantilla.
+ * @returns {Promise<Object|null>} Trabajo creado, o null si el mensaje no se puede difundir.
+ */
+async function crearTrabajo(transporte, { creadoPor, mensaje, destinatarios, segmento, personalizados = null }) {
+  const preparado = await prepararContenido(transporte, mensaje);
+  if (!preparado) return null;
+
+  const id = siguienteId();
+  const { contenido, buffer } = preparado;
+  if (buffer) {
+    contenido.archivo = `${id}.bin`;
+    fs.mkdirSync(configBroadcasts.directorio, { recursive: true });
+    fs.writeFileSync(path.join(configBroadcasts.directorio, contenido.archivo), buffer);
+  }
+
+  const trabajo = {
+    id,
+    creadoPor,
+    creado: new Date().toISOString(),
+    finalizado: null,
+    estado: 'en_curso',
+    segmento,
+    contenido,
+    destinatarios: destinatarios.reduce((acc, numero) => {
+      acc[numero] = { estado: 'pendiente', intentos: 0, ultimoError: null, enviado: null, reintentarDesde: 0, parte: 0 };
+      if (personalizados) acc[numero].textos = personalizados[numero];
+      return acc;
+    }, {})
+  };
+  trabajos.establecer(String(id), trabajo);
+  console.log(`[${new Date().toISOString()}] Broadcast #${id} en cola para ${destinatarios.length} destinatario(s).`);
+  registrarAuditoria({
+    actor: creadoPor,
+    accion: 'broadcast',
+    objetivo: `#${id}`,
+    detalle: `${destinatarios.length} destinatario(s); segmento: ${segmento}; ${contenido.tipo}` +
+      (personalizados ? ' con plantilla' : '') +
+      ((contenido.texto || contenido.caption) ? `: ${(contenido.texto || contenido.caption).slice(0, 200)}` : '')
+  });
+
+  transporteActual = transporteActual || transporte;
+  procesarCola();
+  return trabajo;
+}
+
+/**
+ * Cuenta los destinatarios de un trabajo por estado.
+ * @param {Object} trabajo - Trabajo de broadcast.
+ * @returns {Object} { total, enviados, pendientes, fallidos, cancelados }
+ */
+function resumirTrabajo(trabajo) {
+  const resumen = { total: 0, enviados: 0, pendientes: 0, fallidos: 0, cancelados: 0 };
+  Object.values(trabajo.destinatarios).forEach(destinatario => {
+    resumen.total++;
+    if (destinatario.estado === 'enviado') resumen.enviados++;
+    else if (destinatario.estado === 'cancelado') resumen.cancelados++;
+    else if (destinatario.estado === 'fallido' && destinatario.intentos >= configBroadcasts.maxIntentos) resumen.fallidos++;
+    else resumen.pendientes++;
+  });
+  return resumen;
+}
+
+/**
+ * Obtiene un trabajo por número.
+ * @param {number|string} id - Número del trabajo.
+ * @returns {Object|null} Trabajo o null si no existe.
+ */
+function obtenerTrabajo(id) {
+  return trabajos.obtener(String(id)) || null;
+}
+
+/**
+ * Lista los trabajos más recientes primero.
+ * @param {number} limite - Cantidad máxima.
+ * @returns {Object[]} Trabajos.
+ */
+function listarTrabajos(limite = 10) {
+  return trabajos.entradas()
+    .map(([, trabajo]) => trabajo)
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limite);
+}
+
+/**
+ * Cancela un trabajo en curso; los destinatarios que aún no lo recibieron quedan cancelados.
+ * @param {number|string} id - Número del trabajo.
+ * @param {string} actor - JID de quien cancela (para la bitácora de auditoría).
+ * @returns {Object|null} Trabajo actualizado o null si no existe o ya terminó.
+ */
+function cancelarTrabajo(id, actor) {
+  const trabajo = obtenerTrabajo(id);
+  if (!trabajo || trabajo.estado !== 'en_curso') return null;
+
+  Object.values(trabajo.destinatarios)
+    .filter(destinatario => destinatario.estado !== 'enviado')
+    .forEach(destinatario => { destinatario.estado = 'cancelado'; });
+  trabajo.estado = 'cancelado';
+  trabajo.finalizado = new Date().toISOString();
+  borrarMedia(trabajo);
+  trabajos.establecer(String(trabajo.id), trabajo);
+  console.log(`[${new Date().toISOString()}] Broadcast #${trabajo.id} cancelado.`);
+  registrarAuditoria({
+    actor,
+    accion: 'broadcast cancelado',
+    objetivo: `#${trabajo.id}`,
+    detalle: `${resumirTrabajo(trabajo).enviados} enviado(s) antes de cancelar`
+  });
+  return trabajo;
+}
+
+/**
+ * Elige el siguiente envío: el primer destinatario pendiente del trabajo
+ * más antiguo, o un fallido cuyo reintento ya corresponde.
+ * @param {number} ahora - Marca de tiempo actual.
+ * @returns {Object} { trabajo, numero } del siguiente envío, o { proximoReintento } si sólo quedan reintentos futuros.
+ */
+function siguienteEnvio(ahora) {
+  let proximoReintento = null;
+  const enCurso = trabajos.entradas()
+    .map(([, trabajo]) => trabajo)
+    .filter(trabajo => trabajo.estado === 'en_curso')
+    .sort((a, b) => a.id - b.id);
+
+  for (const trabajo of enCurso) {
+    for (const [numero, destinatario] of Object.entries(trabajo.destinatarios)) {
+      if (destinatario.estado === 'pendiente') return { trabajo, numero };
+      if (destinatario.estado === 'fallido' && destinatario.intentos < configBroadcasts.maxIntentos) {
+        if (destinatario.reintentarDesde <= ahora) return { trabajo, numero };
+        proximoReintento = Math.min(proximoReintento ?? Infinity, destinatario.reintentarDesde);
+      }
+    }
+  }
+  return { proximoReintento };
+}
+
+/**
+ * Cierra los trabajos que ya no tienen envíos por hacer y avisa a quien los creó.
+ * @param {Object} transporte - Transporte de mensajería.
+ */
+async function cerrarTrabajosTerminados(transporte) {
+  for (const [, trabajo] of trabajos.entradas()) {
+    if (trabajo.estado !== 'en_curso' || resumirTrabajo(trabajo).pendientes > 0) continue;
+
+    trabajo.estado = 'completado';
+    trabajo.finalizado = new Date().toISOString();
+    borrarMedia(trabajo);
+    trabajos.establecer(String(trabajo.id), trabajo);
+
+    const resumen = resumirTrabajo(trabajo);
+    console.log(`[${new Date().toISOString()}] Broadcast #${trabajo.id} completado: ${resumen.enviados} enviado(s), ${resumen.fallidos} fallido(s).`);
+    registrarAuditoria({
+      actor: 'sistema',
+      accion: 'broadcast terminado',
+      objetivo: `#${trabajo.id}`,
+      resultado: resumen.fallidos > 0 ? 'error' : 'ok',
+      detalle: `${resumen.enviados} enviado(s), ${resumen.fallidos} fallido(s)`
+    });
+    try {
+      await transporte.enviarMensaje(trabajo.creadoPor, {
+        text: `✅ Broadcast #${trabajo.id} terminado: se mandaron ${resumen.enviados} encargados` +
+          (resumen.fallidos > 0 ? `, ${resumen.fallidos} fallido(s). Escriba *envio ${trabajo.id}* para ver el detalle.` : '.')
+      });
+    } catch (error) {
+      console.error(`Error notificando el fin del broadcast #${trabajo.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Envía los mensajes en cola uno por uno hasta vaciarla.
+ * Los fallos se reintentan después de config.broadcasts.esperaReintentoMs.
+ * @returns {Promise<void>}
+ */
+async function ejecutarCola() {
+  while (transporteActual) {
+    const transporte = transporteActual;
+    const { trabajo, numero, proximoReintento } = siguienteEnvio(Date.now());
+
+    if (!trabajo) {
+      await cerrarTrabajosTerminados(transporte);
+      if (proximoReintento) {
+        clearTimeout(temporizadorReintento);
+        temporizadorReintento = setTimeout(procesarCola, Math.max(proximoReintento - Date.now(), 0));
+        temporizadorReintento.unref();
+      }
+      return;
+    }
+
+    const destinatario = trabajo.destinatarios[numero];
+    try {
+      console.log(`Sending broadcast #${trabajo.id} to ${numero}`);
+      // Con varios mensajes por destinatario, un reintento sigue desde el que falló
+      const mensajes = mensajesDeTrabajo(trabajo, destinatario);
+      for (let parte = destinatario.parte || 0; parte < mensajes.length; parte++) {
+        await transporte.enviarMensaje(numero, mensajes[parte]);
+        destinatario.parte = parte + 1;
+      }
+      Object.assign(destinatario, { estado: 'enviado', enviado: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Error enviando broadcast #${trabajo.id} a ${numero}:`, error);
+      Object.assign(destinatario, {
+        estado: 'fallido',
+        intentos: destinatario.intentos + 1,
+        ultimoError: error.message,
+        reintentarDesde: Date.now() + configBroadcasts.esperaReintentoMs
+      });
+    }
+
+    // El trabajo pudo cancelarse mientras se enviaba
+    const actual = obtenerTrabajo(trabajo.id);
+    if (actual.estado !== 'en_curso' && destinatario.estado !== 'enviado') destinatario.estado = 'cancelado';
+    actual.destinatarios[numero] = destinatario;
+    trabajos.establecer(String(actual.id), actual);
+    if (actual.estado !== 'en_curso') continue;
+    await esperarAleatorio(configBroadcasts.esperaMinMs, configBroadcasts.esperaMaxMs);
+  }
+}
+
+/**
+ * Arranca el envío de la cola si no está en marcha.
+ * @returns {Promise<void>} Promesa que se resuelve cuando la cola queda sin envíos inmediatos.
+ */
+function procesarCola() {
+  if (!procesando) {
+    procesando = ejecutarCola()
+      .catch(error => console.error(`[${new Date().toISOString()}] Error en la cola de broadcasts:`, error))
+      .finally(() => { procesando = null; });
+  }
+  return procesando;
+}
+
+/**
+ * Retoma la cola con un transporte nuevo (al conectar o reconectar el bot).
+ * @param {Object} transporte - Transporte de mensajería.
+ */
+function iniciarBroadcasts(transporte) {
+  transporteActual = transporte;
+  // Media que quedó de trabajos terminados (p. ej. si el proceso se cayó al cerrarlos)
+  trabajos.entradas()
+    .filter(([, trabajo]) => trabajo.estado !== 'en_curso' && trabajo.contenido.archivo)
+    .forEach(([clave, trabajo]) => {
+      borrarMedia(trabajo);
+      trabajos.establecer(clave, trabajo);
+    });
+  const enCurso = trabajos.entradas().filter(([, trabajo]) => trabajo.estado === 'en_curso').length;
+  if (enCurso > 0) {
+    console.log(`[${new Date().toISOString()}] Retomando ${enCurso} broadcast(s) en curso.`);
+  }
+  procesarCola();
+}
+
+/**
+ * Espera a que la cola no tenga envíos inmediatos (para el simulador de diálogos).
+ * @returns {Promise<void>}
+ */
+function esperarCola() {
+  return procesando || Promise.resolve();
+}
+
+module.exports = {
+  prepararContenido,
+  armarMensaje,
+  crearTrabajo,
+  obtenerTrabajo,
+  listarTrabajos,
+  cancelarTrabajo,
+  resumirTrabajo,
+  iniciarBroadcasts,
+  esperarCola
+};
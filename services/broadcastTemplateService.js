@@ -0,0 +1,199 @@
+/**
+ * Servicio de plantillas de broadcast: campos de cada alumno y encargado,
+ * personalización de mensajes y plantillas guardadas con nombre.
+ *
+ * Modos:
+ *   alumno     un mensaje por cada alumno del encargado (campos del alumno
+ *              en toda la plantilla)
+ *   encargado  un solo mensaje por encargado; los campos del alumno se
+ *              usan dentro de {cada alumno}…{fin}
+ */
+
+const { plantillasFilePath } = require('../config/config');
+const { crearAlmacenArchivo } = require('./stateStores/fileStore');
+const { calcularDeuda } = require('./feeService');
+const { buscarEstudianteAnioAnterior } = require('./studentService');
+const { analizarPlantilla, camposUsados, renderizarPlantilla } = require('./templateService');
+
+const plantillas = crearAlmacenArchivo(plantillasFilePath);
+
+const MODOS = ['alumno', 'encargado'];
+
+const CAMPOS_ALUMNO = {
+  nombre: 'nombre del alumno',
+  grado: 'grado',
+  id: 'ID del alumno',
+  anio: 'año escolar',
+  cuotaMensual: 'cuota mensual',
+  mesesPendientes: 'meses pendientes, separados por coma',
+  cantidadMesesPendientes: 'cantidad de meses pendientes',
+  deudaMensualidad: 'deuda de mensualidades',
+  deudaMora: 'deuda de mora',
+  totalDeuda: 'deuda total (incluye el saldo del año anterior)',
+  saldoAFavor: 'saldo a favor',
+  alDia: 'marca de alumno al día, también con el año anterior (para {si alDia})'
+};
+
+const CAMPOS_ENCARGADO = {
+  cantidadAlumnos: 'cantidad de alumnos del encargado',
+  alumnos: 'nombres de los alumnos, separados por coma',
+  totalDeudaEncargado: 'suma de la deuda total de sus alumnos'
+};
+
+/**
+ * Campos de plantilla de un alumno. Como en el estado de pagos, la deuda
+ * total y la marca de al día incluyen el saldo del año escolar anterior.
+ * @param {Object} estudiante - Información del estudiante.
+ * @param {Object|null} anterior - Registro del año escolar anterior.
+ * @returns {Object} Valores por nombre de campo.
+ */
+function camposAlumno(estudiante, anterior = null) {
+  const deuda = calcularDeuda(estudiante, { anterior });
+  return {
+    nombre: estudiante.nombre,
+    grado: estudiante.grado,
+    id: estudiante.id,
+    anio: deuda.anio,
+    cuotaMensual: deuda.cuotaMensual,
+    mesesPendientes: deuda.mesesPendientes.join(', '),
+    cantidadMesesPendientes: deuda.mesesPendientes.length,
+    deudaMensualidad: deuda.deudaMensualidad,
+    deudaMora: deuda.deudaMora,
+    totalDeuda: deuda.totalDeuda,
+    saldoAFavor: deuda.saldoAFavor,
+    alDia: deuda.alDia
+  };
+}
+
+/**
+ * Campos de plantilla de un encargado.
+ * @param {Object[]} alumnos - Campos de cada alumno (camposAlumno).
+ * @returns {Object} Valores por nombre de campo.
+ */
+function camposEncargado(alumnos) {
+  return {
+    cantidadAlumnos: alumnos.length,
+    alumnos: alumnos.map(alumno => alumno.nombre).join(', '),
+    totalDeudaEncargado: alumnos.reduce((total, alumno) => total + parseFloat(alumno.totalDeuda), 0).toFixed(2)
+  };
+}
+
+/**
+ * Valida una plantilla de broadcast.
+ * @param {string} texto - Plantilla.
+ * @param {string|null} modo - 'alumno', 'encargado' o null para deducirlo
+ *   ('encargado' si la plantilla usa {cada alumno}).
+ * @returns {Object} { nodos, modo, errores }
+ */
+function validarPlantillaBroadcast(texto, modo = null) {
+  const { nodos, errores } = analizarPlantilla(texto);
+  const usaCada = nodos.some(function tieneCada(nodo) {
+    return nodo.tipo === 'cada' || (nodo.tipo === 'si' && [...nodo.entonces, ...(nodo.sino || [])].some(tieneCada));
+  });
+  const modoFinal = modo || (usaCada ? 'encargado' : 'alumno');
+
+  if (!MODOS.includes(modoFinal)) {
+    errores.push(`Modo "${modoFinal}" no válido (use alumno o encargado).`);
+  }
+
+  camposUsados(nodos).forEach(({ campo, dentroDeCada }) => {
+    const deAlumno = campo in CAMPOS_ALUMNO;
+    if (!deAlumno && !(campo in CAMPOS_ENCARGADO)) {
+      errores.push(`Campo desconocido: {${campo}}.`);
+    } else if (deAlumno && modoFinal === 'encargado' && !dentroDeCada) {
+      errores.push(`En modo encargado el campo {${campo}} debe ir dentro de {cada alumno}…{fin}.`);
+    }
+  });
+
+  return { nodos, modo: modoFinal, errores: [...new Set(errores)] };
+}
+
+/**
+ * Genera los mensajes personalizados de un encargado.
+ * @param {Object} plantilla - Resultado de validarPlantillaBroadcast.
+ * @param {Object[]} estudiantes - Alumnos del encargado.
+ * @returns {Promise<string[]>} Un texto por alumno (modo alumno) o uno solo (modo encargado).
+ */
+async function personalizar(plantilla, estudiantes) {
+  const alumnos = [];
+  for (const estudiante of estudiantes) {
+    alumnos.push(camposAlumno(estudiante, await buscarEstudianteAnioAnterior(estudiante)));
+  }
+  const encargado = camposEncargado(alumnos);
+
+  if (plantilla.modo === 'alumno') {
+    return alumnos.map(alumno => renderizarPlantilla(plantilla.nodos, { ...encargado, ...alumno }));
+  }
+  return [renderizarPlantilla(plantilla.nodos, encargado, alumnos)];
+}
+
+/**
+ * Normaliza el nombre de una plantilla guardada.
+ * @param {string} nombre - Nombre escrito por el administrador.
+ * @returns {string} Nombre en minúsculas.
+ */
+function normalizarNombre(nombre) {
+  return String(nombre || '').trim().toLowerCase();
+}
+
+/**
+ * Guarda (o reemplaza) una plantilla con nombre.
+ * @param {string} nombre - Nombre de la plantilla.
+ * @param {Object} datos - { texto, modo, creadoPor }
+ * @returns {Object} { plantilla, errores } con la plantilla guardada o los errores de validación.
+ */
+function guardarPlantilla(nombre, { texto, modo = null, creadoPor }) {
+  const validacion = validarPlantillaBroadcast(texto, modo);
+  if (validacion.errores.length > 0) return { plantilla: null, errores: validacion.errores };
+
+  const plantilla = {
+    nombre: normalizarNombre(nombre),
+    texto,
+    modo: validacion.modo,
+    creadoPor,
+    actualizado: new Date().toISOString()
+  };
+  plantillas.establecer(plantilla.nombre, plantilla);
+  return { plantilla, errores: [] };
+}
+
+/**
+ * Obtiene una plantilla guardada.
+ * @param {string} nombre - Nombre de la plantilla.
+ * @returns {Object|null} Plantilla o null si no existe.
+ */
+function obtenerPlantilla(nombre) {
+  return plantillas.obtener(normalizarNombre(nombre)) || null;
+}
+
+/**
+ * Lista las plantillas guardadas por nombre.
+ * @returns {Object[]} Plantillas.
+ */
+function listarPlantillas() {
+  return plantillas.entradas()
+    .map(([, plantilla]) => plantilla)
+    .sort((a, b) => a.nombre.localeCompare(b.nombre));
+}
+
+/**
+ * Elimina una plantilla guardada.
+ * @param {string} nombre - Nombre de la plantilla.
+ * @returns {boolean} True si existía.
+ */
+function eliminarPlantilla(nombre) {
+  if (!obtenerPlantilla(nombre)) return false;
+  plantillas.eliminar(normalizarNombre(nombre));
+  return true;
+}
+
+module.exports = {
+  CAMPOS_ALUMNO,
+  CAMPOS_ENCARGADO,
+  validarPlantillaBroadcast,
+  personalizar,
+  guardarPlantilla,
+  obtenerPlantilla,
+  listarPlantillas,
+  eliminarPlantilla
+};
@@ -0,0 +1,28 @@
+/**
+ * Fuente de datos: libro xlsx en el disco local.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+/**
+ * Crea una fuente que lee un xlsx local.
+ * @param {Object} fuente - { ruta }
+ * @returns {Object} Fuente con descripcion, leer() y convertir(buffer).
+ */
+function crearFuenteArchivo({ ruta }) {
+  return {
+    descripcion: `archivo ${path.basename(ruta)}`,
+    leer: async () => ({ buffer: await fs.promises.readFile(ruta) }),
+    async convertir(buffer) {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      return workbook;
+    }
+  };
+}
+
+module.exports = {
+  crearFuenteArchivo
+};
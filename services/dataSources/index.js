@@ -0,0 +1,41 @@
+/**
+ * Selección de la fuente de datos de cada año escolar (config.anios[anio].fuente).
+ *
+ * Toda fuente expone:
+ *   - descripcion: texto para logs.
+ *   - leer(previo): Promise<{ buffer, etag }> con el contenido crudo, o
+ *     { sinCambios: true } si la fuente puede confirmar (p. ej. con el ETag
+ *     de `previo`) que no cambió.
+ *   - convertir(buffer): Promise<Workbook> de exceljs.
+ */
+
+const { esquemas } = require('../../config/config');
+const { crearFuenteUrl } = require('./urlSource');
+const { crearFuenteArchivo } = require('./fileSource');
+const { crearFuenteJson } = require('./jsonLedgerSource');
+
+/**
+ * Crea la fuente de datos configurada para un año escolar.
+ * @param {Object} fuente - { tipo: 'url' | 'archivo' | 'json', url?, ruta? }
+ * @param {number} anio - Año escolar.
+ * @returns {Object} Fuente.
+ */
+function crearFuente(fuente, anio) {
+  switch (fuente.tipo) {
+    case 'url':
+      return crearFuenteUrl(fuente);
+    case 'archivo':
+      return crearFuenteArchivo(fuente);
+    case 'json':
+      if (!esquemas[anio]) {
+        throw new Error(`No hay esquema de hoja definido para el año ${anio}.`);
+      }
+      return crearFuenteJson(fuente, esquemas[anio]);
+    default:
+      throw new Error(`Tipo de fuente de datos no soportado para ${anio}: ${fuente.tipo}`);
+  }
+}
+
+module.exports = {
+  crearFuente
+};
@@ -0,0 +1,78 @@
+/**
+ * Fuente de datos: libro mayor local en JSON, para escuelas que no llevan
+ * sus cuentas en Excel o para ejecutar el bot sin conexión.
+ *
+ * Formato:
+ * {
+ *   "alumnos": [
+ *     { "id": "0801...", "nombre": "...", "grado": "...", "planDePago": 10,
+ *       "totalPagar": 2000, "meses": { "enero": 2000, "febrero": null } }
+ *   ]
+ * }
+ *
+ * El libro se convierte en un workbook con la disposición del esquema del
+ * año, de modo que la validación y la lectura son las mismas que para xlsx.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const CAMPOS = { NOMBRE: 'nombre', GRADO: 'grado', ID: 'id', PLAN_PAGO: 'planDePago', TOTAL_PAGAR: 'totalPagar' };
+
+/**
+ * Construye un workbook con la disposición de un esquema.
+ * Las opciones permiten mover u omitir columnas para simular hojas
+ * reorganizadas por contabilidad.
+ * @param {Object} esquema - Esquema del año escolar.
+ * @param {Object[]} alumnos - Alumnos en el formato del libro JSON.
+ * @param {Object} opciones - { hoja, posiciones: { CLAVE: 'letra' }, omitirColumnas: string[] }
+ * @returns {Object} Workbook de exceljs.
+ */
+function construirWorkbook(esquema, alumnos = [], opciones = {}) {
+  const workbook = new ExcelJS.Workbook();
+  const hoja = workbook.addWorksheet(opciones.hoja || esquema.hoja);
+  const filaEncabezado = esquema.filaEncabezado || 2;
+
+  const columnas = [
+    ...Object.entries(esquema.columnas).map(([clave, def]) => ({ clave, def, valor: a => a[CAMPOS[clave]] })),
+    ...Object.entries(esquema.meses).map(([clave, def]) => ({ clave, def, valor: a => (a.meses || {})[clave.toLowerCase()] }))
+  ]
+    .filter(({ clave }) => !(opciones.omitirColumnas || []).includes(clave))
+    .map(columna => ({ ...columna, letra: (opciones.posiciones || {})[columna.clave] || columna.def.columna }));
+
+  columnas.forEach(({ def, letra }) => {
+    hoja.getRow(filaEncabezado).getCell(letra).value = def.encabezados[0].toUpperCase();
+  });
+  alumnos.forEach((alumno, index) => {
+    const fila = hoja.getRow(filaEncabezado + 1 + index);
+    columnas.forEach(({ valor, letra }) => {
+      const dato = valor(alumno);
+      if (dato !== undefined && dato !== null) fila.getCell(letra).value = dato;
+    });
+  });
+
+  return workbook;
+}
+
+/**
+ * Crea una fuente que lee un libro mayor JSON local.
+ * @param {Object} fuente - { ruta }
+ * @param {Object} esquema - Esquema del año escolar.
+ * @returns {Object} Fuente con descripcion, leer() y convertir(buffer).
+ */
+function crearFuenteJson({ ruta }, esquema) {
+  return {
+    descripcion: `libro JSON ${path.basename(ruta)}`,
+    leer: async () => ({ buffer: await fs.promises.readFile(ruta) }),
+    async convertir(buffer) {
+      const libro = JSON.parse(buffer.toString('utf8'));
+      return construirWorkbook(esquema, libro.alumnos);
+    }
+  };
+}
+
+module.exports = {
+  crearFuenteJson,
+  construirWorkbook
+};
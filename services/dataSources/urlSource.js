@@ -0,0 +1,68 @@
+/**
+ * Fuente de datos: libro xlsx descargado desde una URL (Dropbox u otro
+ * enlace público), con reintentos y logging con timestamps.
+ */
+
+const ExcelJS = require('exceljs');
+
+const MAX_RETRIES = 3;
+const TIMEOUT_MS = 15000; // 15 segundos timeout
+
+/**
+ * Descarga el archivo desde la URL con reintentos.
+ * Si se conoce el ETag de la copia anterior se envía If-None-Match y un
+ * 304 se reporta como "sin cambios" sin volver a descargar.
+ * @param {string} url - URL pública del archivo.
+ * @param {string|null} etag - ETag de la copia anterior.
+ * @param {number} retries - Cantidad de intentos.
+ * @returns {Promise<Object>} { buffer, etag } o { sinCambios: true, etag }.
+ */
+async function downloadWithRetry(url, etag = null, retries = MAX_RETRIES) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      console.log(`[${new Date().toISOString()}] Intentando descargar archivo Excel (intento ${attempt})...`);
+      const response = await fetch(url, {
+        headers: etag ? { 'If-None-Match': etag } : {},
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      if (response.status === 304) {
+        console.log(`[${new Date().toISOString()}] El archivo no cambió (304).`);
+        return { sinCambios: true, etag };
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      console.log(`[${new Date().toISOString()}] Descarga exitosa.`);
+      return { buffer, etag: response.headers.get('etag') };
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error en descarga intento ${attempt}: ${error.message}`);
+      if (attempt === retries) {
+        throw new Error('No se pudo descargar el archivo Excel después de varios intentos.');
+      }
+      // Esperar 2 segundos antes del siguiente intento
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+}
+
+/**
+ * Crea una fuente que descarga un xlsx por HTTP(S).
+ * @param {Object} fuente - { url }
+ * @returns {Object} Fuente con descripcion, leer(previo) y convertir(buffer).
+ */
+function crearFuenteUrl({ url }) {
+  return {
+    descripcion: `URL ${new URL(url).host}`,
+    leer: ({ etag } = {}) => downloadWithRetry(url, etag),
+    async convertir(buffer) {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      return workbook;
+    }
+  };
+}
+
+module.exports = {
+  crearFuenteUrl
+};
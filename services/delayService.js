@@ -0,0 +1,41 @@
+/**
+ * Servicio para los retrasos artificiales entre mensajes.
+ * Los retrasos simulan una respuesta humana en WhatsApp; se pueden
+ * desactivar (BOT_RETRASOS=off) para ejecutar diálogos de forma determinista.
+ */
+
+let retrasosHabilitados = process.env.BOT_RETRASOS !== 'off';
+
+/**
+ * Activa o desactiva los retrasos.
+ * @param {boolean} habilitados - True para esperar, false para responder de inmediato.
+ */
+function configurarRetrasos(habilitados) {
+  retrasosHabilitados = habilitados;
+}
+
+/**
+ * Espera la cantidad de milisegundos indicada (si los retrasos están habilitados).
+ * @param {number} ms - Milisegundos a esperar.
+ * @returns {Promise<void>}
+ */
+function esperar(ms) {
+  if (!retrasosHabilitados) return Promise.resolve();
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Espera un tiempo aleatorio entre minMs y maxMs.
+ * @param {number} minMs - Mínimo en milisegundos.
+ * @param {number} maxMs - Máximo en milisegundos.
+ * @returns {Promise<void>}
+ */
+function esperarAleatorio(minMs, maxMs) {
+  return esperar(Math.floor(Math.random() * (maxMs - minMs)) + minMs);
+}
+
+module.exports = {
+  configurarRetrasos,
+  esperar,
+  esperarAleatorio
+};
@@ -0,0 +1,550 @@
+/**
+ * Documentos formales para los encargados: estado de cuenta y constancia
+ * de solvencia en PDF.
+ *
+ * Cada documento emitido queda registrado con un código de verificación
+ * (almacén 'documentos'), así administración puede confirmar con
+ * /verificar <código> que un PDF presentado por un encargado salió del bot
+ * y con qué datos. La solvencia además lleva un token firmado (HMAC-SHA256
+ * con config.documentos.secreto) y un QR con ese token, para que un banco
+ * u otra escuela la verifiquen sin depender del registro: el token trae los
+ * datos de la emisión y la firma demuestra que no se alteraron.
+ *
+ * Los documentos van siempre en español, el formato que piden bancos,
+ * becas y empleadores.
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const qrcode = require('qrcode');
+const { infoEscuela, zonaHoraria, documentos: configDocumentos } = require('../config/config');
+const { crearAlmacen } = require('./stateStores');
+const { normalizarTexto } = require('./schemaService');
+
+const documentos = crearAlmacen('documentos'); // código → datos de la emisión
+const claves = crearAlmacen('claves');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Sin 0/O ni 1/I para que el código se pueda dictar; 32 letras reparten
+// los bytes aleatorios sin sesgo
+const ALFABETO_CODIGO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const COLOR_PRINCIPAL = '#1f3b6f';
+const COLOR_TENUE = '#666666';
+
+// Columnas de la tabla de meses: [título, ancho, alineación]
+const COLUMNAS = [
+  ['Mes', 90, 'left'],
+  ['Pagado', 80, 'right'],
+  ['Saldo', 80, 'right'],
+  ['Mora', 70, 'right'],
+  ['Estado', 192, 'left']
+];
+
+/**
+ * Genera un código de verificación que no se haya emitido antes, p. ej. "K7QD-M9XA".
+ * @returns {string} Código.
+ */
+function generarCodigo() {
+  let codigo;
+  do {
+    const letras = Array.from(crypto.randomBytes(8), byte => ALFABETO_CODIGO[byte % ALFABETO_CODIGO.length]).join('');
+    codigo = `${letras.slice(0, 4)}-${letras.slice(4)}`;
+  } while (documentos.obtener(codigo));
+  return codigo;
+}
+
+/**
+ * Normaliza un código escrito por el personal ("k7qd m9xa" → "K7QD-M9XA").
+ * @param {string} texto - Código escrito.
+ * @returns {string} Código normalizado.
+ */
+function normalizarCodigo(texto) {
+  const letras = String(texto || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return letras.length === 8 ? `${letras.slice(0, 4)}-${letras.slice(4)}` : letras;
+}
+
+/**
+ * Formatea una fecha como día/mes/año en la zona horaria de la escuela.
+ * @param {Date} fecha - Fecha.
+ * @returns {string} Fecha, p. ej. "03/02/2025".
+ */
+function formatearDia(fecha) {
+  return fecha.toLocaleDateString('es-HN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: zonaHoraria });
+}
+
+/**
+ * Formatea una fecha en la zona horaria de la escuela, p. ej. "03/02/2025 14:05".
+ * @param {Date} fecha - Fecha.
+ * @returns {string} Fecha y hora.
+ */
+function formatearFecha(fecha) {
+  const hora = fecha.toLocaleTimeString('es-HN', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: zonaHoraria });
+  return `${formatearDia(fecha)} ${hora}`;
+}
+
+/**
+ * Clave para firmar los tokens. Sin config.documentos.secreto se genera una
+ * al azar y se guarda en el estado, para que las solvencias emitidas sigan
+ * siendo válidas después de reiniciar el bot.
+ * @returns {string} Clave.
+ */
+function claveFirma() {
+  if (configDocumentos.secreto) return configDocumentos.secreto;
+
+  let clave = claves.obtener('documentos');
+  if (!clave) {
+    clave = crypto.randomBytes(32).toString('hex');
+    claves.establecer('documentos', clave);
+    console.warn(`[${new Date().toISOString()}] DOCUMENTOS_SECRETO no está configurado; se generó una clave para firmar las solvencias.`);
+  }
+  return clave;
+}
+
+/**
+ * Firma HMAC-SHA256 de un contenido.
+ * @param {string} contenido - Contenido en base64url.
+ * @returns {string} Firma en base64url.
+ */
+function firmar(contenido) {
+  return crypto.createHmac('sha256', claveFirma()).update(contenido).digest('base64url');
+}
+
+/**
+ * Arma un token firmado con los datos de una emisión: "<datos>.<firma>",
+ * ambos en base64url.
+ * @param {Object} datos - Datos de la emisión.
+ * @returns {string} Token.
+ */
+function firmarToken(datos) {
+  const contenido = Buffer.from(JSON.stringify(datos)).toString('base64url');
+  return `${contenido}.${firmar(contenido)}`;
+}
+
+/**
+ * Texto que va en el QR: el enlace de verificación con el token, o el token
+ * solo si no hay config.documentos.urlVerificacion.
+ * @param {string} token - Token firmado.
+ * @returns {string} Contenido del QR.
+ */
+function enlaceVerificacion(token) {
+  return configDocumentos.urlVerificacion
+    ? `${configDocumentos.urlVerificacion}?token=${encodeURIComponent(token)}`
+    : token;
+}
+
+/**
+ * Describe el estado de un mes para la tabla del PDF (sin emojis: la
+ * fuente estándar del PDF no los tiene).
+ * @param {Object} detalle - Entrada de detalleMeses de calcularDeuda.
+ * @returns {string} Estado del mes.
+ */
+function estadoMes(detalle) {
+  const aplicado = parseFloat(detalle.creditoAplicado) > 0 ? ` (crédito aplicado L.${detalle.creditoAplicado})` : '';
+  switch (detalle.estado) {
+    case 'pagado':
+      return 'Pagado';
+    case 'excedente':
+      return `Pagado (excedente L.${detalle.credito})`;
+    case 'parcial':
+      return `Pago parcial${aplicado}`;
+    case 'cubierto':
+      return `Cubierto con crédito${aplicado}`;
+    case 'exonerado':
+      return `Exonerado (${detalle.nota})`;
+    case 'nota':
+      return detalle.nota;
+    default:
+      return `Pendiente${aplicado}`;
+  }
+}
+
+/**
+ * Escribe una fila de la tabla de meses.
+ * @param {PDFDocument} doc - Documento.
+ * @param {string[]} celdas - Textos de las celdas, en el orden de COLUMNAS.
+ * @param {Object} opciones - { negrita: boolean, fondo: string|null }
+ */
+function filaTabla(doc, celdas, { negrita = false, fondo = null } = {}) {
+  const izquierda = doc.page.margins.left;
+  const y = doc.y;
+  const alto = 18;
+  const ancho = COLUMNAS.reduce((total, [, anchoColumna]) => total + anchoColumna, 0);
+
+  if (fondo) {
+    doc.save().rect(izquierda, y - 4, ancho, alto).fill(fondo).restore();
+  }
+
+  doc.font(negrita ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('black');
+  let x = izquierda;
+  COLUMNAS.forEach(([, anchoColumna, alineacion], indice) => {
+    doc.text(celdas[indice], x + 4, y, { width: anchoColumna - 8, align: alineacion, lineBreak: false, ellipsis: true });
+    x += anchoColumna;
+  });
+  doc.x = izquierda;
+  doc.y = y + alto;
+}
+
+/**
+ * Crea un documento PDF y junta su contenido en un Buffer.
+ * @param {Object} info - Metadatos del PDF ({ Title, Subject }).
+ * @param {Function} escribir - Recibe el documento y escribe su contenido (puede ser async).
+ * @returns {Promise<Buffer>} Contenido del PDF.
+ */
+function crearPdf(info, escribir) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Author: infoEscuela.nombre, ...info } });
+    const partes = [];
+    doc.on('data', parte => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+
+    Promise.resolve(escribir(doc)).then(() => doc.end(), reject);
+  });
+}
+
+/**
+ * Escribe el encabezado de la escuela y el título del documento.
+ * @param {PDFDocument} doc - Documento.
+ * @param {string} titulo - Título del documento.
+ */
+function encabezado(doc, titulo) {
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLOR_PRINCIPAL).text(infoEscuela.nombre.toUpperCase(), { align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor(COLOR_TENUE)
+    .text(`${infoEscuela.email}  |  ${infoEscuela.sitioWeb}`, { align: 'center' })
+    .text(infoEscuela.horario, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .strokeColor(COLOR_PRINCIPAL).lineWidth(1.5).stroke();
+  doc.moveDown(1);
+
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('black').text(titulo, { align: 'center' });
+  doc.moveDown(1);
+}
+
+/**
+ * Genera el PDF del estado de cuenta de un estudiante.
+ * @param {Object} estudiante - Estudiante (buscarEstudiante).
+ * @param {Object} deuda - Resultado de calcularDeuda para el estudiante.
+ * @param {Object} emision - { codigo, fecha: Date }
+ * @returns {Promise<Buffer>} Contenido del PDF.
+ */
+function generarPdfEstadoCuenta(estudiante, deuda, { codigo, fecha }) {
+  const info = { Title: `Estado de cuenta ${deuda.anio} - ${estudiante.nombre}`, Subject: `Código de verificación ${codigo}` };
+  return crearPdf(info, doc => {
+    encabezado(doc, `ESTADO DE CUENTA ${deuda.anio}`);
+
+    // Datos del alumno
+    doc.fontSize(10);
+    [
+      ['Alumno', estudiante.nombre],
+      ['Identidad', estudiante.id],
+      ['Grado', estudiante.grado],
+      ['Plan de pago', `${estudiante.planDePago} meses`],
+      ['Cuota mensual', `L.${deuda.cuotaMensual}`]
+    ].forEach(([etiqueta, valor]) => {
+      doc.font('Helvetica-Bold').text(`${etiqueta}: `, { continued: true }).font('Helvetica').text(String(valor ?? ''));
+    });
+    doc.moveDown(1);
+
+    // Tabla de meses
+    const moraPorMes = new Map(deuda.moraPorMes.map(({ mes, monto }) => [mes.toLowerCase(), monto]));
+    filaTabla(doc, COLUMNAS.map(([titulo]) => titulo), { negrita: true, fondo: '#dde4f0' });
+    deuda.detalleMeses.forEach((detalle, indice) => {
+      filaTabla(doc, [
+        detalle.mes.charAt(0).toUpperCase() + detalle.mes.slice(1),
+        `L.${detalle.pagado}`,
+        `L.${detalle.saldo}`,
+        moraPorMes.has(detalle.mes) ? `L.${moraPorMes.get(detalle.mes)}` : '-',
+        estadoMes(detalle)
+      ], { fondo: indice % 2 === 1 ? '#f4f6fa' : null });
+    });
+    doc.moveDown(1);
+
+    // Mora
+    if (deuda.moraPorMes.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Detalle de mora');
+      doc.font('Helvetica').fontSize(9);
+      deuda.moraPorMes.forEach(({ mes, monto }) => {
+        doc.text(`${mes.charAt(0) + mes.slice(1).toLowerCase()}: L.${monto}`, { indent: 10 });
+      });
+      doc.moveDown(0.5);
+    }
+
+    // Totales
+    doc.fontSize(10);
+    const totales = [
+      ['Meses pendientes', deuda.mesesPendientes.length > 0 ? deuda.mesesPendientes.join(', ') : 'Ninguno'],
+      ['Deuda de mensualidad', `L.${deuda.deudaMensualidad}`],
+      ['Deuda de mora', `L.${deuda.deudaMora}`]
+    ];
+    if (parseFloat(deuda.saldoAFavor) > 0) {
+      totales.push(['Saldo a favor', `L.${deuda.saldoAFavor}`]);
+    }
+    if (deuda.arrastre) {
+      totales.push([`Saldo pendiente ${deuda.arrastre.anio}`, `L.${deuda.arrastre.totalDeuda} (${deuda.arrastre.mesesPendientes.join(', ')})`]);
+    }
+    totales.forEach(([etiqueta, valor]) => {
+      doc.font('Helvetica-Bold').text(`${etiqueta}: `, { continued: true }).font('Helvetica').text(valor);
+    });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(deuda.alDia ? '#1e7b34' : '#a61b1b')
+      .text(deuda.alDia ? 'AL DÍA EN PAGOS' : `DEUDA TOTAL: L.${deuda.totalDeuda}`);
+    doc.moveDown(2);
+
+    // Pie: emisión y verificación
+    doc.font('Helvetica').fontSize(8).fillColor(COLOR_TENUE)
+      .text(`Generado el ${formatearFecha(fecha)} por el asistente virtual de WhatsApp.`)
+      .text(`Código de verificación: ${codigo}`)
+      .text(`Para confirmar la autenticidad de este documento comuníquese con administración (${infoEscuela.email}) e indique el código.`)
+      .text('Los pagos realizados después de la fecha de generación no se reflejan en este documento.');
+  });
+}
+
+/**
+ * Emite un estado de cuenta: genera el PDF y registra la emisión con su
+ * código de verificación.
+ * @param {Object} datos - { remitente, estudiante, deuda, fecha }
+ * @returns {Promise<Object>} { codigo, buffer, nombreArchivo }
+ */
+async function emitirEstadoCuenta({ remitente, estudiante, deuda, fecha = new Date() }) {
+  const codigo = generarCodigo();
+  const buffer = await generarPdfEstadoCuenta(estudiante, deuda, { codigo, fecha });
+
+  documentos.establecer(codigo, {
+    tipo: 'estado de cuenta',
+    idEstudiante: estudiante.id,
+    nombre: estudiante.nombre,
+    grado: estudiante.grado,
+    anio: deuda.anio,
+    totalDeuda: deuda.totalDeuda,
+    alDia: deuda.alDia,
+    mesesPendientes: deuda.mesesPendientes,
+    remitente,
+    fecha: fecha.toISOString(),
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  });
+
+  const nombreArchivo = `estado-cuenta-${deuda.anio}-${normalizarTexto(estudiante.nombre).replace(/[^a-z0-9]+/g, '-')}.pdf`;
+  return { codigo, buffer, nombreArchivo };
+}
+
+/**
+ * Genera el PDF de la constancia de solvencia.
+ * @param {Object} datos - Datos firmados de la emisión (ver emitirSolvencia).
+ * @param {Object} extras - { token, qr: Buffer PNG }
+ * @returns {Promise<Buffer>} Contenido del PDF.
+ */
+function generarPdfSolvencia(datos, { token, qr }) {
+  const info = { Title: `Constancia de solvencia ${datos.anio} - ${datos.nombre}`, Subject: `Código de verificación ${datos.codigo}` };
+  return crearPdf(info, doc => {
+    encabezado(doc, `CONSTANCIA DE SOLVENCIA ${datos.anio}`);
+    doc.moveDown(1);
+
+    const parrafo = { align: 'justify', lineGap: 4 };
+    doc.font('Helvetica').fontSize(11).fillColor('black')
+      .text(`El ${infoEscuela.nombre} hace constar que el alumno(a) `, { ...parrafo, continued: true })
+      .font('Helvetica-Bold').text(datos.nombre, { ...parrafo, continued: true })
+      .font('Helvetica').text(`, con número de identidad ${datos.idEstudiante}, inscrito(a) en `, { ...parrafo, continued: true })
+      .font('Helvetica-Bold').text(datos.grado, { ...parrafo, continued: true })
+      .font('Helvetica').text(` en el año escolar ${datos.anio}, se encuentra `, { ...parrafo, continued: true })
+      .font('Helvetica-Bold').text('SOLVENTE ', { ...parrafo, continued: true })
+      .font('Helvetica').text('en el pago de sus mensualidades a la fecha de emisión de esta constancia.', parrafo);
+    doc.moveDown(1);
+    doc.text(`Emitida el ${formatearFecha(new Date(datos.emitido))}. Válida hasta el ${formatearDia(new Date(datos.vence))}.`, parrafo);
+    doc.moveDown(2);
+
+    // Verificación: QR a la izquierda, instrucciones a la derecha
+    const izquierda = doc.page.margins.left;
+    const y = doc.y;
+    const lado = 120;
+    doc.image(qr, izquierda, y, { width: lado, height: lado });
+    doc.font('Helvetica-Bold').fontSize(10).text('Verificación', izquierda + lado + 15, y);
+    doc.font('Helvetica').fontSize(9).fillColor(COLOR_TENUE)
+      .text(
+        configDocumentos.urlVerificacion
+          ? 'Escanee el código QR para confirmar en línea que esta constancia fue emitida por la escuela y no fue alterada.'
+          : 'El código QR contiene un token firmado por la escuela; administración puede validarlo para confirmar que la constancia no fue alterada.',
+        { width: doc.page.width - doc.page.margins.right - (izquierda + lado + 15) }
+      )
+      .moveDown(0.5)
+      .text(`Código de verificación: ${datos.codigo}`)
+      .text(`Consultas: ${infoEscuela.email}`);
+    doc.x = izquierda;
+    doc.y = Math.max(doc.y, y + lado) + 15;
+
+    doc.font('Courier').fontSize(6).fillColor(COLOR_TENUE).text(`Token: ${token}`, { lineBreak: true });
+  });
+}
+
+/**
+ * Emite una constancia de solvencia para un estudiante al día: firma los
+ * datos de la emisión, genera el QR y el PDF, y registra la emisión.
+ * @param {Object} datos - { remitente, estudiante, deuda, fecha }
+ * @returns {Promise<Object>} { codigo, token, vence, buffer, nombreArchivo }
+ */
+async function emitirSolvencia({ remitente, estudiante, deuda, fecha = new Date() }) {
+  if (!deuda.alDia) {
+    throw new Error(`El alumno ${estudiante.id} no está al día en pagos`);
+  }
+
+  const codigo = generarCodigo();
+  const vence = new Date(fecha.getTime() + configDocumentos.vigenciaSolvenciaDias * DIA_MS);
+  const datos = {
+    tipo: 'solvencia',
+    codigo,
+    idEstudiante: estudiante.id,
+    nombre: estudiante.nombre,
+    grado: estudiante.grado,
+    anio: deuda.anio,
+    emitido: fecha.toISOString(),
+    vence: vence.toISOString()
+  };
+  const token = firmarToken(datos);
+  const qr = await qrcode.toBuffer(enlaceVerificacion(token), { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 360 });
+  const buffer = await generarPdfSolvencia(datos, { token, qr });
+
+  documentos.establecer(codigo, {
+    tipo: 'solvencia',
+    idEstudiante: estudiante.id,
+    nombre: estudiante.nombre,
+    grado: estudiante.grado,
+    anio: deuda.anio,
+    totalDeuda: deuda.totalDeuda,
+    alDia: true,
+    mesesPendientes: [],
+    remitente,
+    fecha: datos.emitido,
+    vence: datos.vence,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  });
+
+  const nombreArchivo = `solvencia-${deuda.anio}-${normalizarTexto(estudiante.nombre).replace(/[^a-z0-9]+/g, '-')}.pdf`;
+  return { codigo, token, vence, buffer, nombreArchivo };
+}
+
+/**
+ * Busca la emisión de un documento por su código de verificación.
+ * @param {string} codigo - Código impreso en el documento.
+ * @returns {Object|null} Datos de la emisión (con `codigo`) o null si no existe.
+ */
+function buscarDocumento(codigo) {
+  const normalizado = normalizarCodigo(codigo);
+  const documento = documentos.obtener(normalizado);
+  return documento ? { codigo: normalizado, ...documento } : null;
+}
+
+/**
+ * Valida un token de solvencia: firma, formato y vigencia.
+ * @param {string} token - Token firmado ("<datos>.<firma>").
+ * @param {Date} fecha - Fecha con la que se revisa la vigencia.
+ * @returns {Object} { valido, motivo, datos, documento } donde `motivo` es
+ *   'formato', 'firma' o 'vencido' si no es válido, `datos` los datos
+ *   firmados y `documento` la emisión registrada (null si no está en el registro).
+ */
+function verificarToken(token, fecha = new Date()) {
+  const invalido = motivo => ({ valido: false, motivo, datos: null, documento: null });
+  const [contenido, firma, ...resto] = String(token || '').trim().split('.');
+  if (!contenido || !firma || resto.length > 0) {
+    return invalido('formato');
+  }
+
+  const esperada = Buffer.from(firmar(contenido));
+  const recibida = Buffer.from(firma);
+  if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+    return invalido('firma');
+  }
+
+  let datos;
+  try {
+    datos = JSON.parse(Buffer.from(contenido, 'base64url').toString('utf8'));
+  } catch (error) {
+    return invalido('formato');
+  }
+
+  const vencido = new Date(datos.vence) < fecha;
+  return { valido: !vencido, motivo: vencido ? 'vencido' : null, datos, documento: buscarDocumento(datos.codigo) };
+}
+
+/**
+ * Verifica un documento por su código de verificación o por el token de
+ * su QR.
+ * @param {string} texto - Código ("K7QD-M9XA") o token.
+ * @param {Date} fecha - Fecha con la que se revisa la vigencia.
+ * @returns {Object} Igual que verificarToken; con un código, `motivo` es
+ *   'desconocido' si no está registrado y `datos` es la emisión registrada.
+ */
+function verificarDocumento(texto, fecha = new Date()) {
+  if (String(texto || '').includes('.')) {
+    return verificarToken(texto, fecha);
+  }
+
+  const documento = buscarDocumento(texto);
+  if (!documento) {
+    return { valido: false, motivo: 'desconocido', datos: null, documento: null };
+  }
+  const vencido = Boolean(documento.vence) && new Date(documento.vence) < fecha;
+  return {
+    valido: !vencido,
+    motivo: vencido ? 'vencido' : null,
+    datos: { ...documento, emitido: documento.fecha },
+    documento
+  };
+}
+
+/**
+ * Resume el resultado de una verificación para mostrarlo (consola y
+ * página de verificación).
+ * @param {Object} resultado - Resultado de verificarDocumento.
+ * @param {Object} opciones - { interno: boolean } para incluir a quién se
+ *   emitió (sólo para el personal, no en la página pública).
+ * @returns {Object} { titulo, lineas: [[etiqueta, valor]] }
+ */
+function resumenVerificacion({ valido, motivo, datos, documento }, { interno = false } = {}) {
+  const motivos = {
+    formato: 'El token no tiene un formato válido.',
+    firma: 'La firma no corresponde: el documento fue alterado o no lo emitió la escuela.',
+    desconocido: 'No existe ningún documento con ese código: no lo emitió la escuela.'
+  };
+  if (!datos) {
+    return { titulo: '❌ DOCUMENTO NO VÁLIDO', lineas: [['Motivo', motivos[motivo]]] };
+  }
+
+  const lineas = [
+    ['Código', datos.codigo],
+    ['Tipo', `${datos.tipo} ${datos.anio}`],
+    ['Alumno', `${datos.nombre} (${datos.idEstudiante})`],
+    ['Grado', datos.grado],
+    ['Emitido', formatearFecha(new Date(datos.emitido))]
+  ];
+  if (datos.vence) {
+    lineas.push(['Válido hasta', formatearDia(new Date(datos.vence))]);
+  }
+  if (datos.tipo !== 'solvencia') {
+    lineas.push(['Situación al emitirlo', datos.alDia
+      ? 'al día en pagos'
+      : `deuda de L.${datos.totalDeuda} (${datos.mesesPendientes.join(', ')})`]);
+  }
+  if (documento && interno) {
+    lineas.push(['Emitido a', documento.remitente.split('@')[0]]);
+  } else if (!documento) {
+    lineas.push(['Registro', 'la firma es válida pero la emisión no está en el registro de este servidor']);
+  }
+
+  return {
+    titulo: valido ? '✅ DOCUMENTO AUTÉNTICO' : '⚠️ DOCUMENTO VENCIDO',
+    lineas
+  };
+}
+
+module.exports = {
+  emitirEstadoCuenta,
+  emitirSolvencia,
+  buscarDocumento,
+  verificarToken,
+  verificarDocumento,
+  resumenVerificacion,
+  generarPdfEstadoCuenta,
+  generarPdfSolvencia
+};
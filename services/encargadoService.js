@@ -4,6 +4,7 @@
 
 const fs = require('fs');
 const { encargadosFilePath } = require('../config/config');
+const { registrarAuditoria } = require('./auditService');
 
 let encargadosDB = { encargados: {} };
 
@@ -27,18 +28,23 @@ function guardarEncargados() {
 }
 
 /**
- * Registra la relación encargado-alumno.
+ * Registra la relación encargado-alumno y la anota en la bitácora de auditoría.
  * @param {string} numeroEncargado - Número del encargado.
  * @param {string} idEstudiante - ID del estudiante.
+ * @param {string} actor - Quién hace el vínculo (por defecto el propio encargado).
  */
-function registrarEncargado(numeroEncargado, idEstudiante) {
+function registrarEncargado(numeroEncargado, idEstudiante, actor = numeroEncargado) {
   if (!encargadosDB.encargados[numeroEncargado]) {
     encargadosDB.encargados[numeroEncargado] = { alumnos: [] };
   }
 
+  const objetivo = `${numeroEncargado}→${idEstudiante}`;
   if (!encargadosDB.encargados[numeroEncargado].alumnos.includes(idEstudiante)) {
     encargadosDB.encargados[numeroEncargado].alumnos.push(idEstudiante);
     guardarEncargados();
+    registrarAuditoria({ actor, accion: 'vinculo', objetivo });
+  } else {
+    registrarAuditoria({ actor, accion: 'vinculo', objetivo, detalle: 'ya vinculado' });
   }
 }
 
@@ -52,23 +58,49 @@ function obtenerAlumnosEncargado(numeroEncargado) {
 }
 
 /**
- * Elimina la relación encargado-alumno.
+ * Obtiene los encargados vinculados a un alumno.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {string[]} Números de los encargados.
+ */
+function obtenerEncargadosAlumno(idEstudiante) {
+  return Object.entries(encargadosDB.encargados)
+    .filter(([, datos]) => (datos.alumnos || []).includes(idEstudiante))
+    .map(([numero]) => numero);
+}
+
+/**
+ * Elimina la relación encargado-alumno y la anota en la bitácora de auditoría.
  * @param {string} numeroEncargado - Número del encargado.
  * @param {string} idEstudiante - ID del estudiante.
+ * @param {string} actor - Quién quita el vínculo (por defecto el propio encargado).
  * @returns {boolean} True si se eliminó correctamente.
  */
-function eliminarRelacion(numeroEncargado, idEstudiante) {
+function eliminarRelacion(numeroEncargado, idEstudiante, actor = numeroEncargado) {
+  const objetivo = `${numeroEncargado}→${idEstudiante}`;
   if (encargadosDB.encargados[numeroEncargado]) {
+    const vinculado = encargadosDB.encargados[numeroEncargado].alumnos.includes(idEstudiante);
     encargadosDB.encargados[numeroEncargado].alumnos =
       encargadosDB.encargados[numeroEncargado].alumnos.filter(id => id !== idEstudiante);
     guardarEncargados();
+    registrarAuditoria({ actor, accion: 'desvinculo', objetivo, detalle: vinculado ? null : 'no vinculado' });
     return true;
   }
+  registrarAuditoria({ actor, accion: 'desvinculo', objetivo, resultado: 'error', detalle: 'encargado sin registro' });
   return false;
 }
 
+/**
+ * Lista todos los encargados con sus alumnos.
+ * @returns {Array<[string, string[]]>} Pares [número del encargado, IDs de alumnos].
+ */
+function listarEncargados() {
+  return Object.entries(encargadosDB.encargados).map(([numero, datos]) => [numero, datos.alumnos || []]);
+}
+
 module.exports = {
   registrarEncargado,
   obtenerAlumnosEncargado,
-  eliminarRelacion
+  obtenerEncargadosAlumno,
+  eliminarRelacion,
+  listarEncargados
 };
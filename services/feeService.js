@@ -0,0 +1,297 @@
+/**
+ * Servicio de reglas de cobro: calcula mensualidades pendientes y mora
+ * según las reglas de la escuela y del plan de pago (config/feeRules.js).
+ */
+
+const { reglasCobro, zonaHoraria } = require('../config/config');
+const { MESES, normalizarTexto } = require('./schemaService');
+
+/**
+ * Convierte el valor de una celda de monto en número.
+ * @param {*} valorCelda - Valor de la celda (número, texto, fórmula o texto enriquecido).
+ * @returns {number} Monto (0 si no se puede interpretar).
+ */
+function parsearMonto(valorCelda) {
+  let monto = 0;
+
+  if (typeof valorCelda === 'number') {
+    monto = valorCelda;
+  } else if (typeof valorCelda === 'string') {
+    const numeroLimpio = valorCelda.replace(/[^0-9.]/g, '');
+    monto = parseFloat(numeroLimpio) || 0;
+  } else if (valorCelda && typeof valorCelda === 'object') {
+    if (valorCelda.text) {
+      const numeroLimpio = valorCelda.text.replace(/[^0-9.]/g, '');
+      monto = parseFloat(numeroLimpio) || 0;
+    } else if (valorCelda.result) {
+      monto = valorCelda.result;
+    }
+  }
+
+  if (valorCelda && typeof valorCelda === 'string' && valorCelda.includes(',')) {
+    const numeroLimpio = valorCelda
+      .replace('L.', '')
+      .replace('L', '')
+      .replace(/\s/g, '')
+      .replace(',', '');
+    monto = parseFloat(numeroLimpio) || 0;
+  }
+
+  return monto;
+}
+
+/**
+ * Indica si una celda está vacía.
+ * @param {*} valor - Valor de la celda.
+ * @returns {boolean} True si no tiene contenido.
+ */
+function celdaVacia(valor) {
+  return valor === null || valor === undefined || valor.toString().trim() === '';
+}
+
+/**
+ * Indica si el contenido de una celda es un monto (tiene dígitos).
+ * @param {*} valor - Valor de la celda.
+ * @returns {boolean} True si es numérico.
+ */
+function esMonto(valor) {
+  if (typeof valor === 'number') return true;
+  if (valor && typeof valor === 'object') {
+    return typeof valor.result === 'number' || /\d/.test(valor.text || '');
+  }
+  return /\d/.test(String(valor));
+}
+
+/**
+ * Clasifica el contenido de la celda de un mes contra la cuota.
+ * Estados: 'pendiente' (vacía), 'parcial' (monto bajo el umbral),
+ * 'pagado', 'excedente' (monto mayor a la cuota), 'exonerado' (nota de
+ * exoneración configurada) y 'nota' (otro texto, se toma como pagado).
+ * @param {*} valor - Valor de la celda.
+ * @param {number} cuotaMensual - Cuota del estudiante.
+ * @param {Object} reglas - Reglas del plan.
+ * @returns {Object} { estado, pagado, saldo, credito, nota }
+ */
+function clasificarMes(valor, cuotaMensual, reglas) {
+  if (celdaVacia(valor)) {
+    return { estado: 'pendiente', pagado: 0, saldo: cuotaMensual, credito: 0 };
+  }
+
+  // La exoneración se revisa antes que el monto: "BECA 100%" lleva dígitos
+  const nota = String(valor.text ?? valor.result ?? valor).trim();
+  if (reglas.notasExoneracion.some(patron => normalizarTexto(nota).includes(normalizarTexto(patron)))) {
+    return { estado: 'exonerado', pagado: 0, saldo: 0, credito: 0, nota };
+  }
+  if (!esMonto(valor)) {
+    return { estado: 'nota', pagado: 0, saldo: 0, credito: 0, nota };
+  }
+
+  const pagado = parsearMonto(valor);
+  if (pagado < cuotaMensual * reglas.umbralPagoParcial) {
+    return { estado: 'parcial', pagado, saldo: cuotaMensual - pagado, credito: 0 };
+  }
+  if (pagado > cuotaMensual) {
+    return { estado: 'excedente', pagado, saldo: 0, credito: pagado - cuotaMensual };
+  }
+  return { estado: 'pagado', pagado, saldo: 0, credito: 0 };
+}
+
+/**
+ * Obtiene las reglas de cobro que aplican a un plan de pago.
+ * @param {*} planDePago - Plan de pago de la hoja (p. ej. 10 o 12).
+ * @param {Object} reglasEscuela - Reglas de la escuela ({ base, planes }).
+ * @returns {Object} Reglas combinadas.
+ */
+function reglasParaPlan(planDePago, reglasEscuela = reglasCobro) {
+  const plan = reglasEscuela.planes[parseInt(planDePago, 10)] || {};
+  return {
+    ...reglasEscuela.base,
+    ...plan,
+    mora: { ...reglasEscuela.base.mora, ...(plan.mora || {}) }
+  };
+}
+
+/**
+ * Año, mes (1-12) y día de una fecha en la zona horaria de la escuela.
+ * @param {Date} fecha - Fecha.
+ * @returns {number[]} [año, mes, día].
+ */
+function diaEnZona(fecha) {
+  return fecha.toLocaleDateString('en-CA', { timeZone: zonaHoraria }).split('-').map(Number);
+}
+
+/**
+ * Inicio de un día en la zona horaria de la escuela, sin importar la zona
+ * del servidor. Como en Date, el mes es 0-based y los valores fuera de
+ * rango pasan al mes o año siguiente.
+ * @param {number} anio - Año.
+ * @param {number} mes - Mes (0-11).
+ * @param {number} dia - Día del mes.
+ * @returns {Date} Medianoche de ese día en la zona de la escuela.
+ */
+function inicioDelDia(anio, mes, dia) {
+  const utc = Date.UTC(anio, mes, dia);
+  // Diferencia entre la hora de la zona y UTC en un instante dado
+  const desfase = fecha => {
+    const partes = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: zonaHoraria, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(fecha).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(partes.year, partes.month - 1, partes.day, partes.hour, partes.minute, partes.second) - fecha.getTime();
+  };
+  // Se corrige dos veces por si el día cambia de horario de verano
+  const aproximada = new Date(utc - desfase(new Date(utc)));
+  return new Date(utc - desfase(aproximada));
+}
+
+/**
+ * Calcula la fecha de vencimiento de la cuota de un mes.
+ * @param {number} anio - Año escolar.
+ * @param {number} mesNum - Mes cobrado (1-12).
+ * @param {Object} reglas - Reglas del plan.
+ * @param {number} [diasExtra] - Días que se suman al de vencimiento.
+ * @returns {Date} Inicio del día de vencimiento en la zona horaria de la escuela.
+ */
+function fechaVencimiento(anio, mesNum, reglas, diasExtra = 0) {
+  // Los meses son 0-based: mesNum es el índice del mes siguiente y
+  // diciembre pasa a enero del año siguiente
+  const mesVencimiento = reglas.vencimientoMesSiguiente ? mesNum : mesNum - 1;
+  return inicioDelDia(anio, mesVencimiento, reglas.diaVencimiento + diasExtra);
+}
+
+/**
+ * Calcula la fecha hasta la que un mes puede pagarse sin mora.
+ * @param {number} anio - Año escolar.
+ * @param {number} mesNum - Mes cobrado (1-12).
+ * @param {Object} reglas - Reglas del plan.
+ * @returns {Date} Último momento sin mora (inicio del día siguiente al de gracia).
+ */
+function fechaLimiteSinMora(anio, mesNum, reglas) {
+  return fechaVencimiento(anio, mesNum, reglas, reglas.diasGracia);
+}
+
+/**
+ * Calcula la mora de un mes vencido.
+ * @param {number} cuotaMensual - Cuota del estudiante.
+ * @param {Object} reglas - Reglas del plan.
+ * @returns {number} Mora del mes.
+ */
+function moraDelMes(cuotaMensual, reglas) {
+  const mora = reglas.mora.tipo === 'fijo'
+    ? reglas.mora.valor
+    : cuotaMensual * reglas.mora.valor / 100;
+  return reglas.moraMaximaMes === null ? mora : Math.min(mora, reglas.moraMaximaMes);
+}
+
+/**
+ * Calcula la deuda actual de un estudiante.
+ * Los meses se evalúan dentro del año escolar del estudiante: si ese año
+ * ya terminó se evalúan todos. Con `anterior` (el registro del año escolar
+ * previo) los meses pendientes de ese año se arrastran al total. El mes y
+ * el año de `fecha` se toman en la zona horaria de la escuela.
+ * @param {Object} estudiante - Objeto estudiante con información de pagos.
+ * @param {Object} opciones - { fecha: Date, anterior: Object|null, reglas: Object }
+ *   `reglas` sustituye a las del plan del estudiante.
+ * @returns {Object} Detalles de deuda y estado de pagos.
+ */
+function calcularDeuda(estudiante, { fecha = new Date(), anterior = null, reglas = null } = {}) {
+  const reglasPlan = reglas || reglasParaPlan(estudiante.planDePago);
+  const [anioFecha, mesFecha] = diaEnZona(fecha);
+  const anioEstudiante = estudiante.anio || anioFecha;
+
+  // Último mes del año escolar que ya corresponde evaluar
+  let ultimoMes = mesFecha;
+  if (anioFecha > anioEstudiante) ultimoMes = 12;
+  if (anioFecha < anioEstudiante) ultimoMes = 0;
+
+  const cuotaMensual = estudiante.totalPagar;
+
+  const mesesEvaluados = [...reglasPlan.mesesFacturables]
+    .sort((a, b) => a - b)
+    .filter(num => num <= ultimoMes)
+    .map(num => ({ nombre: MESES[num - 1], num }));
+
+  // Cada mes se compara contra la cuota; lo pagado de más queda como
+  // crédito y se aplica a los meses siguientes que tengan saldo
+  let credito = 0;
+  const detalleMeses = mesesEvaluados.map(m => {
+    const detalle = { ...clasificarMes(estudiante.meses[m.nombre], cuotaMensual, reglasPlan), mes: m.nombre, num: m.num };
+    if (detalle.estado === 'excedente') {
+      credito += detalle.credito;
+    } else if (detalle.saldo > 0 && credito > 0) {
+      detalle.creditoAplicado = Math.min(credito, detalle.saldo);
+      credito -= detalle.creditoAplicado;
+      detalle.saldo -= detalle.creditoAplicado;
+      if (detalle.saldo === 0) detalle.estado = 'cubierto';
+    }
+    return detalle;
+  });
+
+  const mesesPendientes = detalleMeses.filter(m => m.saldo > 0);
+  let deudaMora = 0;
+  const moraPorMes = [];
+
+  mesesPendientes.forEach(mesPendiente => {
+    if (fecha > fechaLimiteSinMora(anioEstudiante, mesPendiente.num, reglasPlan)) {
+      const mora = moraDelMes(cuotaMensual, reglasPlan);
+      deudaMora += mora;
+      moraPorMes.push({ mes: mesPendiente.mes.toUpperCase(), monto: mora.toFixed(2) });
+    }
+  });
+
+  if (reglasPlan.moraMaximaTotal !== null) {
+    deudaMora = Math.min(deudaMora, reglasPlan.moraMaximaTotal);
+  }
+
+  const deudaMensualidad = mesesPendientes.reduce((total, m) => total + m.saldo, 0);
+  let totalDeuda = deudaMensualidad + deudaMora;
+
+  // Saldo pendiente del año escolar anterior
+  let arrastre = null;
+  if (anterior) {
+    const deudaAnterior = calcularDeuda(anterior, { fecha, reglas });
+    if (!deudaAnterior.alDia) {
+      arrastre = {
+        anio: anterior.anio,
+        mesesPendientes: deudaAnterior.mesesPendientes,
+        deudaMensualidad: deudaAnterior.deudaMensualidad,
+        deudaMora: deudaAnterior.deudaMora,
+        totalDeuda: deudaAnterior.totalDeuda
+      };
+      totalDeuda += parseFloat(deudaAnterior.totalDeuda);
+    }
+  }
+
+  return {
+    anio: anioEstudiante,
+    deudaMensualidad: deudaMensualidad.toFixed(2),
+    deudaMora: deudaMora.toFixed(2),
+    totalDeuda: totalDeuda.toFixed(2),
+    mesesEvaluados: mesesEvaluados.map(m => m.nombre),
+    mesesPendientes: mesesPendientes.map(m => m.mes.toUpperCase()),
+    detalleMeses: detalleMeses.map(m => ({
+      mes: m.mes,
+      estado: m.estado,
+      pagado: m.pagado.toFixed(2),
+      saldo: m.saldo.toFixed(2),
+      credito: (m.credito || 0).toFixed(2),
+      creditoAplicado: (m.creditoAplicado || 0).toFixed(2),
+      nota: m.nota || null
+    })),
+    moraPorMes,
+    cuotaMensual: cuotaMensual.toFixed(2),
+    saldoAFavor: credito.toFixed(2),
+    arrastre,
+    alDia: mesesPendientes.length === 0 && !arrastre
+  };
+}
+
+module.exports = {
+  parsearMonto,
+  clasificarMes,
+  reglasParaPlan,
+  fechaVencimiento,
+  fechaLimiteSinMora,
+  moraDelMes,
+  calcularDeuda
+};
@@ -0,0 +1,160 @@
+/**
+ * Servicio de idiomas para los mensajes a encargados.
+ *
+ * Los textos salen de los catálogos de config/mensajes (uno por idioma)
+ * con campos {campo} y plurales { one, other } según `cantidad`. Cada
+ * encargado tiene un idioma guardado: el que eligió desde el menú o, si
+ * nunca eligió, el que se adivinó de su primer mensaje.
+ */
+
+const { idiomas: configIdiomas, zonaHoraria } = require('../config/config');
+const { crearAlmacen } = require('./stateStores');
+const { llenarPlantilla } = require('./templateService');
+const { normalizarTexto } = require('./schemaService');
+
+const { predeterminado, catalogos } = configIdiomas;
+
+const preferencias = crearAlmacen('idiomas'); // número del encargado → { idioma, origen, fecha }
+
+// Palabras frecuentes en los primeros mensajes de cada idioma
+const PISTAS = {
+  es: ['hola', 'buenas', 'buenos', 'dias', 'tardes', 'noches', 'gracias', 'quiero', 'necesito', 'cuanto',
+    'debo', 'pago', 'pagos', 'hijo', 'hija', 'que', 'como', 'por', 'favor', 'saldo', 'informacion', 'menu'],
+  en: ['hi', 'hello', 'hey', 'good', 'morning', 'afternoon', 'evening', 'thanks', 'thank', 'please', 'want',
+    'need', 'how', 'much', 'owe', 'payment', 'payments', 'daughter', 'what', 'the', 'my', 'balance', 'english']
+};
+
+const reglasPlural = new Map();
+
+/**
+ * Idiomas con catálogo.
+ * @returns {string[]} Códigos de idioma ('es', 'en').
+ */
+function idiomasDisponibles() {
+  return Object.keys(catalogos);
+}
+
+/**
+ * Elige la forma de un texto con plural según la cantidad.
+ * @param {string} idioma - Código de idioma.
+ * @param {Object} formas - { one, other, ... } según Intl.PluralRules.
+ * @param {number} cantidad - Cantidad.
+ * @returns {string} Forma elegida.
+ */
+function formaPlural(idioma, formas, cantidad) {
+  if (!reglasPlural.has(idioma)) {
+    reglasPlural.set(idioma, new Intl.PluralRules(idioma));
+  }
+  return formas[reglasPlural.get(idioma).select(Number(cantidad))] ?? formas.other;
+}
+
+/**
+ * Traduce una clave del catálogo. Si el idioma no la tiene se usa la del
+ * idioma predeterminado; si tampoco existe se devuelve la clave.
+ * @param {string} idioma - Código de idioma.
+ * @param {string} clave - Clave del catálogo (p. ej. 'menu.titulo').
+ * @param {Object} campos - Valores de los campos {campo}; `cantidad` elige el plural.
+ * @returns {string} Texto.
+ */
+function traducir(idioma, clave, campos = {}) {
+  const idiomaTexto = catalogos[idioma]?.[clave] !== undefined ? idioma : predeterminado;
+  let texto = catalogos[idiomaTexto][clave];
+  if (texto === undefined) {
+    console.error(`[${new Date().toISOString()}] Falta el mensaje "${clave}" en el catálogo.`);
+    return clave;
+  }
+  if (typeof texto === 'object') {
+    texto = formaPlural(idiomaTexto, texto, campos.cantidad);
+  }
+  return llenarPlantilla(texto, campos);
+}
+
+/**
+ * Idioma guardado de un encargado.
+ * @param {string} remitente - Número del encargado.
+ * @returns {string} Código de idioma (el predeterminado si no tiene).
+ */
+function idiomaDe(remitente) {
+  const preferencia = preferencias.obtener(remitente);
+  return preferencia && catalogos[preferencia.idioma] ? preferencia.idioma : predeterminado;
+}
+
+/**
+ * Indica si el encargado ya tiene un idioma guardado (elegido o adivinado).
+ * @param {string} remitente - Número del encargado.
+ * @returns {boolean} True si tiene preferencia.
+ */
+function tieneIdioma(remitente) {
+  return Boolean(preferencias.obtener(remitente));
+}
+
+/**
+ * Guarda el idioma de un encargado.
+ * @param {string} remitente - Número del encargado.
+ * @param {string} idioma - Código de idioma con catálogo.
+ * @param {string} origen - 'elegido' o 'adivinado'.
+ * @returns {boolean} False si el idioma no tiene catálogo.
+ */
+function establecerIdioma(remitente, idioma, origen = 'elegido') {
+  if (!catalogos[idioma]) return false;
+  preferencias.establecer(remitente, { idioma, origen, fecha: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Adivina el idioma de un texto por sus palabras frecuentes.
+ * @param {string} texto - Mensaje del encargado.
+ * @returns {string|null} Código de idioma o null si no hay pistas suficientes.
+ */
+function adivinarIdioma(texto) {
+  const palabras = normalizarTexto(texto).replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+  const puntajes = Object.entries(PISTAS)
+    .map(([idioma, pistas]) => [idioma, palabras.filter(palabra => pistas.includes(palabra)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[idioma, primero], [, segundo]] = puntajes;
+  return primero > segundo ? idioma : null;
+}
+
+/**
+ * Crea una función de traducción para un encargado.
+ * @param {string} remitente - Número del encargado.
+ * @returns {Function} (clave, campos) => texto en el idioma del encargado.
+ */
+function traductor(remitente) {
+  const idioma = idiomaDe(remitente);
+  return (clave, campos) => traducir(idioma, clave, campos);
+}
+
+/**
+ * Nombre de un mes de la hoja en un idioma.
+ * @param {string} idioma - Código de idioma.
+ * @param {string} mes - Mes en español, en cualquier capitalización ('enero', 'ENERO').
+ * @returns {string} Nombre del mes.
+ */
+function nombreMes(idioma, mes) {
+  return traducir(idioma, `mes.${mes.toLowerCase()}`);
+}
+
+/**
+ * Formatea fecha y hora en la zona horaria de la escuela, p. ej. "14:05 del 03/02/2025".
+ * @param {Date} fecha - Fecha a formatear.
+ * @param {string} idioma - Idioma del texto (español para el personal).
+ * @returns {string} Texto formateado.
+ */
+function formatearFechaHora(fecha, idioma = 'es') {
+  const hora = fecha.toLocaleTimeString('es-HN', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: zonaHoraria });
+  const dia = fecha.toLocaleDateString('es-HN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: zonaHoraria });
+  return traducir(idioma, 'fecha.horaDia', { hora, dia });
+}
+
+module.exports = {
+  idiomasDisponibles,
+  traducir,
+  traductor,
+  idiomaDe,
+  tieneIdioma,
+  establecerIdioma,
+  adivinarIdioma,
+  nombreMes,
+  formatearFechaHora
+};
@@ -0,0 +1,184 @@
+/**
+ * Clasificador de intenciones para el menú principal: convierte texto libre
+ * ("cuánto debo", "número de cuenta del banco") en una de las opciones del
+ * menú. Funciona sin conexión con el vocabulario de config/intents.js:
+ *
+ *   1. Normaliza: minúsculas, sin tildes ni signos, letras repetidas
+ *      ("holaaa") reducidas a una.
+ *   2. Corrige errores de escritura contra el vocabulario conocido
+ *      (distancia de edición 1 en palabras de 4 a 6 letras, 2 en más largas).
+ *   3. Descarta las palabras ignoradas y aplica los sinónimos.
+ *   4. Suma los pesos de palabras y frases de cada intención.
+ *
+ * La confianza combina el margen sobre la segunda intención con el puntaje
+ * absoluto, y se compara con los umbrales de config.intenciones.
+ */
+
+const { intenciones: configIntenciones } = require('../config/config');
+const { normalizarTexto } = require('./schemaService');
+
+const { vocabulario, umbralEjecutar, umbralSugerir } = configIntenciones;
+const IGNORAR = new Set(vocabulario.ignorar);
+const SINONIMOS = vocabulario.sinonimos;
+const INTENCIONES = vocabulario.intenciones;
+
+// Puntaje a partir del cual la intención ganadora no pierde confianza por
+// ser débil (una palabra de peso 3 basta)
+const PUNTAJE_PLENO = 3;
+
+// Todas las palabras que el clasificador reconoce, para corregir las demás
+const PALABRAS_CONOCIDAS = new Set([
+  ...IGNORAR,
+  ...Object.keys(SINONIMOS),
+  ...Object.values(SINONIMOS),
+  ...Object.values(INTENCIONES).flatMap(intencion => [
+    ...Object.keys(intencion.palabras),
+    ...Object.keys(intencion.frases).flatMap(frase => frase.split(' '))
+  ])
+]);
+
+const correcciones = new Map();
+
+/**
+ * Distancia de edición entre dos palabras contando la transposición de dos
+ * letras vecinas como un solo cambio ("cuatno" → "cuanto").
+ * @param {string} a - Primera palabra.
+ * @param {string} b - Segunda palabra.
+ * @param {number} maximo - Distancia a partir de la cual no interesa el valor exacto.
+ * @returns {number} Distancia (maximo + 1 si la supera).
+ */
+function distanciaEdicion(a, b, maximo) {
+  if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+
+  const filas = [];
+  for (let i = 0; i <= a.length; i++) {
+    filas[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    filas[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    let minimoFila = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+      filas[i][j] = Math.min(
+        filas[i - 1][j] + 1,
+        filas[i][j - 1] + 1,
+        filas[i - 1][j - 1] + costo
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        filas[i][j] = Math.min(filas[i][j], filas[i - 2][j - 2] + 1);
+      }
+      minimoFila = Math.min(minimoFila, filas[i][j]);
+    }
+    if (minimoFila > maximo) return maximo + 1;
+  }
+
+  return Math.min(filas[a.length][b.length], maximo + 1);
+}
+
+/**
+ * Corrige una palabra desconocida a la palabra conocida más cercana.
+ * Si hay empate entre palabras con distinto significado, la deja igual.
+ * @param {string} palabra - Palabra normalizada.
+ * @returns {string} Palabra corregida o la original.
+ */
+function corregirPalabra(palabra) {
+  if (PALABRAS_CONOCIDAS.has(palabra) || palabra.length < 4 || /\d/.test(palabra)) {
+    return palabra;
+  }
+  if (correcciones.has(palabra)) {
+    return correcciones.get(palabra);
+  }
+
+  const maximo = palabra.length <= 6 ? 1 : 2;
+  let mejorDistancia = maximo + 1;
+  let candidatas = [];
+
+  PALABRAS_CONOCIDAS.forEach(conocida => {
+    const distancia = distanciaEdicion(palabra, conocida, maximo);
+    if (distancia < mejorDistancia) {
+      mejorDistancia = distancia;
+      candidatas = [conocida];
+    } else if (distancia === mejorDistancia) {
+      candidatas.push(conocida);
+    }
+  });
+
+  const significados = new Set(candidatas.map(candidata => SINONIMOS[candidata] || candidata));
+  const corregida = mejorDistancia <= maximo && significados.size === 1 ? candidatas[0] : palabra;
+  correcciones.set(palabra, corregida);
+  return corregida;
+}
+
+/**
+ * Convierte un texto en la lista de palabras canónicas que se puntúan.
+ * @param {string} texto - Texto del encargado.
+ * @returns {string[]} Palabras corregidas, sin las ignoradas y con sinónimos aplicados.
+ */
+function palabrasCanonicas(texto) {
+  return normalizarTexto(texto)
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/([a-z])\1{2,}/g, '$1')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(corregirPalabra)
+    .filter(palabra => !IGNORAR.has(palabra))
+    .map(palabra => SINONIMOS[palabra] || palabra);
+}
+
+/**
+ * Clasifica un texto libre en una intención del menú principal.
+ * @param {string} texto - Texto del encargado.
+ * @returns {Object} { intencion, opcion, confianza, accion, puntajes } donde
+ *   `accion` es 'ejecutar', 'sugerir' o 'ninguna' según los umbrales, e
+ *   `intencion` es null si ninguna palabra coincide.
+ */
+function clasificarIntencion(texto) {
+  const palabras = palabrasCanonicas(texto);
+  const unicas = new Set(palabras);
+  const frase = ` ${palabras.join(' ')} `;
+
+  const puntajes = {};
+  Object.entries(INTENCIONES).forEach(([intencion, definicion]) => {
+    let puntaje = 0;
+    unicas.forEach(palabra => {
+      puntaje += definicion.palabras[palabra] || 0;
+    });
+    Object.entries(definicion.frases).forEach(([expresion, peso]) => {
+      if (frase.includes(` ${expresion} `)) puntaje += peso;
+    });
+    if (puntaje > 0) puntajes[intencion] = puntaje;
+  });
+
+  const ordenadas = Object.entries(puntajes).sort((a, b) => b[1] - a[1]);
+  if (ordenadas.length === 0) {
+    return { intencion: null, opcion: null, confianza: 0, accion: 'ninguna', puntajes };
+  }
+
+  const [[intencion, primero], [, segundo = 0] = []] = ordenadas;
+  const confianza = Math.round(
+    (primero / (primero + segundo)) * Math.min(1, primero / PUNTAJE_PLENO) * 100
+  ) / 100;
+
+  let accion = 'ninguna';
+  if (confianza >= umbralEjecutar) {
+    accion = 'ejecutar';
+  } else if (confianza >= umbralSugerir) {
+    accion = 'sugerir';
+  }
+
+  return {
+    intencion,
+    opcion: INTENCIONES[intencion].opcion,
+    confianza,
+    accion,
+    puntajes
+  };
+}
+
+module.exports = {
+  clasificarIntencion,
+  palabrasCanonicas
+};
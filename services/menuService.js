@@ -0,0 +1,163 @@
+/**
+ * Menús de opciones: el mismo menú se envía como mensaje nativo de WhatsApp
+ * (botones o lista) cuando el transporte lo soporta y config.menus lo
+ * permite, o como texto numerado en caso contrario o si el envío falla.
+ *
+ * El identificador de cada opción es el mismo texto que el encargado
+ * escribiría ('1', '2', ...), así que al tocar un botón o una fila la
+ * respuesta pasa por las mismas transiciones de estado que la respuesta
+ * escrita (ver textoDeRespuesta).
+ *
+ * Un menú es un objeto:
+ *   titulo     Primera línea (en la lista, también su encabezado).
+ *   cuerpo     Texto entre el título y las opciones (opcional).
+ *   opciones   [{ id, titulo, descripcion?, texto? }]; en el menú de texto
+ *              cada opción es "id. titulo - descripcion", o `texto` si lo trae.
+ *   pie        Indicación final del menú de texto ("Responda con el número...").
+ *   boton      Texto del botón que abre la lista.
+ *   ayuda      Pie del mensaje interactivo (opcional, por defecto en español).
+ */
+
+const { menus: configMenus } = require('../config/config');
+
+// Límites de WhatsApp para los mensajes interactivos
+const MAX_BOTONES = 3;
+const MAX_TITULO_BOTON = 20;
+const MAX_FILAS_LISTA = 10;
+const MAX_TITULO_FILA = 24;
+const MAX_DESCRIPCION_FILA = 72;
+
+const PIE_INTERACTIVO = 'También puede responder con el número de la opción.';
+
+/**
+ * Recorta un texto a un largo máximo terminando en "…".
+ * @param {string} texto - Texto.
+ * @param {number} maximo - Largo máximo.
+ * @returns {string} Texto recortado.
+ */
+function recortar(texto, maximo) {
+  return texto.length <= maximo ? texto : `${texto.slice(0, maximo - 1)}…`;
+}
+
+/**
+ * Quita las marcas de formato de WhatsApp, que no se muestran en botones ni filas.
+ * @param {string} texto - Texto con *negritas* o _cursivas_.
+ * @returns {string} Texto limpio.
+ */
+function sinFormato(texto) {
+  return String(texto || '').replace(/[*_~]/g, '');
+}
+
+/**
+ * Arma el menú como texto numerado.
+ * @param {Object} menu - Menú.
+ * @returns {string} Texto del menú.
+ */
+function textoMenu(menu) {
+  const lineas = menu.opciones.map(opcion =>
+    opcion.texto || `${opcion.id}. ${opcion.titulo}${opcion.descripcion ? ` - ${opcion.descripcion}` : ''}`
+  );
+
+  return [menu.titulo, menu.cuerpo, lineas.join('\n'), menu.pie].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Arma el contenido de Baileys para el menú: botones si las opciones caben
+ * en botones, lista en caso contrario.
+ * @param {Object} menu - Menú.
+ * @returns {Object|null} Contenido interactivo o null si el menú no cabe en una lista.
+ */
+function contenidoInteractivo(menu) {
+  const texto = [menu.titulo, menu.cuerpo].filter(Boolean).join('\n\n');
+  const caben = menu.opciones.length <= MAX_BOTONES &&
+    menu.opciones.every(opcion => sinFormato(opcion.titulo).length <= MAX_TITULO_BOTON);
+
+  if (caben) {
+    return {
+      text: texto,
+      footer: menu.ayuda || PIE_INTERACTIVO,
+      buttons: menu.opciones.map(opcion => ({
+        buttonId: opcion.id,
+        buttonText: { displayText: sinFormato(opcion.titulo) },
+        type: 1
+      })),
+      headerType: 1
+    };
+  }
+
+  if (menu.opciones.length > MAX_FILAS_LISTA) {
+    return null;
+  }
+
+  return {
+    text: texto,
+    footer: menu.ayuda || PIE_INTERACTIVO,
+    buttonText: menu.boton || 'Ver opciones',
+    sections: [{
+      title: recortar(sinFormato(menu.titulo), MAX_TITULO_FILA),
+      rows: menu.opciones.map(opcion => ({
+        rowId: opcion.id,
+        title: recortar(sinFormato(opcion.titulo), MAX_TITULO_FILA),
+        description: opcion.descripcion ? recortar(sinFormato(opcion.descripcion), MAX_DESCRIPCION_FILA) : undefined
+      }))
+    }]
+  };
+}
+
+/**
+ * Envía un menú: interactivo si el transporte y la configuración lo
+ * permiten, y como texto si no o si el envío interactivo falla.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {string} destinatario - JID del destinatario.
+ * @param {Object} menu - Menú.
+ */
+async function enviarMenu(transporte, destinatario, menu) {
+  const interactivo = configMenus.interactivos && transporte.soportaInteractivos
+    ? contenidoInteractivo(menu)
+    : null;
+
+  if (interactivo) {
+    try {
+      await transporte.enviarMensaje(destinatario, interactivo);
+      return;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] No se pudo enviar el menú interactivo a ${destinatario}, se envía como texto:`, error.message);
+    }
+  }
+
+  await transporte.enviarMensaje(destinatario, { text: textoMenu(menu) });
+}
+
+/**
+ * Extrae la opción elegida de una respuesta a un menú interactivo
+ * (botón, fila de lista o respuesta de flujo nativo).
+ * @param {Object} mensaje - Contenido del mensaje recibido (msg.message).
+ * @returns {string|null} Identificador de la opción o null si no es una respuesta de menú.
+ */
+function textoDeRespuesta(mensaje) {
+  if (!mensaje) return null;
+
+  const id = mensaje.buttonsResponseMessage?.selectedButtonId ||
+    mensaje.listResponseMessage?.singleSelectReply?.selectedRowId ||
+    mensaje.templateButtonReplyMessage?.selectedId;
+  if (id) return String(id).trim();
+
+  const parametros = mensaje.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson;
+  if (parametros) {
+    try {
+      const { id: idFlujo } = JSON.parse(parametros);
+      if (idFlujo) return String(idFlujo).trim();
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Respuesta interactiva ilegible:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  textoMenu,
+  contenidoInteractivo,
+  enviarMenu,
+  textoDeRespuesta
+};
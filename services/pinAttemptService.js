@@ -0,0 +1,112 @@
+/**
+ * Servicio para limitar los intentos de PIN durante el registro.
+ * Lleva contadores de fallos por remitente y por estudiante, aplica
+ * espera exponencial entre intentos y bloquea temporalmente tras N fallos.
+ */
+
+const { seguridadPin } = require('../config/config');
+const { crearAlmacen } = require('./stateStores');
+
+const intentos = crearAlmacen('intentosPin');
+
+/**
+ * Obtiene el registro de fallos vigente para una clave.
+ * @param {string} clave - Clave del contador (remitente:... o estudiante:...).
+ * @param {number} ahora - Marca de tiempo actual.
+ * @returns {Object} Registro con fallos, ultimoFallo y bloqueadoHasta.
+ */
+function obtenerRegistro(clave, ahora) {
+  const registro = intentos.obtener(clave);
+  if (!registro) return { fallos: 0, ultimoFallo: 0, bloqueadoHasta: 0 };
+  // Fuera de la ventana y sin bloqueo activo, el contador vuelve a cero
+  if (ahora - registro.ultimoFallo > seguridadPin.ventanaMs && registro.bloqueadoHasta <= ahora) {
+    intentos.eliminar(clave);
+    return { fallos: 0, ultimoFallo: 0, bloqueadoHasta: 0 };
+  }
+  return registro;
+}
+
+/**
+ * Calcula cuántos milisegundos faltan para poder intentar de nuevo.
+ * @param {Object} registro - Registro de fallos.
+ * @param {number} ahora - Marca de tiempo actual.
+ * @returns {number} Milisegundos de espera (0 si puede intentar).
+ */
+function calcularEspera(registro, ahora) {
+  if (registro.bloqueadoHasta > ahora) return registro.bloqueadoHasta - ahora;
+  if (registro.fallos === 0) return 0;
+  const espera = seguridadPin.esperaBaseMs * Math.pow(2, registro.fallos - 1);
+  return Math.max(0, registro.ultimoFallo + espera - ahora);
+}
+
+/**
+ * Verifica si un remitente puede intentar un PIN para un estudiante.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {Object} { permitido, bloqueado, esperaMs }
+ */
+function verificarIntento(remitente, idEstudiante) {
+  const ahora = Date.now();
+  const registros = [
+    obtenerRegistro(`remitente:${remitente}`, ahora),
+    obtenerRegistro(`estudiante:${idEstudiante}`, ahora)
+  ];
+
+  const bloqueado = registros.some(r => r.bloqueadoHasta > ahora);
+  const esperaMs = Math.max(...registros.map(r => calcularEspera(r, ahora)));
+
+  return { permitido: esperaMs === 0, bloqueado, esperaMs };
+}
+
+/**
+ * Registra un PIN incorrecto para el remitente y el estudiante.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {Object} { fallosRemitente, fallosEstudiante, bloqueado }
+ */
+function registrarFallo(remitente, idEstudiante) {
+  const ahora = Date.now();
+  let bloqueado = false;
+
+  const [fallosRemitente, fallosEstudiante] = [`remitente:${remitente}`, `estudiante:${idEstudiante}`].map(clave => {
+    const registro = obtenerRegistro(clave, ahora);
+    registro.fallos += 1;
+    registro.ultimoFallo = ahora;
+    if (registro.fallos >= seguridadPin.maxIntentos) {
+      registro.bloqueadoHasta = ahora + seguridadPin.bloqueoMs;
+      bloqueado = true;
+    }
+    intentos.establecer(clave, registro);
+    return registro.fallos;
+  });
+
+  return { fallosRemitente, fallosEstudiante, bloqueado };
+}
+
+/**
+ * Limpia los contadores tras un PIN correcto.
+ * @param {string} remitente - Número del usuario.
+ * @param {string} idEstudiante - ID del estudiante.
+ */
+function registrarExito(remitente, idEstudiante) {
+  intentos.eliminarVarios([`remitente:${remitente}`, `estudiante:${idEstudiante}`]);
+}
+
+/**
+ * Levanta el bloqueo (y los contadores) de un remitente o estudiante.
+ * @param {string} objetivo - JID del remitente o ID del estudiante.
+ * @returns {boolean} True si había un registro que eliminar.
+ */
+function desbloquear(objetivo) {
+  const claves = [`remitente:${objetivo}`, `estudiante:${objetivo}`]
+    .filter(clave => intentos.obtener(clave));
+  intentos.eliminarVarios(claves);
+  return claves.length > 0;
+}
+
+module.exports = {
+  verificarIntento,
+  registrarFallo,
+  registrarExito,
+  desbloquear
+};
@@ -1,10 +1,58 @@
 /**
- * Servicio para validación de PIN.
+ * Servicio para validación y ciclo de vida de PINs.
+ * Los PINs se guardan con sal y hash (scrypt) en el almacén de credenciales,
+ * junto con las fechas de emisión, rotación y expiración.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
 const ExcelJS = require('exceljs');
-const { relacionesFilePath } = require('../config/config');
-// Eliminado dropboxService
+const { credencialesFilePath, relacionesFilePath, pines } = require('../config/config');
+const { crearAlmacenArchivo } = require('./stateStores/fileStore');
+
+const credenciales = crearAlmacenArchivo(credencialesFilePath);
+
+const LONGITUD_HASH = 32;
+// Credencial ficticia para comparar cuando el estudiante no tiene PIN,
+// así la validación tarda lo mismo exista o no la credencial.
+const SAL_FICTICIA = crypto.randomBytes(16).toString('hex');
+const HASH_FICTICIO = crypto.scryptSync('000000', SAL_FICTICIA, LONGITUD_HASH).toString('hex');
+
+/**
+ * Calcula el hash de un PIN con la sal dada.
+ * @param {string} pin - PIN en texto plano.
+ * @param {string} sal - Sal en hexadecimal.
+ * @returns {Buffer} Hash del PIN.
+ */
+function hashPIN(pin, sal) {
+  return crypto.scryptSync(String(pin), sal, LONGITUD_HASH);
+}
+
+/**
+ * Guarda un PIN nuevo para un estudiante.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @param {string} pin - PIN en texto plano.
+ * @param {Object} anterior - Credencial anterior (si se está rotando).
+ */
+function guardarPIN(idEstudiante, pin, anterior = null) {
+  const sal = crypto.randomBytes(16).toString('hex');
+  const ahora = new Date().toISOString();
+  credenciales.establecer(idEstudiante, {
+    sal,
+    hash: hashPIN(pin, sal).toString('hex'),
+    emitido: anterior ? anterior.emitido : ahora,
+    rotado: anterior ? ahora : null,
+    expirado: null
+  });
+}
+
+/**
+ * Genera un PIN numérico aleatorio.
+ * @returns {string} PIN.
+ */
+function nuevoPIN() {
+  return String(crypto.randomInt(0, Math.pow(10, pines.digitos))).padStart(pines.digitos, '0');
+}
 
 /**
  * Valida el PIN para un estudiante dado.
@@ -14,31 +62,143 @@ const { relacionesFilePath } = require('../config/config');
  */
 async function validarPIN(idEstudiante, pin) {
   try {
-    // Leer el archivo Excel directamente desde el sistema de archivos local
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(relacionesFilePath);
-    const hoja = workbook.getWorksheet(1);
+    const credencial = credenciales.obtener(idEstudiante);
+    const sal = credencial ? credencial.sal : SAL_FICTICIA;
+    const esperado = Buffer.from(credencial ? credencial.hash : HASH_FICTICIO, 'hex');
+    const coincide = crypto.timingSafeEqual(hashPIN(pin, sal), esperado);
+
+    return Boolean(credencial) && !credencial.expirado && coincide;
+  } catch (error) {
+    console.error('Error al validar PIN:', error);
+    return false;
+  }
+}
+
+/**
+ * Genera el primer PIN de un estudiante.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {string|null} PIN generado, o null si el estudiante ya tiene uno.
+ */
+function generarPIN(idEstudiante) {
+  if (credenciales.obtener(idEstudiante)) return null;
+  const pin = nuevoPIN();
+  guardarPIN(idEstudiante, pin);
+  return pin;
+}
+
+/**
+ * Reemplaza el PIN de un estudiante por uno nuevo (también reactiva un PIN expirado).
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {string|null} PIN nuevo, o null si el estudiante no tiene PIN.
+ */
+function resetearPIN(idEstudiante) {
+  const anterior = credenciales.obtener(idEstudiante);
+  if (!anterior) return null;
+  const pin = nuevoPIN();
+  guardarPIN(idEstudiante, pin, anterior);
+  return pin;
+}
+
+/**
+ * Marca como expirado el PIN de un estudiante; deja de ser válido hasta un reset.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {boolean} True si el estudiante tenía PIN.
+ */
+function expirarPIN(idEstudiante) {
+  const credencial = credenciales.obtener(idEstudiante);
+  if (!credencial) return false;
+  credenciales.establecer(idEstudiante, { ...credencial, expirado: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Importa un PIN existente (migración desde relaciones.xlsx).
+ * @param {string} idEstudiante - ID del estudiante.
+ * @param {string} pin - PIN en texto plano.
+ * @returns {boolean} True si se importó; false si ya existía una credencial.
+ */
+function importarPIN(idEstudiante, pin) {
+  if (credenciales.obtener(idEstudiante)) return false;
+  guardarPIN(idEstudiante, pin);
+  return true;
+}
+
+/**
+ * Importa los PINs de un archivo de relaciones (primera hoja; columna 1: ID
+ * del estudiante, columna 2: PIN, fila 1 de encabezados). Los estudiantes
+ * que ya tienen credencial se omiten.
+ * @param {string} archivo - Ruta del archivo xlsx.
+ * @returns {Promise<Object>} { importados, omitidos, invalidos }
+ */
+async function importarRelaciones(archivo) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(archivo);
+  const hoja = workbook.getWorksheet(1);
 
-    let pinValido = false;
+  const resultado = { importados: 0, omitidos: 0, invalidos: 0 };
 
-    hoja.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
+  hoja.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
 
-      const idRow = row.getCell(1).value?.toString();
-      const pinRow = row.getCell(2).value?.toString();
+    const idRow = row.getCell(1).value?.toString().trim();
+    const pinRow = row.getCell(2).value?.toString().trim();
 
-      if (idRow === idEstudiante && pinRow === pin) {
-        pinValido = true;
-      }
-    });
+    if (!idRow || !pinRow) {
+      resultado.invalidos++;
+      return;
+    }
 
-    return pinValido;
+    if (importarPIN(idRow, pinRow)) {
+      resultado.importados++;
+    } else {
+      resultado.omitidos++;
+    }
+  });
+
+  return resultado;
+}
+
+/**
+ * Migración al arrancar: si el almacén de credenciales está vacío y existe
+ * relaciones.xlsx (la primera vez tras actualizar desde la versión con PINs
+ * en texto plano), importa sus PINs. Sin esto ningún PIN existente sería
+ * válido y los encargados llegarían al bloqueo por intentos fallidos.
+ * @returns {Promise<Object|null>} Resultado de la importación, o null si no hacía falta.
+ */
+async function migrarPINs() {
+  if (credenciales.entradas().length > 0 || !fs.existsSync(relacionesFilePath)) return null;
+
+  try {
+    const resultado = await importarRelaciones(relacionesFilePath);
+    console.log(`[${new Date().toISOString()}] Almacén de credenciales vacío: se importaron ${resultado.importados} PIN(s) de ${relacionesFilePath} ` +
+      `(${resultado.omitidos} omitido(s), ${resultado.invalidos} fila(s) inválida(s)).`);
+    return resultado;
   } catch (error) {
-    console.error('Error al validar PIN:', error);
-    return false;
+    console.error(`[${new Date().toISOString()}] ERROR: el almacén de credenciales (${credencialesFilePath}) está vacío y no se pudo importar ` +
+      `${relacionesFilePath}. Ningún PIN existente será válido hasta ejecutar "npm run importar-pines".`, error);
+    return null;
   }
 }
 
+/**
+ * Obtiene las fechas del PIN de un estudiante (sin el hash).
+ * @param {string} idEstudiante - ID del estudiante.
+ * @returns {Object|null} { emitido, rotado, expirado } o null si no tiene PIN.
+ */
+function obtenerInfoPIN(idEstudiante) {
+  const credencial = credenciales.obtener(idEstudiante);
+  if (!credencial) return null;
+  const { emitido, rotado, expirado } = credencial;
+  return { emitido, rotado, expirado };
+}
+
 module.exports = {
-  validarPIN
+  validarPIN,
+  generarPIN,
+  resetearPIN,
+  expirarPIN,
+  importarPIN,
+  importarRelaciones,
+  migrarPINs,
+  obtenerInfoPIN
 };
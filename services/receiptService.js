@@ -0,0 +1,171 @@
+/**
+ * Servicio de comprobantes de pago enviados por los encargados.
+ * Cada comprobante se guarda como archivo en config.comprobantes.directorio
+ * y su registro queda en una cola (cola.json) hasta que un administrador
+ * lo aprueba o lo rechaza.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { comprobantes: configComprobantes } = require('../config/config');
+const { crearAlmacenArchivo } = require('./stateStores/fileStore');
+
+const cola = crearAlmacenArchivo(path.join(configComprobantes.directorio, 'cola.json'));
+
+const EXTENSIONES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Normaliza el mimetype de WhatsApp ("image/jpeg; codecs=...") a su tipo base.
+ * @param {string} mimetype - Mimetype recibido.
+ * @returns {string} Tipo base en minúsculas.
+ */
+function tipoBase(mimetype) {
+  return String(mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Indica si un mimetype se acepta como comprobante.
+ * @param {string} mimetype - Mimetype del archivo.
+ * @returns {boolean} True si está en config.comprobantes.tiposPermitidos.
+ */
+function esTipoPermitido(mimetype) {
+  return configComprobantes.tiposPermitidos.includes(tipoBase(mimetype));
+}
+
+/**
+ * Siguiente número de comprobante (consecutivo).
+ * @returns {number} Número disponible.
+ */
+function siguienteNumero() {
+  return cola.entradas().reduce((maximo, [clave]) => Math.max(maximo, Number(clave)), 0) + 1;
+}
+
+/**
+ * Guarda un comprobante y lo pone en la cola de revisión.
+ * @param {Object} datos - { remitente, idEstudiante, nombreEstudiante, anio, mes, buffer, mimetype }
+ * @returns {Object} Registro del comprobante (con `duplicadoDe` si el mismo
+ *   archivo ya se había enviado antes).
+ */
+function registrarComprobante({ remitente, idEstudiante, nombreEstudiante, anio, mes, buffer, mimetype }) {
+  const numero = siguienteNumero();
+  const tipo = tipoBase(mimetype);
+  const archivo = `${numero}-${idEstudiante}-${mes}.${EXTENSIONES[tipo] || 'bin'}`;
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const anterior = cola.entradas().find(([, registro]) => registro.sha256 === sha256);
+
+  fs.mkdirSync(configComprobantes.directorio, { recursive: true });
+  fs.writeFileSync(path.join(configComprobantes.directorio, archivo), buffer);
+
+  const registro = {
+    numero,
+    remitente,
+    idEstudiante,
+    nombreEstudiante,
+    anio,
+    mes,
+    archivo,
+    mimetype: tipo,
+    tamano: buffer.length,
+    sha256,
+    duplicadoDe: anterior ? Number(anterior[0]) : null,
+    estado: 'pendiente',
+    recibido: new Date().toISOString(),
+    revisadoPor: null,
+    revisado: null,
+    motivo: null
+  };
+  cola.establecer(String(numero), registro);
+  console.log(`[${new Date().toISOString()}] Comprobante #${numero} recibido de ${remitente} para ${idEstudiante} (${mes} ${anio}).`);
+  return registro;
+}
+
+/**
+ * Obtiene un comprobante por número.
+ * @param {number|string} numero - Número del comprobante.
+ * @returns {Object|null} Registro o null si no existe.
+ */
+function obtenerComprobante(numero) {
+  return cola.obtener(String(numero)) || null;
+}
+
+/**
+ * Lee el archivo de un comprobante.
+ * @param {Object} registro - Registro del comprobante.
+ * @returns {Buffer|null} Contenido o null si el archivo ya no existe.
+ */
+function leerArchivoComprobante(registro) {
+  const ruta = path.join(configComprobantes.directorio, registro.archivo);
+  return fs.existsSync(ruta) ? fs.readFileSync(ruta) : null;
+}
+
+/**
+ * Lista los comprobantes pendientes de revisión, del más antiguo al más reciente.
+ * @returns {Object[]} Registros pendientes.
+ */
+function listarPendientes() {
+  return cola.entradas()
+    .map(([, registro]) => registro)
+    .filter(registro => registro.estado === 'pendiente')
+    .sort((a, b) => a.numero - b.numero);
+}
+
+/**
+ * Cierra la revisión de un comprobante pendiente.
+ * @param {number|string} numero - Número del comprobante.
+ * @param {string} estado - 'aprobado' o 'rechazado'.
+ * @param {string} admin - JID del administrador que revisa.
+ * @param {string|null} motivo - Motivo (para rechazos).
+ * @returns {Object|null} Registro actualizado o null si no existe o ya fue revisado.
+ */
+function revisarComprobante(numero, estado, admin, motivo = null) {
+  const registro = obtenerComprobante(numero);
+  if (!registro || registro.estado !== 'pendiente') return null;
+
+  const actualizado = {
+    ...registro,
+    estado,
+    revisadoPor: admin,
+    revisado: new Date().toISOString(),
+    motivo
+  };
+  cola.establecer(String(registro.numero), actualizado);
+  console.log(`[${new Date().toISOString()}] Comprobante #${registro.numero} ${estado} por ${admin}.`);
+  return actualizado;
+}
+
+/**
+ * Aprueba un comprobante pendiente.
+ * @param {number|string} numero - Número del comprobante.
+ * @param {string} admin - JID del administrador.
+ * @returns {Object|null} Registro actualizado o null.
+ */
+function aprobarComprobante(numero, admin) {
+  return revisarComprobante(numero, 'aprobado', admin);
+}
+
+/**
+ * Rechaza un comprobante pendiente.
+ * @param {number|string} numero - Número del comprobante.
+ * @param {string} admin - JID del administrador.
+ * @param {string} motivo - Motivo del rechazo.
+ * @returns {Object|null} Registro actualizado o null.
+ */
+function rechazarComprobante(numero, admin, motivo) {
+  return revisarComprobante(numero, 'rechazado', admin, motivo || null);
+}
+
+module.exports = {
+  esTipoPermitido,
+  registrarComprobante,
+  obtenerComprobante,
+  leerArchivoComprobante,
+  listarPendientes,
+  aprobarComprobante,
+  rechazarComprobante
+};
@@ -0,0 +1,284 @@
+/**
+ * Servicio de recordatorios de pago programados.
+ * Revisa periódicamente la deuda de los alumnos vinculados en encargados.json
+ * y envía avisos antes del vencimiento de una cuota (previo) y después de
+ * vencida (vencido). Cada aviso se registra por encargado, alumno, mes y
+ * tipo para no repetirlo; los encargados pueden excluirse.
+ */
+
+const { recordatorios: configRecordatorios, anioActual, zonaHoraria } = require('../config/config');
+const { crearAlmacen } = require('./stateStores');
+const { listarEncargados } = require('./encargadoService');
+const { buscarEstudiantes } = require('./studentService');
+const { calcularDeuda, reglasParaPlan, fechaVencimiento, fechaLimiteSinMora } = require('./feeService');
+const { MESES } = require('./schemaService');
+const { llenarPlantilla } = require('./templateService');
+const { esperar } = require('./delayService');
+const { idiomaDe, traducir, nombreMes } = require('./i18nService');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const registroEnvios = crearAlmacen('recordatoriosEnviados'); // clave de aviso → fecha de envío
+const exclusiones = crearAlmacen('recordatoriosExcluidos'); // número del encargado → fecha de exclusión
+
+let transporteActual = null;
+let temporizador = null;
+let ejecucionEnCurso = null;
+let ultimaEjecucion = null;
+
+/**
+ * Hora (0-23) de una fecha en la zona horaria de la escuela.
+ * @param {Date} fecha - Fecha.
+ * @returns {number} Hora local.
+ */
+function horaLocal(fecha) {
+  return Number(fecha.toLocaleString('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: zonaHoraria }));
+}
+
+/**
+ * Indica si una fecha cae en las horas de silencio configuradas.
+ * @param {Date} fecha - Fecha a revisar.
+ * @returns {boolean} True si no se deben enviar mensajes.
+ */
+function enHorasSilencio(fecha) {
+  const { inicio, fin } = configRecordatorios.horasSilencio || {};
+  if (inicio === undefined || inicio === fin) return false;
+  const hora = horaLocal(fecha);
+  return inicio < fin ? hora >= inicio && hora < fin : hora >= inicio || hora < fin;
+}
+
+/**
+ * Formatea una fecha como día/mes/año en la zona horaria de la escuela.
+ * @param {Date} fecha - Fecha.
+ * @returns {string} Fecha formateada.
+ */
+function formatearFecha(fecha) {
+  return fecha.toLocaleDateString('es-HN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: zonaHoraria });
+}
+
+/**
+ * Clave con la que se registra un aviso enviado.
+ * @param {string} remitente - Número del encargado.
+ * @param {string} idEstudiante - ID del estudiante.
+ * @param {number} anio - Año escolar.
+ * @param {string} mes - Mes en minúsculas.
+ * @param {string} tipo - 'previo' o 'vencido'.
+ * @returns {string} Clave.
+ */
+function claveEnvio(remitente, idEstudiante, anio, mes, tipo) {
+  return `${remitente}:${idEstudiante}:${anio}-${mes}:${tipo}`;
+}
+
+/**
+ * Excluye o vuelve a incluir a un encargado en los recordatorios.
+ * @param {string} remitente - Número del encargado.
+ * @param {boolean} excluir - True para dejar de enviarle recordatorios.
+ */
+function excluirRecordatorios(remitente, excluir = true) {
+  if (excluir) {
+    exclusiones.establecer(remitente, new Date().toISOString());
+  } else {
+    exclusiones.eliminar(remitente);
+  }
+}
+
+/**
+ * Indica si un encargado pidió no recibir recordatorios.
+ * @param {string} remitente - Número del encargado.
+ * @returns {boolean} True si está excluido.
+ */
+function recordatoriosExcluidos(remitente) {
+  return Boolean(exclusiones.obtener(remitente));
+}
+
+/**
+ * Arma el texto de un aviso a partir de su plantilla en el idioma del encargado.
+ * @param {string} idioma - Idioma del encargado.
+ * @param {string} tipo - 'previo' o 'vencido'.
+ * @param {Object} estudiante - Información del estudiante.
+ * @param {Object[]} meses - Meses del aviso ({ mes, saldo, vence, limite, mora }).
+ * @param {Date} fecha - Fecha de la revisión.
+ * @returns {string} Texto del aviso.
+ */
+function textoAviso(idioma, tipo, estudiante, meses, fecha) {
+  const monto = meses.reduce((total, m) => total + m.saldo, 0);
+  const mora = meses.reduce((total, m) => total + m.mora, 0);
+  const proximoLimite = meses.map(m => m.limite).filter(limite => limite > fecha).sort((a, b) => a - b)[0];
+
+  let textoMora = '';
+  if (mora > 0) {
+    textoMora = traducir(idioma, 'recordatorios.incluyeMora', { monto: mora.toFixed(2) });
+  } else if (proximoLimite) {
+    textoMora = traducir(idioma, 'recordatorios.moraDesde', { fecha: formatearFecha(proximoLimite) });
+  }
+
+  const plantillas = configRecordatorios.plantillas[idioma] || configRecordatorios.plantillas.es;
+  const texto = llenarPlantilla(plantillas[tipo], {
+    nombre: estudiante.nombre,
+    grado: estudiante.grado,
+    meses: meses.map(m => nombreMes(idioma, m.mes).toUpperCase()).join(', '),
+    monto: monto.toFixed(2),
+    vence: formatearFecha(meses.map(m => m.vence).sort((a, b) => a - b)[0]),
+    mora: textoMora
+  });
+  return `${texto}\n\n${traducir(idioma, 'recordatorios.pie')}`;
+}
+
+/**
+ * Calcula los avisos que corresponde enviar en una fecha y que aún no se enviaron.
+ * Un encargado recibe un aviso por alumno y tipo, con todos los meses nuevos.
+ * @param {Date} fecha - Fecha de la revisión.
+ * @returns {Promise<Object[]>} Avisos { remitente, idEstudiante, tipo, claves, texto }.
+ */
+async function evaluarRecordatorios(fecha = new Date()) {
+  const avisos = [];
+
+  for (const [remitente, alumnos] of listarEncargados()) {
+    if (alumnos.length === 0 || recordatoriosExcluidos(remitente)) continue;
+
+    const estudiantes = (await buscarEstudiantes(alumnos, anioActual)).filter(Boolean);
+    for (const estudiante of estudiantes) {
+      const reglas = reglasParaPlan(estudiante.planDePago);
+      const deuda = calcularDeuda(estudiante, { fecha });
+      const porTipo = { previo: [], vencido: [] };
+
+      deuda.detalleMeses
+        .filter(detalle => parseFloat(detalle.saldo) > 0)
+        .forEach(detalle => {
+          const num = MESES.indexOf(detalle.mes) + 1;
+          const vence = fechaVencimiento(deuda.anio, num, reglas);
+          const mora = deuda.moraPorMes.find(m => m.mes === detalle.mes.toUpperCase());
+          let tipo = null;
+          if (fecha >= vence) {
+            tipo = 'vencido';
+          } else if (vence - fecha <= configRecordatorios.diasAntes * DIA_MS) {
+            tipo = 'previo';
+          }
+          if (!tipo || registroEnvios.obtener(claveEnvio(remitente, estudiante.id, deuda.anio, detalle.mes, tipo))) return;
+
+          porTipo[tipo].push({
+            mes: detalle.mes,
+            saldo: parseFloat(detalle.saldo),
+            vence,
+            limite: fechaLimiteSinMora(deuda.anio, num, reglas),
+            mora: mora ? parseFloat(mora.monto) : 0
+          });
+        });
+
+      Object.entries(porTipo)
+        .filter(([, meses]) => meses.length > 0)
+        .forEach(([tipo, meses]) => {
+          avisos.push({
+            remitente,
+            idEstudiante: estudiante.id,
+            tipo,
+            claves: meses.map(m => claveEnvio(remitente, estudiante.id, deuda.anio, m.mes, tipo)),
+            texto: textoAviso(idiomaDe(remitente), tipo, estudiante, meses, fecha)
+          });
+        });
+    }
+  }
+
+  return avisos;
+}
+
+/**
+ * Envía los recordatorios pendientes, respetando horas de silencio y el
+ * máximo de envíos por ejecución (lo demás queda para la siguiente).
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {Object} opciones - { fecha: Date, forzar: boolean } `forzar` ignora la hora de ejecución.
+ * @returns {Promise<Object>} { estado: 'enviado'|'silencio'|'temprano'|'error', enviados, pendientes }
+ */
+async function ejecutarRecordatorios(transporte, { fecha = new Date(), forzar = false } = {}) {
+  if (enHorasSilencio(fecha)) {
+    return { estado: 'silencio', enviados: 0, pendientes: 0 };
+  }
+  if (!forzar && horaLocal(fecha) < configRecordatorios.horaEjecucion) {
+    return { estado: 'temprano', enviados: 0, pendientes: 0 };
+  }
+
+  let avisos;
+  try {
+    avisos = await evaluarRecordatorios(fecha);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Recordatorios: no se pudo evaluar la deuda:`, error.message);
+    return { estado: 'error', enviados: 0, pendientes: 0 };
+  }
+
+  const lote = avisos.slice(0, configRecordatorios.maxPorEjecucion);
+  let enviados = 0;
+
+  for (const [index, aviso] of lote.entries()) {
+    try {
+      await transporte.enviarMensaje(aviso.remitente, { text: aviso.texto });
+      const ahora = new Date().toISOString();
+      aviso.claves.forEach(clave => registroEnvios.establecer(clave, ahora));
+      enviados++;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Recordatorios: error enviando a ${aviso.remitente}:`, error);
+    }
+    if (index < lote.length - 1) {
+      await esperar(configRecordatorios.esperaEntreEnviosMs);
+    }
+  }
+
+  ultimaEjecucion = { fecha: new Date().toISOString(), enviados, pendientes: avisos.length - enviados };
+  console.log(`[${new Date().toISOString()}] Recordatorios: ${enviados} enviado(s), ${avisos.length - enviados} pendiente(s).`);
+  return { estado: 'enviado', enviados, pendientes: avisos.length - enviados };
+}
+
+/**
+ * Ejecuta los recordatorios sin solaparse con una ejecución en curso.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {Object} opciones - Opciones de ejecutarRecordatorios.
+ * @returns {Promise<Object>} Resultado de la ejecución (o de la que ya estaba en curso).
+ */
+function revisarRecordatorios(transporte, opciones = {}) {
+  if (!ejecucionEnCurso) {
+    ejecucionEnCurso = ejecutarRecordatorios(transporte, opciones)
+      .finally(() => { ejecucionEnCurso = null; });
+  }
+  return ejecucionEnCurso;
+}
+
+/**
+ * Inicia la revisión periódica de recordatorios. Puede llamarse en cada
+ * reconexión: sólo reemplaza el transporte y mantiene un único temporizador.
+ * @param {Object} transporte - Transporte de mensajería.
+ */
+function iniciarRecordatorios(transporte) {
+  transporteActual = transporte;
+  if (!configRecordatorios.activo || temporizador) return;
+
+  temporizador = setInterval(() => {
+    revisarRecordatorios(transporteActual).catch(error => {
+      console.error(`[${new Date().toISOString()}] Error en la revisión de recordatorios:`, error);
+    });
+  }, configRecordatorios.intervaloRevisionMs);
+  temporizador.unref();
+  console.log(`[${new Date().toISOString()}] Recordatorios programados cada ${configRecordatorios.intervaloRevisionMs / 60000} minuto(s).`);
+}
+
+/**
+ * Resumen del estado de los recordatorios para administración.
+ * @returns {Object} { activo, excluidos, enviados, ultimaEjecucion }
+ */
+function obtenerResumenRecordatorios() {
+  return {
+    activo: configRecordatorios.activo,
+    excluidos: exclusiones.entradas().length,
+    enviados: registroEnvios.entradas().length,
+    ultimaEjecucion
+  };
+}
+
+module.exports = {
+  enHorasSilencio,
+  excluirRecordatorios,
+  recordatoriosExcluidos,
+  evaluarRecordatorios,
+  ejecutarRecordatorios,
+  revisarRecordatorios,
+  iniciarRecordatorios,
+  obtenerResumenRecordatorios
+};
@@ -0,0 +1,166 @@
+/**
+ * Servicio para resolver y validar el esquema de la hoja de cuentas.
+ * Ubica cada columna por el texto de su encabezado y verifica que la hoja
+ * tenga lo necesario antes de usar sus datos.
+ */
+
+const MESES = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+const MAX_FILAS_ENCABEZADO = 5;
+
+/**
+ * Normaliza un texto para comparar encabezados: minúsculas, sin tildes
+ * y con espacios simples.
+ * @param {*} texto - Texto a normalizar.
+ * @returns {string} Texto normalizado.
+ */
+function normalizarTexto(texto) {
+  return String(texto ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lee los encabezados de una fila.
+ * @param {Object} hoja - Hoja de exceljs.
+ * @param {number} numeroFila - Número de fila (1-based).
+ * @returns {Map<string, string>} Texto normalizado → letra de columna.
+ */
+function leerEncabezados(hoja, numeroFila) {
+  const encabezados = new Map();
+  hoja.getRow(numeroFila).eachCell((cell, colNumber) => {
+    const texto = normalizarTexto(cell.text);
+    if (texto && !encabezados.has(texto)) {
+      encabezados.set(texto, hoja.getColumn(colNumber).letter);
+    }
+  });
+  return encabezados;
+}
+
+/**
+ * Devuelve todas las definiciones de columna del esquema (datos y meses).
+ * @param {Object} esquema - Esquema del año escolar.
+ * @returns {Array<[string, Object]>} Pares [clave, definición].
+ */
+function definicionesColumnas(esquema) {
+  return [...Object.entries(esquema.columnas), ...Object.entries(esquema.meses)];
+}
+
+/**
+ * Busca la fila de encabezados entre las primeras filas de la hoja:
+ * la que más encabezados del esquema contiene.
+ * @param {Object} hoja - Hoja de exceljs.
+ * @param {Object} esquema - Esquema del año escolar.
+ * @returns {number} Número de fila.
+ */
+function detectarFilaEncabezado(hoja, esquema) {
+  let mejorFila = 1;
+  let mejorCoincidencias = -1;
+
+  for (let fila = 1; fila <= MAX_FILAS_ENCABEZADO; fila++) {
+    const encabezados = leerEncabezados(hoja, fila);
+    const coincidencias = definicionesColumnas(esquema)
+      .filter(([, def]) => def.encabezados.some(e => encabezados.has(normalizarTexto(e))))
+      .length;
+    if (coincidencias > mejorCoincidencias) {
+      mejorFila = fila;
+      mejorCoincidencias = coincidencias;
+    }
+  }
+  return mejorFila;
+}
+
+/**
+ * Valida la hoja de cuentas contra el esquema y resuelve las columnas.
+ * @param {Object} workbook - Workbook de exceljs.
+ * @param {Object} esquema - Esquema del año escolar.
+ * @returns {Object} { valido, errores, advertencias, hoja, filaInicio, columnas }
+ *   donde columnas tiene la forma { NOMBRE: 'A', ..., MESES: { ENERO: 'W', ... } }.
+ */
+function validarHoja(workbook, esquema) {
+  const errores = [];
+  const advertencias = [];
+
+  const hoja = workbook.getWorksheet(esquema.hoja);
+  if (!hoja) {
+    const disponibles = workbook.worksheets.map(h => `"${h.name}"`).join(', ');
+    errores.push(`No existe la hoja "${esquema.hoja}". Hojas disponibles: ${disponibles || 'ninguna'}.`);
+    return { valido: false, errores, advertencias, hoja: null, filaInicio: 0, columnas: null };
+  }
+
+  const filaEncabezado = esquema.filaEncabezado || detectarFilaEncabezado(hoja, esquema);
+  const encabezados = leerEncabezados(hoja, filaEncabezado);
+
+  const resolver = ([clave, def]) => {
+    const encontrado = def.encabezados.find(e => encabezados.has(normalizarTexto(e)));
+    if (encontrado) return encabezados.get(normalizarTexto(encontrado));
+    if (def.columna && (!def.requerida || esquema.respaldoPorLetra)) {
+      advertencias.push(`Encabezado de ${clave} no encontrado en la fila ${filaEncabezado}; se usa la columna ${def.columna}.`);
+      return def.columna;
+    }
+    if (def.requerida) {
+      errores.push(`Falta la columna requerida ${clave} (encabezados buscados: ${def.encabezados.join(', ')}).`);
+    }
+    return null;
+  };
+
+  const columnas = { MESES: {} };
+  Object.entries(esquema.columnas).forEach(entrada => { columnas[entrada[0]] = resolver(entrada); });
+  Object.entries(esquema.meses).forEach(entrada => { columnas.MESES[entrada[0]] = resolver(entrada); });
+
+  // Dos campos no pueden leerse de la misma columna
+  const usos = {};
+  definicionesColumnas(esquema).forEach(([clave]) => {
+    const letra = clave in columnas.MESES ? columnas.MESES[clave] : columnas[clave];
+    if (letra) (usos[letra] = usos[letra] || []).push(clave);
+  });
+  Object.entries(usos)
+    .filter(([, claves]) => claves.length > 1)
+    .forEach(([letra, claves]) => errores.push(`La columna ${letra} está asignada a ${claves.join(' y ')}.`));
+
+  // Revisar el contenido: debe haber identidades y montos en las filas de datos
+  const filaInicio = filaEncabezado + 1;
+  if (errores.length === 0) {
+    let filasConId = 0;
+    let filasConMonto = 0;
+    hoja.eachRow((row, rowNumber) => {
+      if (rowNumber < filaInicio) return;
+      if (!/^\d{13}$/.test(row.getCell(columnas.ID).text.trim())) return;
+      filasConId++;
+      if (/\d/.test(row.getCell(columnas.TOTAL_PAGAR).text)) filasConMonto++;
+    });
+
+    if (filasConId === 0) {
+      errores.push(`La columna ID (${columnas.ID}) no contiene números de identidad de 13 dígitos.`);
+    } else if (filasConMonto === 0) {
+      errores.push(`La columna TOTAL_PAGAR (${columnas.TOTAL_PAGAR}) no contiene montos.`);
+    }
+  }
+
+  return { valido: errores.length === 0, errores, advertencias, hoja, filaInicio, columnas };
+}
+
+/**
+ * Crea el error de una hoja de cuentas que no cumple el esquema.
+ * @param {number} anio - Año escolar.
+ * @param {string[]} errores - Errores de validarHoja.
+ * @returns {Error} Error con codigo 'ESQUEMA_INVALIDO' y los errores en `detalles`.
+ */
+function errorEsquema(anio, errores) {
+  const error = new Error(`La hoja de cuentas ${anio} no cumple el esquema:\n- ${errores.join('\n- ')}`);
+  error.codigo = 'ESQUEMA_INVALIDO';
+  error.detalles = errores;
+  return error;
+}
+
+module.exports = {
+  MESES,
+  normalizarTexto,
+  validarHoja,
+  errorEsquema
+};
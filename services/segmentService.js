@@ -0,0 +1,185 @@
+/**
+ * Servicio de segmentos para broadcasts: filtra a los encargados según
+ * el grado o la deuda de sus alumnos, una lista de IDs de alumnos o una
+ * lista de números de encargados.
+ *
+ * Los filtros se escriben al inicio del texto como clave:valor y se combinan
+ * (todos deben cumplirse):
+ *   grado:Quinto            grado del alumno (varios separados por coma;
+ *                           con espacios entre comillas: grado:"Primero A")
+ *   deuda:si|no|mora|<n>    con meses pendientes, al día, con mora o con al
+ *                           menos n meses pendientes (contando el saldo del
+ *                           año escolar anterior, como el estado de pagos)
+ *   ids:<ID>,<ID>           IDs de alumnos
+ *   encargados:<num>,<num>  números de encargados
+ *
+ * Junto a los filtros se aceptan las opciones de plantilla modo:alumno|encargado
+ * y plantilla:<nombre> (ver broadcastTemplateService).
+ */
+
+const { anioActual } = require('../config/config');
+const { listarEncargados } = require('./encargadoService');
+const { buscarEstudiantes, buscarEstudianteAnioAnterior } = require('./studentService');
+const { calcularDeuda } = require('./feeService');
+const { normalizarTexto } = require('./schemaService');
+
+const PATRON_FILTRO = /^(grado|deuda|ids|encargados|modo|plantilla):("[^"]*"|\S+)\s*/i;
+
+/**
+ * Separa una lista "a,b,c" en valores sin espacios vacíos.
+ * @param {string} valor - Lista separada por comas.
+ * @returns {string[]} Valores.
+ */
+function separarLista(valor) {
+  return valor.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Lee los filtros del inicio de un texto.
+ * @param {string} texto - Texto que puede empezar con filtros clave:valor.
+ * @returns {Object} { filtros, opciones, resto, errores } donde `opciones` trae
+ *   modo y plantilla, y `resto` es el texto sin los filtros.
+ */
+function parsearFiltros(texto) {
+  const filtros = {};
+  const opciones = {};
+  const errores = [];
+  let resto = (texto || '').trim();
+  let coincidencia;
+
+  while ((coincidencia = resto.match(PATRON_FILTRO))) {
+    const clave = coincidencia[1].toLowerCase();
+    const valor = coincidencia[2].replace(/^"|"$/g, '');
+    resto = resto.slice(coincidencia[0].length);
+
+    if (clave === 'modo' || clave === 'plantilla') {
+      opciones[clave] = valor.toLowerCase();
+    } else if (clave === 'grado') {
+      filtros.grados = separarLista(valor).map(normalizarTexto);
+    } else if (clave === 'deuda') {
+      const deuda = valor.toLowerCase();
+      if (['si', 'sí', 'no', 'mora'].includes(deuda)) {
+        filtros.deuda = deuda === 'sí' ? 'si' : deuda;
+      } else if (/^\d+$/.test(deuda)) {
+        filtros.deuda = Number(deuda);
+      } else {
+        errores.push(`deuda:${valor} no es válido (use si, no, mora o un número de meses).`);
+      }
+    } else if (clave === 'ids') {
+      filtros.ids = separarLista(valor);
+      filtros.ids.filter(id => !/^\d{13}$/.test(id))
+        .forEach(id => errores.push(`El ID ${id} no tiene 13 dígitos.`));
+    } else {
+      filtros.encargados = separarLista(valor)
+        .map(numero => (numero.includes('@') ? numero : `${numero.replace(/\D/g, '')}@s.whatsapp.net`));
+    }
+  }
+
+  return { filtros, opciones, resto: resto.trim(), errores };
+}
+
+/**
+ * Indica si hay algún filtro que dependa de los datos de los alumnos.
+ * @param {Object} filtros - Filtros de parsearFiltros.
+ * @returns {boolean} True si hay que consultar la hoja de cuentas.
+ */
+function filtraPorAlumno(filtros) {
+  return Boolean(filtros.grados || filtros.deuda !== undefined || filtros.ids);
+}
+
+/**
+ * Indica si un alumno cumple los filtros de grado, deuda e IDs. La deuda
+ * incluye el saldo pendiente del año escolar anterior.
+ * @param {Object} estudiante - Información del estudiante.
+ * @param {Object} filtros - Filtros de parsearFiltros.
+ * @returns {Promise<boolean>} True si cumple.
+ */
+async function cumpleFiltros(estudiante, filtros) {
+  if (filtros.ids && !filtros.ids.includes(estudiante.id)) return false;
+  if (filtros.grados && !filtros.grados.includes(normalizarTexto(estudiante.grado))) return false;
+
+  if (filtros.deuda !== undefined) {
+    const anterior = await buscarEstudianteAnioAnterior(estudiante);
+    const deuda = calcularDeuda(estudiante, { anterior });
+    const { arrastre } = deuda;
+    const pendientes = deuda.mesesPendientes.length + (arrastre ? arrastre.mesesPendientes.length : 0);
+    const mora = parseFloat(deuda.deudaMora) + (arrastre ? parseFloat(arrastre.deudaMora) : 0);
+    if (filtros.deuda === 'si' && deuda.alDia) return false;
+    if (filtros.deuda === 'no' && !deuda.alDia) return false;
+    if (filtros.deuda === 'mora' && mora === 0) return false;
+    if (typeof filtros.deuda === 'number' && pendientes < filtros.deuda) return false;
+  }
+  return true;
+}
+
+/**
+ * Calcula los encargados que reciben un broadcast con los filtros dados.
+ * @param {Object} filtros - Filtros de parsearFiltros (vacío = todos).
+ * @param {Object} opciones - { incluirAlumnos: boolean } para cargar los
+ *   alumnos de cada encargado aunque no haya filtros por alumno.
+ * @returns {Promise<Object>} { destinatarios: string[], alumnos: Object[], alumnosPorEncargado, desconocidos: string[] }
+ *   `alumnos` son los alumnos que cumplen los filtros, `alumnosPorEncargado`
+ *   los de cada destinatario y `desconocidos` los números de `encargados:`
+ *   que no están registrados.
+ */
+async function resolverSegmento(filtros = {}, { incluirAlumnos = false } = {}) {
+  let encargados = listarEncargados();
+  let desconocidos = [];
+
+  if (filtros.encargados) {
+    const registrados = new Set(encargados.map(([numero]) => numero));
+    desconocidos = filtros.encargados.filter(numero => !registrados.has(numero));
+    encargados = encargados.filter(([numero]) => filtros.encargados.includes(numero));
+  }
+
+  if (!filtraPorAlumno(filtros) && !incluirAlumnos) {
+    return { destinatarios: encargados.map(([numero]) => numero), alumnos: [], alumnosPorEncargado: {}, desconocidos };
+  }
+
+  const destinatarios = [];
+  const alumnos = new Map();
+  const alumnosPorEncargado = {};
+  for (const [numero, ids] of encargados) {
+    const estudiantes = (await buscarEstudiantes(ids, anioActual)).filter(Boolean);
+    const coincidentes = [];
+    for (const estudiante of estudiantes) {
+      if (await cumpleFiltros(estudiante, filtros)) coincidentes.push(estudiante);
+    }
+    // Sin filtros por alumno el encargado recibe el mensaje aunque no se encuentren sus alumnos
+    if (coincidentes.length > 0 || !filtraPorAlumno(filtros)) {
+      destinatarios.push(numero);
+      alumnosPorEncargado[numero] = coincidentes;
+      coincidentes.forEach(estudiante => alumnos.set(estudiante.id, estudiante));
+    }
+  }
+
+  return {
+    destinatarios,
+    alumnos: filtraPorAlumno(filtros) ? [...alumnos.values()] : [],
+    alumnosPorEncargado,
+    desconocidos
+  };
+}
+
+/**
+ * Describe los filtros en una línea para la vista previa.
+ * @param {Object} filtros - Filtros de parsearFiltros.
+ * @returns {string} Descripción ("todos los encargados" si no hay filtros).
+ */
+function describirFiltros(filtros) {
+  const partes = [];
+  if (filtros.grados) partes.push(`grado ${filtros.grados.join(' o ')}`);
+  if (filtros.deuda === 'si') partes.push('con meses pendientes');
+  if (filtros.deuda === 'no') partes.push('al día');
+  if (filtros.deuda === 'mora') partes.push('con mora');
+  if (typeof filtros.deuda === 'number') partes.push(`con ${filtros.deuda} o más meses pendientes`);
+  if (filtros.ids) partes.push(`${filtros.ids.length} alumno(s) por ID`);
+  if (filtros.encargados) partes.push(`${filtros.encargados.length} encargado(s) por número`);
+  return partes.length > 0 ? partes.join(', ') : 'todos los encargados';
+}
+
+module.exports = {
+  parsearFiltros,
+  resolverSegmento,
+  describirFiltros
+};
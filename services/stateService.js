@@ -1,9 +1,25 @@
 /**
  * Servicio para manejo de estados de conversación de usuarios.
+ * El almacenamiento es configurable (config.estado.backend) para que
+ * el estado sobreviva a reconexiones y reinicios.
  */
 
-const estadosUsuarios = {};
-const ultimosSaludo = {}; // Track last greeting date per user
+const { estado: configEstado } = require('../config/config');
+const { crearAlmacen } = require('./stateStores');
+
+const estadosUsuarios = crearAlmacen('estados');
+const ultimosSaludo = crearAlmacen('saludos'); // Track last greeting date per user
+const ultimasConsultas = crearAlmacen('consultas'); // número → último estado de pagos consultado
+
+/**
+ * Indica si un estado ya expiró.
+ * @param {Object} registro - Registro con timestamp.
+ * @param {number} ahora - Marca de tiempo actual.
+ * @returns {boolean} True si expiró.
+ */
+function estadoExpirado(registro, ahora = Date.now()) {
+  return ahora - registro.timestamp > configEstado.expiracionMs;
+}
 
 /**
  * Establece el estado de un usuario.
@@ -12,7 +28,7 @@ const ultimosSaludo = {}; // Track last greeting date per user
  * @param {Object} datos - Datos adicionales.
  */
 function establecerEstado(numero, estado, datos = {}) {
-  estadosUsuarios[numero] = { estado, datos, timestamp: Date.now() };
+  estadosUsuarios.establecer(numero, { estado, datos, timestamp: Date.now() });
 }
 
 /**
@@ -22,10 +38,12 @@ function establecerEstado(numero, estado, datos = {}) {
  * @returns {Object} Estado y datos.
  */
 function obtenerEstado(numero) {
-  if (estadosUsuarios[numero] && Date.now() - estadosUsuarios[numero].timestamp > 10 * 60 * 1000) {
-    delete estadosUsuarios[numero];
+  const registro = estadosUsuarios.obtener(numero);
+  if (registro && estadoExpirado(registro)) {
+    estadosUsuarios.eliminar(numero);
+    return { estado: 'MENU_PRINCIPAL', datos: {} };
   }
-  return estadosUsuarios[numero] || { estado: 'MENU_PRINCIPAL', datos: {} };
+  return registro || { estado: 'MENU_PRINCIPAL', datos: {} };
 }
 
 /**
@@ -34,7 +52,7 @@ function obtenerEstado(numero) {
  * @param {string} fecha - Fecha en formato YYYY-MM-DD.
  */
 function establecerUltimoSaludo(numero, fecha) {
-  ultimosSaludo[numero] = fecha;
+  ultimosSaludo.establecer(numero, fecha);
 }
 
 /**
@@ -43,12 +61,72 @@ function establecerUltimoSaludo(numero, fecha) {
  * @returns {string|null} Fecha en formato YYYY-MM-DD o null si no existe.
  */
 function obtenerUltimoSaludo(numero) {
-  return ultimosSaludo[numero] || null;
+  return ultimosSaludo.obtener(numero) || null;
+}
+
+/**
+ * Guarda el último estado de pagos que consultó un encargado, para enviarlo
+ * en PDF si lo pide desde el menú. Expira igual que los estados.
+ * @param {string} numero - Número del encargado.
+ * @param {Object} consulta - { idEstudiante, anio }
+ */
+function establecerUltimaConsulta(numero, consulta) {
+  ultimasConsultas.establecer(numero, { ...consulta, timestamp: Date.now() });
+}
+
+/**
+ * Obtiene el último estado de pagos consultado por un encargado.
+ * @param {string} numero - Número del encargado.
+ * @returns {Object|null} { idEstudiante, anio } o null si no hay o expiró.
+ */
+function obtenerUltimaConsulta(numero) {
+  const registro = ultimasConsultas.obtener(numero);
+  if (!registro) return null;
+  if (estadoExpirado(registro)) {
+    ultimasConsultas.eliminar(numero);
+    return null;
+  }
+  return { idEstudiante: registro.idEstudiante, anio: registro.anio };
 }
 
+/**
+ * Elimina estados y consultas expirados y saludos de días anteriores.
+ * @returns {number} Cantidad de entradas eliminadas.
+ */
+function limpiarExpirados() {
+  const ahora = Date.now();
+  const hoy = new Date(ahora).toISOString().slice(0, 10);
+
+  const estadosVencidos = estadosUsuarios.entradas()
+    .filter(([, registro]) => estadoExpirado(registro, ahora))
+    .map(([numero]) => numero);
+  const consultasVencidas = ultimasConsultas.entradas()
+    .filter(([, registro]) => estadoExpirado(registro, ahora))
+    .map(([numero]) => numero);
+  const saludosVencidos = ultimosSaludo.entradas()
+    .filter(([, fecha]) => fecha !== hoy)
+    .map(([numero]) => numero);
+
+  estadosUsuarios.eliminarVarios(estadosVencidos);
+  ultimasConsultas.eliminarVarios(consultasVencidas);
+  ultimosSaludo.eliminarVarios(saludosVencidos);
+  return estadosVencidos.length + consultasVencidas.length + saludosVencidos.length;
+}
+
+// Limpieza periódica en segundo plano; unref() para no mantener vivo el proceso
+setInterval(() => {
+  const eliminados = limpiarExpirados();
+  if (eliminados > 0) {
+    console.log(`[${new Date().toISOString()}] Limpieza de estados: ${eliminados} entrada(s) expirada(s) eliminada(s).`);
+  }
+}, configEstado.intervaloLimpiezaMs).unref();
+
 module.exports = {
   establecerEstado,
   obtenerEstado,
   establecerUltimoSaludo,
-  obtenerUltimoSaludo
+  obtenerUltimoSaludo,
+  establecerUltimaConsulta,
+  obtenerUltimaConsulta,
+  limpiarExpirados
 };
@@ -0,0 +1,65 @@
+/**
+ * Almacén de estado persistido en un archivo JSON.
+ * Mantiene una copia en memoria y reescribe el archivo en cada cambio,
+ * de modo que el estado sobrevive a reconexiones y reinicios del proceso.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Crea un almacén clave-valor respaldado por un archivo JSON.
+ * @param {string} archivo - Ruta del archivo JSON.
+ * @returns {Object} Almacén con obtener, establecer, eliminar, eliminarVarios y entradas.
+ */
+function crearAlmacenArchivo(archivo) {
+  let datos = {};
+
+  try {
+    if (fs.existsSync(archivo)) {
+      datos = JSON.parse(fs.readFileSync(archivo, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error al leer ${archivo}:`, error);
+  }
+
+  function guardar() {
+    try {
+      fs.mkdirSync(path.dirname(archivo), { recursive: true });
+      // Escribir en un temporal y renombrar para no dejar el archivo a medias
+      const temporal = `${archivo}.tmp`;
+      fs.writeFileSync(temporal, JSON.stringify(datos), 'utf8');
+      fs.renameSync(temporal, archivo);
+    } catch (error) {
+      console.error(`Error al guardar ${archivo}:`, error);
+    }
+  }
+
+  return {
+    obtener(clave) {
+      return datos[clave];
+    },
+    establecer(clave, valor) {
+      datos[clave] = valor;
+      guardar();
+    },
+    eliminar(clave) {
+      if (clave in datos) {
+        delete datos[clave];
+        guardar();
+      }
+    },
+    eliminarVarios(claves) {
+      if (claves.length === 0) return;
+      claves.forEach(clave => delete datos[clave]);
+      guardar();
+    },
+    entradas() {
+      return Object.entries(datos);
+    }
+  };
+}
+
+module.exports = {
+  crearAlmacenArchivo
+};
@@ -0,0 +1,28 @@
+/**
+ * Selección del almacén de estado según config.estado.backend.
+ */
+
+const path = require('path');
+const { estado: configEstado } = require('../../config/config');
+const { crearAlmacenMemoria } = require('./memoryStore');
+const { crearAlmacenArchivo } = require('./fileStore');
+
+/**
+ * Crea un almacén según el backend configurado.
+ * @param {string} nombre - Nombre del almacén (se usa como nombre de archivo).
+ * @returns {Object} Almacén.
+ */
+function crearAlmacen(nombre) {
+  switch (configEstado.backend) {
+    case 'memoria':
+      return crearAlmacenMemoria();
+    case 'archivo':
+      return crearAlmacenArchivo(path.join(configEstado.directorio, `${nombre}.json`));
+    default:
+      throw new Error(`Backend de estado no soportado: ${configEstado.backend}`);
+  }
+}
+
+module.exports = {
+  crearAlmacen
+};
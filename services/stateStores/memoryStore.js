@@ -0,0 +1,33 @@
+/**
+ * Almacén de estado en memoria del proceso (se pierde al reiniciar).
+ */
+
+/**
+ * Crea un almacén clave-valor en memoria.
+ * @returns {Object} Almacén con obtener, establecer, eliminar, eliminarVarios y entradas.
+ */
+function crearAlmacenMemoria() {
+  const datos = {};
+
+  return {
+    obtener(clave) {
+      return datos[clave];
+    },
+    establecer(clave, valor) {
+      datos[clave] = valor;
+    },
+    eliminar(clave) {
+      delete datos[clave];
+    },
+    eliminarVarios(claves) {
+      claves.forEach(clave => delete datos[clave]);
+    },
+    entradas() {
+      return Object.entries(datos);
+    }
+  };
+}
+
+module.exports = {
+  crearAlmacenMemoria
+};
@@ -1,76 +1,224 @@
 /**
- * Módulo para descargar y cachear el archivo Excel desde un enlace público.
- * Implementa descarga directa con axios, parseo con exceljs,
- * caché en memoria con actualización automática cada 60 minutos,
- * manejo de errores con reintentos y logging con timestamps.
+ * Módulo para obtener y cachear el libro de cuentas de cada año escolar.
+ * La lectura se delega en la fuente configurada (URL, xlsx local o libro
+ * JSON; ver services/dataSources).
+ *
+ * La caché sirve siempre la última copia buena: cuando vence se refresca en
+ * segundo plano sin bloquear el mensaje entrante, y si el refresco falla se
+ * sigue usando la copia anterior. La copia se guarda en disco para
+ * arrancar en frío sin esperar la descarga. Un libro nuevo que no cumple
+ * el esquema del año no reemplaza a la copia buena (ni en memoria ni en
+ * disco): el error queda en `ultimoError`. Los cambios se detectan por
+ * ETag (si la fuente lo soporta) o por hash del contenido; si el contenido
+ * no cambió se conserva el mismo workbook y no se reconstruye el índice.
  */
 
-const axios = require('axios');
-const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { anioActual, anios, cacheLibros, esquemas } = require('../config/config');
+const { crearFuente } = require('./dataSources');
+const { validarHoja, errorEsquema } = require('./schemaService');
 
-const EXCEL_URL = 'https://www.dropbox.com/scl/fi/be1f5zgppiijqvsus0qor/CUENTAS-A-O-2025-IJCV.xlsx?rlkey=zriuxv8yk3l7ho4ky6vz85jbg&e=2&st=c6tuewcy&dl=1';
-const CACHE_REFRESH_INTERVAL = 60 * 60 * 1000; // 60 minutos
-const MAX_RETRIES = 3;
+// Caché por año escolar:
+// { [anio]: { workbook, hash, etag, actualizado, cambiado, origen, ultimoIntento, ultimoError } }
+const cache = {};
+// Refrescos en curso por año, para no lanzar dos a la vez
+const refrescos = {};
 
-let cachedWorkbook = null;
-let lastFetchTime = 0;
+/**
+ * Función para obtener los años escolares con fuente de datos configurada.
+ */
+function aniosDisponibles() {
+  return Object.keys(anios)
+    .filter(anio => anios[anio].fuente)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
 
 /**
- * Función para descargar el archivo Excel desde la URL pública con reintentos.
+ * Rutas de la copia en disco de un año.
  */
-async function downloadExcelWithRetry(url, retries = MAX_RETRIES) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      console.log(`[${new Date().toISOString()}] Intentando descargar archivo Excel (intento ${attempt})...`);
-      const response = await axios.get(url, {
-        responseType: 'arraybuffer',
-        timeout: 15000 // 15 segundos timeout
-      });
-      console.log(`[${new Date().toISOString()}] Descarga exitosa.`);
-      return response.data;
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error en descarga intento ${attempt}: ${error.message}`);
-      if (attempt === retries) {
-        throw new Error('No se pudo descargar el archivo Excel después de varios intentos.');
-      }
-      // Esperar 2 segundos antes del siguiente intento
-      await new Promise(resolve => setTimeout(resolve, 2000));
+function rutasCopia(anio) {
+  return {
+    datos: path.join(cacheLibros.directorio, `cuentas-${anio}.bin`),
+    meta: path.join(cacheLibros.directorio, `cuentas-${anio}.json`)
+  };
+}
+
+/**
+ * Guarda la copia del libro (si se da el buffer) y sus metadatos en disco.
+ */
+function guardarCopia(anio, buffer = null) {
+  const entrada = cache[anio];
+  const rutas = rutasCopia(anio);
+  try {
+    fs.mkdirSync(cacheLibros.directorio, { recursive: true });
+    if (buffer) {
+      fs.writeFileSync(`${rutas.datos}.tmp`, buffer);
+      fs.renameSync(`${rutas.datos}.tmp`, rutas.datos);
     }
+    const meta = {
+      fuente: anios[anio].fuente,
+      hash: entrada.hash,
+      etag: entrada.etag,
+      actualizado: entrada.actualizado.toISOString(),
+      cambiado: entrada.cambiado.toISOString()
+    };
+    fs.writeFileSync(rutas.meta, JSON.stringify(meta, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error al guardar la copia del libro ${anio}:`, error);
+  }
+}
+
+/**
+ * Carga la copia en disco de un año, si existe y es de la fuente configurada.
+ */
+async function cargarCopia(anio) {
+  const rutas = rutasCopia(anio);
+  if (!fs.existsSync(rutas.datos) || !fs.existsSync(rutas.meta)) return;
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(rutas.meta, 'utf8'));
+    if (JSON.stringify(meta.fuente) !== JSON.stringify(anios[anio].fuente)) {
+      console.log(`[${new Date().toISOString()}] La copia en disco del libro ${anio} es de otra fuente; se ignora.`);
+      return;
+    }
+    const fuente = crearFuente(anios[anio].fuente, anio);
+    const workbook = await fuente.convertir(fs.readFileSync(rutas.datos));
+    cache[anio] = {
+      workbook,
+      hash: meta.hash,
+      etag: meta.etag,
+      actualizado: new Date(meta.actualizado),
+      cambiado: new Date(meta.cambiado),
+      origen: 'disco',
+      ultimoIntento: 0,
+      ultimoError: null
+    };
+    console.log(`[${new Date().toISOString()}] Libro ${anio} cargado desde la copia en disco (${meta.actualizado}).`);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error al cargar la copia del libro ${anio}:`, error);
+  }
+}
+
+/**
+ * Lee el libro desde la fuente y actualiza la caché si el contenido cambió.
+ */
+async function refrescar(anio) {
+  const fuente = crearFuente(anios[anio].fuente, anio);
+  const anterior = cache[anio];
+  if (anterior) anterior.ultimoIntento = Date.now();
+
+  console.log(`[${new Date().toISOString()}] Actualizando caché del libro ${anio} desde ${fuente.descripcion}...`);
+  const resultado = await fuente.leer({ etag: anterior?.etag });
+  const ahora = new Date();
+
+  const hash = resultado.sinCambios
+    ? anterior.hash
+    : crypto.createHash('sha256').update(resultado.buffer).digest('hex');
+
+  if (anterior && anterior.hash === hash) {
+    anterior.actualizado = ahora;
+    anterior.etag = resultado.etag || anterior.etag;
+    anterior.ultimoError = null;
+    guardarCopia(anio);
+    console.log(`[${new Date().toISOString()}] Libro ${anio} sin cambios.`);
+    return { cambiado: false };
+  }
+
+  const workbook = await fuente.convertir(resultado.buffer);
+  if (esquemas[anio]) {
+    const validacion = validarHoja(workbook, esquemas[anio]);
+    if (!validacion.valido) throw errorEsquema(anio, validacion.errores);
   }
+
+  cache[anio] = {
+    workbook,
+    hash,
+    etag: resultado.etag || null,
+    actualizado: ahora,
+    cambiado: ahora,
+    origen: 'fuente',
+    ultimoIntento: ahora.getTime(),
+    ultimoError: null
+  };
+  guardarCopia(anio, resultado.buffer);
+  console.log(`[${new Date().toISOString()}] Caché ${anio} actualizada.`);
+
+  // Log all sheet names for debugging
+  console.log('Hojas disponibles en el workbook:');
+  workbook.worksheets.forEach((sheet, index) => {
+    console.log(`  [${index + 1}] ${sheet.name}`);
+  });
+  return { cambiado: true };
 }
 
 /**
- * Función para cargar y parsear el archivo Excel desde el buffer.
+ * Función para refrescar el libro de un año ahora mismo. Si ya hay un
+ * refresco en curso devuelve esa misma promesa.
+ * @returns {Promise<Object>} { cambiado: boolean }
+ * @throws {Error} Con codigo 'ESQUEMA_INVALIDO' si el libro nuevo no cumple el esquema.
  */
-async function loadWorkbook(buffer) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(buffer);
-  return workbook;
+function refrescarWorkbook(anio = anioActual) {
+  if (!anios[anio]?.fuente) {
+    return Promise.reject(new Error(`No hay fuente de datos configurada para el año ${anio}.`));
+  }
+  if (!refrescos[anio]) {
+    refrescos[anio] = refrescar(anio)
+      .catch(error => {
+        if (cache[anio]) cache[anio].ultimoError = error.message;
+        throw error;
+      })
+      .finally(() => {
+        delete refrescos[anio];
+      });
+  }
+  return refrescos[anio];
 }
 
 /**
- * Función para obtener el workbook cacheado, actualizando si es necesario.
+ * Función para obtener el workbook cacheado de un año. Sólo espera la
+ * lectura cuando no hay ninguna copia (ni en memoria ni en disco); si la
+ * copia venció se refresca en segundo plano.
  */
-async function getWorkbook() {
+async function getWorkbook(anio = anioActual) {
+  if (!anios[anio]?.fuente) {
+    throw new Error(`No hay fuente de datos configurada para el año ${anio}.`);
+  }
+
+  if (!cache[anio]) await cargarCopia(anio);
+  if (!cache[anio]) {
+    await refrescarWorkbook(anio);
+    return cache[anio].workbook;
+  }
+
+  const entrada = cache[anio];
   const now = Date.now();
-  if (!cachedWorkbook || (now - lastFetchTime) > CACHE_REFRESH_INTERVAL) {
-    console.log(`[${new Date().toISOString()}] Actualizando caché del archivo Excel...`);
-    const buffer = await downloadExcelWithRetry(EXCEL_URL);
-    cachedWorkbook = await loadWorkbook(buffer);
-    lastFetchTime = now;
-    console.log(`[${new Date().toISOString()}] Caché actualizada.`);
-
-    // Log all sheet names for debugging
-    console.log('Hojas disponibles en el workbook:');
-    cachedWorkbook.worksheets.forEach((sheet, index) => {
-      console.log(`  [${index + 1}] ${sheet.name}`);
+  const vencida = now - entrada.actualizado.getTime() > cacheLibros.refrescoMs;
+  const puedeReintentar = now - entrada.ultimoIntento > cacheLibros.reintentoMs;
+  if (vencida && puedeReintentar) {
+    refrescarWorkbook(anio).catch(error => {
+      console.error(`[${new Date().toISOString()}] Error al refrescar el libro ${anio}; se sigue usando la copia de ${entrada.actualizado.toISOString()}: ${error.message}`);
     });
-  } else {
-    console.log(`[${new Date().toISOString()}] Usando caché existente del archivo Excel.`);
   }
-  return cachedWorkbook;
+  return entrada.workbook;
+}
+
+/**
+ * Función para conocer la antigüedad de los datos de un año.
+ * @returns {Object|null} { actualizado, cambiado, origen, ultimoError } o null si no hay copia.
+ */
+function obtenerEdadDatos(anio = anioActual) {
+  const entrada = cache[anio];
+  if (!entrada) return null;
+  const { actualizado, cambiado, origen, ultimoError } = entrada;
+  return { actualizado, cambiado, origen, ultimoError };
 }
 
 module.exports = {
-  getWorkbook
+  getWorkbook,
+  refrescarWorkbook,
+  obtenerEdadDatos,
+  aniosDisponibles
 };
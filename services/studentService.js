@@ -2,75 +2,123 @@
  * Servicio para manejo de datos de estudiantes.
  */
 
-const ExcelJS = require('exceljs');
-const { columnas } = require('../config/config');
-const { getWorkbook } = require('./studentExcelService');
+const { anioActual, esquemas } = require('../config/config');
+const { getWorkbook, aniosDisponibles } = require('./studentExcelService');
+const { validarHoja, errorEsquema, normalizarTexto } = require('./schemaService');
+const { parsearMonto, calcularDeuda } = require('./feeService');
+
+// Índice ID → estudiante por año escolar; cada uno se reconstruye sólo
+// cuando getWorkbook devuelve un workbook distinto (caché refrescada).
+const indices = {};
+
+/**
+ * Construye el objeto estudiante a partir de una fila de la hoja.
+ * @param {Object} row - Fila de exceljs.
+ * @param {string} id - ID del estudiante.
+ * @param {Object} columnas - Columnas resueltas por el esquema.
+ * @param {number} anio - Año escolar de la hoja.
+ * @returns {Object} Información del estudiante.
+ */
+function leerEstudiante(row, id, columnas, anio) {
+  const valorCelda = row.getCell(columnas.TOTAL_PAGAR).value;
+
+  return {
+    nombre: row.getCell(columnas.NOMBRE).value,
+    grado: row.getCell(columnas.GRADO).value,
+    id,
+    anio,
+    planDePago: columnas.PLAN_PAGO ? row.getCell(columnas.PLAN_PAGO).value : null,
+    meses: Object.entries(columnas.MESES).reduce((acc, [mes, col]) => {
+      acc[mes.toLowerCase()] = row.getCell(col).value;
+      return acc;
+    }, {}),
+    totalPagar: parsearMonto(valorCelda),
+    valorCeldaOriginal: valorCelda
+  };
+}
+
+/**
+ * Construye el índice ID → estudiante de un workbook.
+ * La hoja se valida contra el esquema del año; si no es válida el índice
+ * guarda el error y no se sirven datos.
+ * Si un ID aparece en varias filas se conserva la primera y se reporta el duplicado.
+ * @param {Object} workbook - Workbook de exceljs.
+ * @param {number} anio - Año escolar del workbook.
+ * @returns {Object} { workbook, estudiantes: Map, duplicados: Map<id, number[]>, error }
+ */
+function construirIndice(workbook, anio) {
+  const esquema = esquemas[anio];
+  if (!esquema) {
+    const error = new Error(`No hay esquema de hoja definido para el año ${anio}.`);
+    error.codigo = 'ESQUEMA_INVALIDO';
+    error.detalles = [error.message];
+    return { workbook, estudiantes: new Map(), duplicados: new Map(), error };
+  }
+
+  const validacion = validarHoja(workbook, esquema);
+  validacion.advertencias.forEach(advertencia => {
+    console.warn(`[${new Date().toISOString()}] Esquema ${anio}: ${advertencia}`);
+  });
+
+  if (!validacion.valido) {
+    const error = errorEsquema(anio, validacion.errores);
+    console.error(`[${new Date().toISOString()}] ${error.message}`);
+    return { workbook, estudiantes: new Map(), duplicados: new Map(), error };
+  }
+
+  const { hoja, filaInicio, columnas } = validacion;
+  const estudiantes = new Map();
+  const filas = new Map();
+  const duplicados = new Map();
+
+  hoja.eachRow((row, rowNumber) => {
+    if (rowNumber < filaInicio) return;
+    const id = row.getCell(columnas.ID).value?.toString().trim();
+    if (!id) return;
+
+    if (estudiantes.has(id)) {
+      if (!duplicados.has(id)) duplicados.set(id, [filas.get(id)]);
+      duplicados.get(id).push(rowNumber);
+      return;
+    }
+
+    estudiantes.set(id, leerEstudiante(row, id, columnas, anio));
+    filas.set(id, rowNumber);
+  });
+
+  console.log(`[${new Date().toISOString()}] Índice de estudiantes ${anio} construido: ${estudiantes.size} alumno(s).`);
+  duplicados.forEach((filasId, id) => {
+    console.warn(`[${new Date().toISOString()}] ID duplicado ${id} en filas ${filasId.join(', ')}; se usa la fila ${filasId[0]}.`);
+  });
+
+  return { workbook, estudiantes, duplicados, error: null };
+}
+
+/**
+ * Obtiene el índice de estudiantes de un año, reconstruyéndolo si el workbook cambió.
+ * @param {number} anio - Año escolar.
+ * @returns {Promise<Object>} Índice.
+ * @throws {Error} Con codigo 'ESQUEMA_INVALIDO' si la hoja no cumple el esquema.
+ */
+async function obtenerIndice(anio) {
+  const workbook = await getWorkbook(anio);
+  if (!indices[anio] || indices[anio].workbook !== workbook) {
+    indices[anio] = construirIndice(workbook, anio);
+  }
+  if (indices[anio].error) throw indices[anio].error;
+  return indices[anio];
+}
 
 /**
  * Busca un estudiante por su ID en el archivo Excel.
  * @param {string} id - ID del estudiante.
+ * @param {number} anio - Año escolar (por defecto el actual).
  * @returns {Promise<Object|null>} Información del estudiante o null si no encontrado.
  */
-async function buscarEstudiante(id) {
+async function buscarEstudiante(id, anio = anioActual) {
   try {
-    // Obtener el workbook cacheado desde el nuevo módulo
-    const workbook = await getWorkbook();
-
-    // Obtener la hoja "Matricula 2025" (hoja número 5)
-    // Intentar obtener por nombre, si no existe, obtener por índice (5)
-    let hoja = workbook.getWorksheet('Matricula 2025');
-    if (!hoja) {
-      hoja = workbook.worksheets[5]; // índice 5 = hoja número 6 (0-based)
-      console.log(`[${new Date().toISOString()}] Hoja "Matricula 2025" no encontrada por nombre, usando hoja número 6: ${hoja.name}`);
-    }
-
-    let estudiante = null;
-
-    hoja.eachRow((row, rowNumber) => {
-      if (rowNumber < 3) return;
-      if (row.getCell(columnas.ID).value?.toString() === id) {
-        const valorCelda = row.getCell(columnas.TOTAL_PAGAR).value;
-        let totalPagar = 0;
-
-        if (typeof valorCelda === 'number') {
-          totalPagar = valorCelda;
-        } else if (typeof valorCelda === 'string') {
-          const numeroLimpio = valorCelda.replace(/[^0-9.]/g, '');
-          totalPagar = parseFloat(numeroLimpio) || 0;
-        } else if (valorCelda && typeof valorCelda === 'object') {
-          if (valorCelda.text) {
-            const numeroLimpio = valorCelda.text.replace(/[^0-9.]/g, '');
-            totalPagar = parseFloat(numeroLimpio) || 0;
-          } else if (valorCelda.result) {
-            totalPagar = valorCelda.result;
-          }
-        }
-
-        if (valorCelda && typeof valorCelda === 'string' && valorCelda.includes(',')) {
-          const numeroLimpio = valorCelda
-            .replace('L.', '')
-            .replace('L', '')
-            .replace(/\s/g, '')
-            .replace(',', '');
-          totalPagar = parseFloat(numeroLimpio) || 0;
-        }
-
-        estudiante = {
-          nombre: row.getCell(columnas.NOMBRE).value,
-          grado: row.getCell(columnas.GRADO).value,
-          id,
-          planDePago: row.getCell('H').value,  // Added planDePago from column H
-          meses: Object.entries(columnas.MESES).reduce((acc, [mes, col]) => {
-            acc[mes.toLowerCase()] = row.getCell(col).value;
-            return acc;
-          }, {}),
-          totalPagar,
-          valorCeldaOriginal: valorCelda
-        };
-      }
-    });
-
-    return estudiante;
+    const { estudiantes } = await obtenerIndice(anio);
+    return estudiantes.get(id) || null;
   } catch (error) {
     console.error('Error en buscarEstudiante:', error);
     throw error;
@@ -78,66 +126,84 @@ async function buscarEstudiante(id) {
 }
 
 /**
- * Calcula la deuda actual de un estudiante.
- * @param {Object} estudiante - Objeto estudiante con información de pagos.
- * @returns {Object} Detalles de deuda y estado de pagos.
+ * Busca varios estudiantes por ID con una sola lectura del índice.
+ * @param {string[]} ids - IDs de estudiantes.
+ * @param {number} anio - Año escolar (por defecto el actual).
+ * @returns {Promise<Array<Object|null>>} Estudiantes en el mismo orden (null si no se encontró).
  */
-function calcularDeuda(estudiante) {
-  const ahora = new Date();
-  const diaActual = ahora.getDate();
-  const mesActual = ahora.getMonth() + 1;
-  const anioActual = ahora.getFullYear();
-
-  const meses = Object.keys(columnas.MESES).map((mes, index) => ({
-    nombre: mes.toLowerCase(),
-    num: index + 1
-  }));
-
-  // Determine starting month based on planDePago
-  const inicioMes = estudiante.planDePago === 10 ? 2 : 1;
-
-  // Filter months to check for pending payments starting from inicioMes to mesActual
-  const mesesPendientes = meses
-    .filter(m => m.num >= inicioMes && m.num <= mesActual)
-    .filter(m => {
-      const valor = estudiante.meses[m.nombre];
-      return !valor || valor.toString().trim() === '';
-    });
-
-  // Calculate mora (late fee)
-  let deudaMora = 0;
-  const cuotaMensual = estudiante.totalPagar;
-
-  mesesPendientes.forEach(mesPendiente => {
-    // Calculate the due date plus 10 days for the month
-    // Due date is the 1st of the next month + 10 days grace period
-    let anioMes = anioActual;
-    let mesNum = mesPendiente.num;
-    // If the month is December and current month is January, adjust year accordingly
-    if (mesNum === 12 && mesActual === 1) {
-      anioMes = anioActual - 1;
-    }
-    const fechaVencimiento = new Date(anioMes, mesNum, 11); // month is 0-based, so mesNum is next month index
+async function buscarEstudiantes(ids, anio = anioActual) {
+  try {
+    const { estudiantes } = await obtenerIndice(anio);
+    return ids.map(id => estudiantes.get(id) || null);
+  } catch (error) {
+    console.error('Error en buscarEstudiantes:', error);
+    throw error;
+  }
+}
 
-    if (ahora > fechaVencimiento) {
-      deudaMora += cuotaMensual * 0.05;
-    }
+/**
+ * Busca al estudiante en el año escolar anterior al de su registro, para
+ * arrastrar saldos pendientes. Devuelve null si ese año no está disponible.
+ * @param {Object} estudiante - Estudiante de un año escolar.
+ * @returns {Promise<Object|null>} Registro del año anterior o null.
+ */
+async function buscarEstudianteAnioAnterior(estudiante) {
+  const anioAnterior = estudiante.anio - 1;
+  if (!aniosDisponibles().includes(anioAnterior)) return null;
+  try {
+    return await buscarEstudiante(estudiante.id, anioAnterior);
+  } catch (error) {
+    console.error(`No se pudo consultar el año ${anioAnterior} para ${estudiante.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Busca estudiantes por nombre: coinciden los que contienen todas las
+ * palabras del texto, sin distinguir mayúsculas ni tildes.
+ * @param {string} texto - Nombre o parte del nombre.
+ * @param {number} anio - Año escolar (por defecto el actual).
+ * @returns {Promise<Object[]>} Estudiantes encontrados, en el orden de la hoja.
+ */
+async function buscarEstudiantesPorNombre(texto, anio = anioActual) {
+  const palabras = normalizarTexto(texto).split(/\s+/).filter(Boolean);
+  if (palabras.length === 0) return [];
+  const { estudiantes } = await obtenerIndice(anio);
+  return [...estudiantes.values()].filter(estudiante => {
+    const nombre = normalizarTexto(estudiante.nombre);
+    return palabras.every(palabra => nombre.includes(palabra));
   });
+}
 
-  const deudaMensualidad = cuotaMensual * mesesPendientes.length;
-  const totalDeuda = deudaMensualidad + deudaMora;
+/**
+ * Obtiene los IDs que aparecen en más de una fila de la hoja.
+ * @param {number} anio - Año escolar (por defecto el actual).
+ * @returns {Promise<Object[]>} Lista de { id, filas }.
+ */
+async function obtenerDuplicados(anio = anioActual) {
+  const { duplicados } = await obtenerIndice(anio);
+  return [...duplicados].map(([id, filas]) => ({ id, filas }));
+}
 
-  return {
-    deudaMensualidad: deudaMensualidad.toFixed(2),
-    deudaMora: deudaMora.toFixed(2),
-    totalDeuda: totalDeuda.toFixed(2),
-    mesesPendientes: mesesPendientes.map(m => m.nombre.toUpperCase()),
-    cuotaMensual: cuotaMensual.toFixed(2),
-    alDia: mesesPendientes.length === 0
-  };
+/**
+ * Obtiene los IDs duplicados de los índices ya construidos, sin leer hojas.
+ * @returns {Object[]} Lista de { anio, duplicados: [{ id, filas }] }, sólo de los años con duplicados.
+ */
+function duplicadosCargados() {
+  return Object.entries(indices)
+    .filter(([, indice]) => indice.duplicados.size > 0)
+    .map(([anio, { duplicados }]) => ({
+      anio: Number(anio),
+      duplicados: [...duplicados].map(([id, filas]) => ({ id, filas }))
+    }));
 }
 
 module.exports = {
   buscarEstudiante,
+  buscarEstudiantes,
+  buscarEstudianteAnioAnterior,
+  buscarEstudiantesPorNombre,
+  obtenerDuplicados,
+  duplicadosCargados,
   calcularDeuda
 };
@@ -0,0 +1,162 @@
+/**
+ * Servicio de plantillas de mensajes.
+ *
+ * Sintaxis:
+ *   {campo}                   valor del campo
+ *   {si campo}...{fin}        sección que sólo aparece si el campo tiene valor
+ *                             (vacío, 0, 0.00 y falso no cuentan)
+ *   {si campo}...{sino}...{fin}
+ *   {cada alumno}...{fin}     se repite por cada alumno (campos del alumno adentro)
+ */
+
+const PATRON_ETIQUETA = /\{([^{}]+)\}/g;
+
+/**
+ * Reemplaza los campos {campo} de una plantilla.
+ * Los campos sin valor se dejan tal cual para que el error sea visible.
+ * @param {string} plantilla - Texto con campos entre llaves.
+ * @param {Object} campos - Valores por nombre de campo.
+ * @returns {string} Texto final.
+ */
+function llenarPlantilla(plantilla, campos) {
+  return plantilla.replace(/\{(\w+)\}/g, (original, campo) =>
+    campos[campo] !== undefined && campos[campo] !== null ? String(campos[campo]) : original
+  );
+}
+
+/**
+ * Indica si un texto usa la sintaxis de plantillas.
+ * @param {string} texto - Texto a revisar.
+ * @returns {boolean} True si tiene alguna etiqueta {…} con nombre de campo o bloque.
+ */
+function esPlantilla(texto) {
+  return /\{(\w+|si \w+|sino|fin|cada alumno)\}/.test(texto || '');
+}
+
+/**
+ * Convierte una plantilla en un árbol de nodos.
+ * @param {string} texto - Plantilla.
+ * @returns {Object} { nodos, errores }
+ */
+function analizarPlantilla(texto) {
+  const raiz = { tipo: 'raiz', hijos: [] };
+  const pila = [raiz];
+  const errores = [];
+  let destino = raiz.hijos;
+  let ultimo = 0;
+  let coincidencia;
+
+  const destinoDe = nodo => {
+    if (nodo.tipo === 'si') return nodo.sino || nodo.entonces;
+    return nodo.hijos;
+  };
+
+  PATRON_ETIQUETA.lastIndex = 0;
+  while ((coincidencia = PATRON_ETIQUETA.exec(texto))) {
+    if (coincidencia.index > ultimo) destino.push({ tipo: 'texto', valor: texto.slice(ultimo, coincidencia.index) });
+    ultimo = PATRON_ETIQUETA.lastIndex;
+
+    const etiqueta = coincidencia[1].trim();
+    const condicion = etiqueta.match(/^si\s+(\w+)$/);
+    const abierto = pila[pila.length - 1];
+
+    if (condicion) {
+      const nodo = { tipo: 'si', campo: condicion[1], entonces: [], sino: null };
+      destino.push(nodo);
+      pila.push(nodo);
+    } else if (etiqueta === 'sino') {
+      if (abierto.tipo !== 'si' || abierto.sino) {
+        errores.push('{sino} sin un {si …} abierto.');
+        continue;
+      }
+      abierto.sino = [];
+    } else if (etiqueta === 'cada alumno') {
+      if (pila.some(nodo => nodo.tipo === 'cada')) {
+        errores.push('{cada alumno} no puede ir dentro de otro {cada alumno}.');
+        continue;
+      }
+      const nodo = { tipo: 'cada', hijos: [] };
+      destino.push(nodo);
+      pila.push(nodo);
+    } else if (etiqueta === 'fin') {
+      if (pila.length === 1) {
+        errores.push('{fin} sin un bloque abierto.');
+        continue;
+      }
+      pila.pop();
+    } else if (/^\w+$/.test(etiqueta)) {
+      destino.push({ tipo: 'campo', campo: etiqueta });
+    } else {
+      destino.push({ tipo: 'texto', valor: coincidencia[0] });
+    }
+    destino = destinoDe(pila[pila.length - 1]);
+  }
+
+  if (ultimo < texto.length) destino.push({ tipo: 'texto', valor: texto.slice(ultimo) });
+  if (pila.length > 1) errores.push(`Falta cerrar ${pila.length - 1} bloque(s) con {fin}.`);
+  return { nodos: raiz.hijos, errores };
+}
+
+/**
+ * Indica si un valor cuenta como verdadero en {si campo}.
+ * @param {*} valor - Valor del campo.
+ * @returns {boolean} True si tiene valor.
+ */
+function tieneValor(valor) {
+  if (valor === undefined || valor === null || valor === false || valor === 0 || valor === '') return false;
+  if (typeof valor === 'string' && /^0+(\.0+)?$/.test(valor)) return false;
+  return !(Array.isArray(valor) && valor.length === 0);
+}
+
+/**
+ * Recorre los nodos y devuelve los campos usados.
+ * @param {Object[]} nodos - Nodos de analizarPlantilla.
+ * @param {boolean} dentroDeCada - True si los nodos están dentro de {cada alumno}.
+ * @returns {Object[]} { campo, dentroDeCada }
+ */
+function camposUsados(nodos, dentroDeCada = false) {
+  return nodos.flatMap(nodo => {
+    if (nodo.tipo === 'campo') return [{ campo: nodo.campo, dentroDeCada }];
+    if (nodo.tipo === 'si') {
+      return [
+        { campo: nodo.campo, dentroDeCada },
+        ...camposUsados(nodo.entonces, dentroDeCada),
+        ...camposUsados(nodo.sino || [], dentroDeCada)
+      ];
+    }
+    if (nodo.tipo === 'cada') return camposUsados(nodo.hijos, true);
+    return [];
+  });
+}
+
+/**
+ * Genera el texto de una plantilla ya analizada.
+ * @param {Object[]} nodos - Nodos de analizarPlantilla.
+ * @param {Object} campos - Valores por nombre de campo.
+ * @param {Object[]} alumnos - Campos de cada alumno para {cada alumno}.
+ * @returns {string} Texto final.
+ */
+function renderizarPlantilla(nodos, campos, alumnos = []) {
+  return nodos.map(nodo => {
+    switch (nodo.tipo) {
+      case 'texto':
+        return nodo.valor;
+      case 'campo':
+        return campos[nodo.campo] !== undefined && campos[nodo.campo] !== null ? String(campos[nodo.campo]) : '';
+      case 'si':
+        return renderizarPlantilla(tieneValor(campos[nodo.campo]) ? nodo.entonces : (nodo.sino || []), campos, alumnos);
+      case 'cada':
+        return alumnos.map(alumno => renderizarPlantilla(nodo.hijos, { ...campos, ...alumno }, [])).join('');
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+module.exports = {
+  llenarPlantilla,
+  esPlantilla,
+  analizarPlantilla,
+  camposUsados,
+  renderizarPlantilla
+};
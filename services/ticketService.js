@@ -0,0 +1,238 @@
+/**
+ * Tickets de atención con administración (opción 4 del menú).
+ *
+ * Al abrir un ticket se asigna a un miembro del personal con permiso
+ * 'soporte': primero a quienes están de turno y, si no hay nadie, a
+ * cualquiera con el permiso; entre ellos, al que tenga menos tickets
+ * abiertos. Mientras el ticket está abierto el bot no atiende al encargado:
+ * el controlador reenvía sus mensajes al agente y las respuestas del
+ * agente al encargado. Sin actividad durante config.soporte.inactividadMs
+ * el ticket se cierra y el encargado vuelve al menú.
+ */
+
+const path = require('path');
+const { soporte: configSoporte } = require('../config/config');
+const { crearAlmacenArchivo } = require('./stateStores/fileStore');
+const { obtenerAdmins } = require('./adminService');
+const { establecerEstado } = require('./stateService');
+const { registrarAuditoria } = require('./auditService');
+const { idiomaDe, traducir } = require('./i18nService');
+
+const tickets = crearAlmacenArchivo(path.join(configSoporte.directorio, 'tickets.json'));
+const turnos = crearAlmacenArchivo(path.join(configSoporte.directorio, 'turnos.json'));
+
+let temporizador = null;
+let transporteActual = null;
+
+/**
+ * Siguiente número de ticket (consecutivo).
+ * @returns {number} Número disponible.
+ */
+function siguienteNumero() {
+  return tickets.entradas().reduce((maximo, [clave]) => Math.max(maximo, Number(clave)), 0) + 1;
+}
+
+/**
+ * Obtiene un ticket por su número.
+ * @param {number|string} numero - Número del ticket.
+ * @returns {Object|null} Ticket o null si no existe.
+ */
+function obtenerTicket(numero) {
+  return tickets.obtener(String(numero));
+}
+
+/**
+ * Lista los tickets abiertos, del más antiguo al más reciente.
+ * @returns {Object[]} Tickets abiertos.
+ */
+function listarTicketsAbiertos() {
+  return tickets.entradas()
+    .map(([, ticket]) => ticket)
+    .filter(ticket => ticket.estado === 'abierto')
+    .sort((a, b) => a.numero - b.numero);
+}
+
+/**
+ * Obtiene el ticket abierto de un encargado.
+ * @param {string} encargado - JID del encargado.
+ * @returns {Object|null} Ticket abierto o null.
+ */
+function ticketAbiertoDe(encargado) {
+  return listarTicketsAbiertos().find(ticket => ticket.encargado === encargado) || null;
+}
+
+/**
+ * Indica si un ticket superó el tiempo de inactividad.
+ * @param {Object} ticket - Ticket abierto.
+ * @param {number} ahora - Marca de tiempo actual.
+ * @returns {boolean} True si debe cerrarse.
+ */
+function ticketVencido(ticket, ahora = Date.now()) {
+  return ahora - new Date(ticket.ultimaActividad).getTime() >= configSoporte.inactividadMs;
+}
+
+/**
+ * Marca o desmarca a un miembro del personal como de turno.
+ * @param {string} agente - JID del miembro del personal.
+ * @param {boolean} enTurno - True para entrar de turno.
+ */
+function establecerTurno(agente, enTurno) {
+  if (enTurno) turnos.establecer(agente, { desde: new Date().toISOString() });
+  else turnos.eliminar(agente);
+}
+
+/**
+ * Personal con permiso de soporte que está de turno.
+ * @returns {string[]} JIDs.
+ */
+function agentesEnTurno() {
+  return obtenerAdmins('soporte').filter(agente => turnos.obtener(agente));
+}
+
+/**
+ * Elige el agente para un ticket nuevo.
+ * @returns {string|null} JID del agente o null si nadie tiene permiso de soporte.
+ */
+function elegirAgente() {
+  const enTurno = agentesEnTurno();
+  const candidatos = enTurno.length > 0 ? enTurno : obtenerAdmins('soporte');
+  if (candidatos.length === 0) return null;
+
+  const abiertos = listarTicketsAbiertos();
+  const carga = agente => abiertos.filter(ticket => ticket.agente === agente).length;
+  return candidatos.reduce((elegido, agente) => (carga(agente) < carga(elegido) ? agente : elegido));
+}
+
+/**
+ * Abre un ticket para un encargado, o devuelve el que ya tiene abierto.
+ * @param {string} encargado - JID del encargado.
+ * @param {string[]} alumnos - IDs de los alumnos vinculados.
+ * @returns {Object|null} { ticket, nuevo } o null si no hay personal de soporte.
+ */
+function abrirTicket(encargado, alumnos) {
+  const existente = ticketAbiertoDe(encargado);
+  if (existente) return { ticket: existente, nuevo: false };
+
+  const agente = elegirAgente();
+  if (!agente) return null;
+
+  const ahora = new Date().toISOString();
+  const ticket = {
+    numero: siguienteNumero(),
+    encargado,
+    alumnos,
+    agente,
+    estado: 'abierto',
+    abierto: ahora,
+    ultimaActividad: ahora,
+    cerrado: null,
+    cerradoPor: null,
+    motivoCierre: null
+  };
+  tickets.establecer(String(ticket.numero), ticket);
+  console.log(`[${new Date().toISOString()}] Ticket #${ticket.numero} abierto por ${encargado}, asignado a ${agente}.`);
+  registrarAuditoria({ actor: encargado, accion: 'ticket abierto', objetivo: `#${ticket.numero}`, detalle: `asignado a ${agente}` });
+  return { ticket, nuevo: true };
+}
+
+/**
+ * Registra actividad en un ticket (reinicia el tiempo de inactividad).
+ * @param {number|string} numero - Número del ticket.
+ */
+function registrarActividad(numero) {
+  const ticket = obtenerTicket(numero);
+  if (!ticket) return;
+  ticket.ultimaActividad = new Date().toISOString();
+  tickets.establecer(String(ticket.numero), ticket);
+}
+
+/**
+ * Asigna un ticket abierto a otro miembro del personal.
+ * @param {number|string} numero - Número del ticket.
+ * @param {string} agente - JID del nuevo agente.
+ * @returns {Object|null} Ticket actualizado (con `agenteAnterior`) o null si no está abierto.
+ */
+function tomarTicket(numero, agente) {
+  const ticket = obtenerTicket(numero);
+  if (!ticket || ticket.estado !== 'abierto') return null;
+  const agenteAnterior = ticket.agente;
+  ticket.agente = agente;
+  ticket.ultimaActividad = new Date().toISOString();
+  tickets.establecer(String(ticket.numero), ticket);
+  registrarAuditoria({ actor: agente, accion: 'ticket tomado', objetivo: `#${ticket.numero}`, detalle: `antes ${agenteAnterior}` });
+  return { ...ticket, agenteAnterior };
+}
+
+/**
+ * Cierra un ticket abierto.
+ * @param {number|string} numero - Número del ticket.
+ * @param {string} cerradoPor - JID de quien lo cierra ('sistema' por inactividad).
+ * @param {string} motivo - 'encargado', 'agente' o 'inactividad'.
+ * @returns {Object|null} Ticket cerrado o null si no estaba abierto.
+ */
+function cerrarTicket(numero, cerradoPor, motivo) {
+  const ticket = obtenerTicket(numero);
+  if (!ticket || ticket.estado !== 'abierto') return null;
+  Object.assign(ticket, { estado: 'cerrado', cerrado: new Date().toISOString(), cerradoPor, motivoCierre: motivo });
+  tickets.establecer(String(ticket.numero), ticket);
+  console.log(`[${new Date().toISOString()}] Ticket #${ticket.numero} cerrado (${motivo}).`);
+  registrarAuditoria({ actor: cerradoPor, accion: 'ticket cerrado', objetivo: `#${ticket.numero}`, detalle: motivo });
+  return ticket;
+}
+
+/**
+ * Cierra los tickets sin actividad, avisa a ambas partes y devuelve al
+ * encargado al menú principal.
+ * @param {Object} transporte - Transporte de mensajería.
+ * @param {number} ahora - Marca de tiempo actual.
+ * @returns {Promise<Object[]>} Tickets cerrados.
+ */
+async function cerrarTicketsInactivos(transporte, ahora = Date.now()) {
+  const cerrados = [];
+  for (const abierto of listarTicketsAbiertos().filter(ticket => ticketVencido(ticket, ahora))) {
+    const ticket = cerrarTicket(abierto.numero, 'sistema', 'inactividad');
+    establecerEstado(ticket.encargado, 'MENU_PRINCIPAL');
+    cerrados.push(ticket);
+    try {
+      await transporte.enviarMensaje(ticket.encargado, {
+        text: traducir(idiomaDe(ticket.encargado), 'ticket.inactividad', { numero: ticket.numero })
+      });
+      await transporte.enviarMensaje(ticket.agente, { text: `⌛ Ticket #${ticket.numero} cerrado por inactividad.` });
+    } catch (error) {
+      console.error(`Error avisando el cierre del ticket #${ticket.numero}:`, error);
+    }
+  }
+  return cerrados;
+}
+
+/**
+ * Programa la revisión periódica de tickets inactivos. Llamarla de nuevo
+ * (p. ej. al reconectar) sólo actualiza el transporte.
+ * @param {Object} transporte - Transporte de mensajería.
+ */
+function iniciarSoporte(transporte) {
+  transporteActual = transporte;
+  if (temporizador) return;
+
+  temporizador = setInterval(() => {
+    cerrarTicketsInactivos(transporteActual).catch(error => {
+      console.error(`[${new Date().toISOString()}] Error al revisar tickets inactivos:`, error);
+    });
+  }, configSoporte.intervaloRevisionMs);
+  temporizador.unref();
+}
+
+module.exports = {
+  obtenerTicket,
+  listarTicketsAbiertos,
+  ticketAbiertoDe,
+  ticketVencido,
+  establecerTurno,
+  agentesEnTurno,
+  abrirTicket,
+  registrarActividad,
+  tomarTicket,
+  cerrarTicket,
+  cerrarTicketsInactivos,
+  iniciarSoporte
+};
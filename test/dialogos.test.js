@@ -0,0 +1,45 @@
+/**
+ * Reproduce cada diálogo de tools/dialogs con tools/dialogRunner.js. Cada
+ * guion corre en su propio proceso porque el simulador prepara el entorno
+ * (variables, archivos temporales) antes de cargar config/ y los servicios.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const SIMULADOR = path.join(__dirname, '..', 'tools', 'dialogRunner.js');
+const DIALOGOS = path.join(__dirname, '..', 'tools', 'dialogs');
+
+/**
+ * Ejecuta un guion y devuelve su salida.
+ * @param {string} archivo - Ruta del guion.
+ * @returns {Promise<Object>} { codigo, salida }
+ */
+function ejecutarGuion(archivo) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SIMULADOR, archivo], { timeout: 120000, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({ codigo: error ? error.code ?? error.signal : 0, salida: `${stdout}${stderr}` });
+    });
+  });
+}
+
+const guiones = fs.readdirSync(DIALOGOS).filter(archivo => archivo.endsWith('.json')).sort();
+
+test('hay diálogos para reproducir', () => {
+  assert.ok(guiones.length > 0);
+});
+
+for (const archivo of guiones) {
+  test(`diálogo ${archivo}`, async () => {
+    const { codigo, salida } = await ejecutarGuion(path.join(DIALOGOS, archivo));
+    // En caso de fallo se muestran los pasos marcados con ✘ y el error, sin los logs del bot
+    const detalle = salida.split('\n')
+      .filter(linea => /^(✘|\s+Faltan:|Error)/.test(linea))
+      .join('\n');
+    assert.equal(codigo, 0, `el diálogo no se completó:\n${detalle}`);
+    assert.match(salida, /Diálogo completado\./);
+  });
+}
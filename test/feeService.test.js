@@ -0,0 +1,198 @@
+/**
+ * Pruebas del cálculo de deuda (services/feeService.js). Usan fechas fijas
+ * y reglas explícitas para no depender del día ni de config/feeRules.js.
+ * El proceso corre en UTC, como un servidor típico, para comprobar que las
+ * fechas se calculan en la zona horaria de la escuela (America/Tegucigalpa).
+ */
+
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  clasificarMes,
+  reglasParaPlan,
+  fechaVencimiento,
+  fechaLimiteSinMora,
+  moraDelMes,
+  calcularDeuda
+} = require('../services/feeService');
+
+const mesesDel = (inicio, fin) => Array.from({ length: fin - inicio + 1 }, (_, i) => inicio + i);
+
+const escuela = {
+  base: {
+    mesesFacturables: mesesDel(1, 12),
+    diaVencimiento: 1,
+    vencimientoMesSiguiente: true,
+    diasGracia: 10,
+    mora: { tipo: 'porcentaje', valor: 5 },
+    moraMaximaMes: null,
+    moraMaximaTotal: null,
+    umbralPagoParcial: 1,
+    notasExoneracion: ['BECA']
+  },
+  planes: {
+    10: { mesesFacturables: mesesDel(2, 11) },
+    12: { mesesFacturables: mesesDel(1, 12) }
+  }
+};
+
+/**
+ * Reglas del plan 12 con cambios puntuales.
+ * @param {Object} [cambios] - Reglas que se sobrescriben.
+ * @returns {Object} Reglas del plan.
+ */
+function reglasCon(cambios = {}) {
+  return { ...reglasParaPlan(12, escuela), ...cambios };
+}
+
+/**
+ * Estudiante del año 2025 con cuota de L.1000.
+ * @param {Object} [meses] - Celdas de los meses pagados.
+ * @param {number} [planDePago] - Plan de pago.
+ * @returns {Object} Estudiante.
+ */
+function estudiante(meses = {}, planDePago = 12) {
+  return { id: '0801201500001', nombre: 'Ana López', anio: 2025, planDePago, totalPagar: 1000, meses };
+}
+
+test('la cuota de enero no genera mora el último día de gracia', () => {
+  // Vence el 1 de febrero; con 10 días de gracia la mora empieza el 11
+  const deuda = calcularDeuda(estudiante(), { fecha: new Date(2025, 1, 10, 18), reglas: reglasCon() });
+
+  assert.deepEqual(deuda.mesesPendientes, ['ENERO', 'FEBRERO']);
+  assert.deepEqual(deuda.moraPorMes, []);
+  assert.equal(deuda.deudaMora, '0.00');
+  assert.equal(deuda.totalDeuda, '2000.00');
+});
+
+test('la cuota de enero genera mora el día después de la gracia', () => {
+  const deuda = calcularDeuda(estudiante(), { fecha: new Date(2025, 1, 11, 8), reglas: reglasCon() });
+
+  assert.deepEqual(deuda.moraPorMes, [{ mes: 'ENERO', monto: '50.00' }]);
+  assert.equal(deuda.deudaMora, '50.00');
+  assert.equal(deuda.totalDeuda, '2050.00');
+});
+
+test('el límite sin mora es el inicio del día siguiente al último de gracia', () => {
+  assert.deepEqual(fechaLimiteSinMora(2025, 1, reglasCon()), new Date('2025-02-11T00:00:00-06:00'));
+  // Diciembre vence en enero del año siguiente
+  assert.deepEqual(fechaLimiteSinMora(2025, 12, reglasCon()), new Date('2026-01-11T00:00:00-06:00'));
+  assert.deepEqual(
+    fechaLimiteSinMora(2025, 1, reglasCon({ vencimientoMesSiguiente: false, diaVencimiento: 15, diasGracia: 0 })),
+    new Date('2025-01-15T00:00:00-06:00')
+  );
+});
+
+test('los vencimientos y el mes evaluado usan la zona horaria de la escuela', () => {
+  const formato = { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'America/Tegucigalpa' };
+  // Febrero vence el 1 de marzo en Tegucigalpa aunque el servidor esté en UTC
+  assert.equal(fechaVencimiento(2025, 2, reglasCon()).toLocaleDateString('es-HN', formato), '01/03/2025');
+  assert.equal(fechaVencimiento(2025, 2, reglasCon()).toISOString(), '2025-03-01T06:00:00.000Z');
+
+  // 19:00 del 10 de febrero en Tegucigalpa (ya 11 de febrero en UTC): último día de gracia
+  const ultimoDiaGracia = calcularDeuda(estudiante(), { fecha: new Date('2025-02-10T19:00:00-06:00'), reglas: reglasCon() });
+  assert.deepEqual(ultimoDiaGracia.moraPorMes, []);
+  const despues = calcularDeuda(estudiante(), { fecha: new Date('2025-02-11T08:00:00-06:00'), reglas: reglasCon() });
+  assert.deepEqual(despues.moraPorMes, [{ mes: 'ENERO', monto: '50.00' }]);
+
+  // 18:00 del 31 de enero en Tegucigalpa (ya 1 de febrero en UTC): febrero todavía no se evalúa
+  const finDeMes = calcularDeuda(estudiante(), { fecha: new Date('2025-01-31T18:00:00-06:00'), reglas: reglasCon() });
+  assert.deepEqual(finDeMes.mesesEvaluados, ['enero']);
+
+  // 19:00 del 31 de diciembre en Tegucigalpa (ya 2026 en UTC): sigue siendo el año escolar 2025
+  const finDeAnio = calcularDeuda({ ...estudiante(), anio: undefined }, {
+    fecha: new Date('2025-12-31T19:00:00-06:00'),
+    reglas: reglasCon()
+  });
+  assert.equal(finDeAnio.anio, 2025);
+});
+
+test('mora porcentual y fija', () => {
+  assert.equal(moraDelMes(1000, reglasCon()), 50);
+  assert.equal(moraDelMes(1000, reglasCon({ mora: { tipo: 'fijo', valor: 75 } })), 75);
+
+  const deuda = calcularDeuda(estudiante({ enero: 1000 }), {
+    fecha: new Date(2025, 3, 20),
+    reglas: reglasCon({ mora: { tipo: 'fijo', valor: 75 } })
+  });
+  assert.deepEqual(deuda.moraPorMes, [
+    { mes: 'FEBRERO', monto: '75.00' },
+    { mes: 'MARZO', monto: '75.00' }
+  ]);
+  assert.equal(deuda.deudaMora, '150.00');
+});
+
+test('la mora de cada mes respeta moraMaximaMes', () => {
+  const reglas = reglasCon({ mora: { tipo: 'porcentaje', valor: 10 }, moraMaximaMes: 60 });
+  assert.equal(moraDelMes(1000, reglas), 60);
+  assert.equal(moraDelMes(500, reglas), 50);
+
+  const deuda = calcularDeuda(estudiante(), { fecha: new Date(2025, 2, 20), reglas });
+  assert.deepEqual(deuda.moraPorMes.map(m => m.monto), ['60.00', '60.00']);
+  assert.equal(deuda.deudaMora, '120.00');
+});
+
+test('la mora acumulada respeta moraMaximaTotal', () => {
+  // Enero a mayo vencidos: 5 × 50 = 250, con tope de 120
+  const deuda = calcularDeuda(estudiante(), {
+    fecha: new Date(2025, 5, 20),
+    reglas: reglasCon({ moraMaximaTotal: 120 })
+  });
+
+  assert.equal(deuda.moraPorMes.length, 5);
+  assert.equal(deuda.deudaMora, '120.00');
+  assert.equal(deuda.totalDeuda, '6120.00');
+});
+
+test('el plan 10 cobra de febrero a noviembre y el plan 12 todo el año', () => {
+  const fecha = new Date(2025, 0, 20);
+  const plan10 = calcularDeuda(estudiante({}, 10), { fecha, reglas: reglasParaPlan(10, escuela) });
+  const plan12 = calcularDeuda(estudiante({}, 12), { fecha, reglas: reglasParaPlan(12, escuela) });
+
+  assert.deepEqual(plan10.mesesEvaluados, []);
+  assert.equal(plan10.alDia, true);
+  assert.deepEqual(plan12.mesesEvaluados, ['enero']);
+  assert.equal(plan12.alDia, false);
+
+  // Con el año terminado se evalúan todos los meses del plan
+  const cierre = new Date(2026, 0, 5);
+  const cierre10 = calcularDeuda(estudiante({}, 10), { fecha: cierre, reglas: reglasParaPlan(10, escuela) });
+  const cierre12 = calcularDeuda(estudiante({}, 12), { fecha: cierre, reglas: reglasParaPlan(12, escuela) });
+
+  assert.deepEqual(cierre10.mesesEvaluados, [
+    'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre'
+  ]);
+  assert.equal(cierre10.deudaMensualidad, '10000.00');
+  assert.equal(cierre12.mesesEvaluados.length, 12);
+  assert.equal(cierre12.deudaMensualidad, '12000.00');
+  // Diciembre todavía está en gracia el 5 de enero
+  assert.equal(cierre12.moraPorMes.length, 11);
+});
+
+test('el umbral de pago parcial decide si un monto cubre el mes', () => {
+  const completo = reglasCon();
+  assert.equal(clasificarMes(999, 1000, completo).estado, 'parcial');
+  assert.equal(clasificarMes(1000, 1000, completo).estado, 'pagado');
+
+  const noventa = reglasCon({ umbralPagoParcial: 0.9 });
+  assert.deepEqual(clasificarMes(899, 1000, noventa), { estado: 'parcial', pagado: 899, saldo: 101, credito: 0 });
+  assert.deepEqual(clasificarMes(900, 1000, noventa), { estado: 'pagado', pagado: 900, saldo: 0, credito: 0 });
+  assert.deepEqual(clasificarMes(1200, 1000, noventa), { estado: 'excedente', pagado: 1200, saldo: 0, credito: 200 });
+
+  const deuda = calcularDeuda(estudiante({ enero: 899, febrero: 900 }), {
+    fecha: new Date(2025, 1, 20),
+    reglas: noventa
+  });
+  assert.deepEqual(deuda.mesesPendientes, ['ENERO']);
+  assert.equal(deuda.deudaMensualidad, '101.00');
+  assert.deepEqual(deuda.moraPorMes, [{ mes: 'ENERO', monto: '50.00' }]);
+});
+
+test('las celdas vacías, exoneradas y con nota', () => {
+  const reglas = reglasCon();
+  assert.equal(clasificarMes('', 1000, reglas).estado, 'pendiente');
+  assert.equal(clasificarMes('BECA 100%', 1000, reglas).estado, 'exonerado');
+  assert.equal(clasificarMes('Pagó en efectivo', 1000, reglas).estado, 'nota');
+});
@@ -0,0 +1,24 @@
+/**
+ * Clasificador de intenciones contra el corpus de frases de encargados
+ * (tools/intents/corpus.json), con los criterios de tools/intentEval.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRECISION_OBJETIVO, medirCorpus } = require('../tools/intentEval');
+
+const { errores, precision } = medirCorpus();
+
+test('la precisión de ejecución alcanza el objetivo', () => {
+  assert.ok(
+    precision >= PRECISION_OBJETIVO,
+    `precisión ${(precision * 100).toFixed(1)}%, objetivo ${PRECISION_OBJETIVO * 100}%`
+  );
+});
+
+test('ninguna frase ejecuta una opción equivocada', () => {
+  assert.deepEqual(
+    errores.map(({ texto, esperada, resultado }) => `"${texto}": se esperaba ${esperada}, ${resultado.accion} ${resultado.intencion}`),
+    []
+  );
+});
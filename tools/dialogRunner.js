@@ -0,0 +1,155 @@
+/**
+ * Simulador de diálogos: reproduce un guion de mensajes contra el
+ * controlador de conversación con el transporte en memoria, sin sesión
+ * de WhatsApp y sin retrasos. Los datos (alumnos, PINs, encargados) salen
+ * del propio guion y se escriben en un directorio temporal.
+ *
+ * Uso: node tools/dialogRunner.js tools/dialogs/registro-pagos.json [--verbose]
+ *
+ * npm test reproduce todos los guiones de tools/dialogs (test/dialogos.test.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REMITENTE_POR_DEFECTO = '50400000000@s.whatsapp.net';
+
+/**
+ * Sobrescribe valores de la configuración con los del guion (p. ej. tiempos
+ * de espera más cortos). Modifica los objetos existentes para que los
+ * servicios que ya los referencian vean los cambios.
+ * @param {Object} destino - Objeto de configuración.
+ * @param {Object} valores - Valores a aplicar.
+ */
+function aplicarConfiguracion(destino, valores) {
+  Object.entries(valores).forEach(([clave, valor]) => {
+    if (valor && typeof valor === 'object' && !Array.isArray(valor) && destino[clave]) {
+      aplicarConfiguracion(destino[clave], valor);
+    } else {
+      destino[clave] = valor;
+    }
+  });
+}
+
+/**
+ * Prepara archivos temporales y variables de entorno para el guion.
+ * Debe ejecutarse antes de cargar config/ y los servicios.
+ * @param {Object} guion - Guion del diálogo.
+ */
+async function prepararEntorno(guion) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialogo-'));
+  process.env.DATA_DIR = dir;
+  process.env.ENCARGADOS_FILE = path.join(dir, 'encargados.json');
+  process.env.CREDENCIALES_FILE = path.join(dir, 'credenciales.json');
+  process.env.ADMINS_FILE = path.join(dir, 'admins.json');
+  process.env.BOT_RETRASOS = 'off';
+
+  fs.writeFileSync(process.env.ENCARGADOS_FILE, JSON.stringify({ encargados: guion.encargados || {} }, null, 2), 'utf8');
+  fs.writeFileSync(process.env.ADMINS_FILE, JSON.stringify(guion.admins || []), 'utf8');
+
+  // Sin fuentes reales: sólo los años que trae el guion
+  const config = require('../config/config');
+  Object.keys(config.anios).forEach(anio => { config.anios[anio] = { fuente: null }; });
+  aplicarConfiguracion(config, guion.config || {});
+
+  const { importarPIN } = require('../services/pinService');
+  Object.entries(guion.pines || {}).forEach(([id, pin]) => importarPIN(id, pin));
+
+  // Cada año escolar del guion se escribe como xlsx (fuente 'archivo') o,
+  // con formato 'json', como libro JSON (fuente 'json')
+  const { construirWorkbook } = require('../services/dataSources/jsonLedgerSource');
+  const anios = { [config.anioActual]: { estudiantes: guion.estudiantes }, ...(guion.anios || {}) };
+  for (const [anio, datosAnio] of Object.entries(anios)) {
+    const opciones = { ...guion, ...datosAnio };
+    if (opciones.formato === 'json') {
+      const ruta = path.join(dir, `cuentas-${anio}.json`);
+      fs.writeFileSync(ruta, JSON.stringify({ alumnos: datosAnio.estudiantes || [] }), 'utf8');
+      config.anios[anio] = { fuente: { tipo: 'json', ruta } };
+    } else {
+      const ruta = path.join(dir, `cuentas-${anio}.xlsx`);
+      await construirWorkbook(config.esquemas[anio], datosAnio.estudiantes, opciones).xlsx.writeFile(ruta);
+      config.anios[anio] = { fuente: { tipo: 'archivo', ruta } };
+    }
+  }
+}
+
+/**
+ * Ejecuta un guion de diálogo.
+ * El guion puede mover columnas de la hoja (`posiciones`: clave → letra),
+ * omitirlas (`omitirColumnas`), cambiar el nombre de la hoja (`hoja`),
+ * usar un libro JSON en vez de xlsx (`formato: 'json'`) y traer alumnos
+ * de otros años escolares (`anios`: año → { estudiantes }).
+ * `admins` es la lista de JIDs (todos superadmin) o el personal con roles
+ * (JID → { rol, nombre }), como en config/admins.json. Con
+ * `interactivos: true` el transporte acepta botones y listas.
+ * Cada paso tiene `enviar` (texto del usuario), opcionalmente `remitente`,
+ * `mensaje` (objeto de mensaje de WhatsApp; una respuesta de botón o lista
+ * sin `enviar` se procesa como la opción elegida), `esperar` (textos que deben
+ * aparecer en las respuestas del bot a ese paso) y `esperarEn` (textos que
+ * deben llegar a otros destinatarios, por JID).
+ * @param {Object} guion - Guion del diálogo.
+ * @param {Object} opciones - { verbose: boolean }
+ * @returns {Promise<Object[]>} Pasos fallidos.
+ */
+async function ejecutarDialogo(guion, { verbose = false } = {}) {
+  await prepararEntorno(guion);
+  const { procesarMensaje } = require('../controllers/conversationController');
+  const { crearTransporteMemoria } = require('../transports/memoryTransport');
+  const { esperarCola } = require('../services/broadcastService');
+  const { textoDeRespuesta } = require('../services/menuService');
+
+  const transporte = crearTransporteMemoria({ interactivos: Boolean(guion.interactivos) });
+  const fallos = [];
+
+  for (const [index, paso] of guion.pasos.entries()) {
+    const remitente = paso.remitente || guion.remitente || REMITENTE_POR_DEFECTO;
+    transporte.limpiar();
+    const texto = paso.enviar || textoDeRespuesta(paso.mensaje) || '';
+    await procesarMensaje(transporte, remitente, texto, paso.mensaje || { conversation: paso.enviar });
+    await esperarCola(); // los broadcasts se envían en segundo plano
+
+    const respuestas = transporte.textosPara(remitente).join('\n');
+    const faltantes = (paso.esperar || []).filter(texto => !respuestas.includes(texto));
+    Object.entries(paso.esperarEn || {}).forEach(([destinatario, textos]) => {
+      const recibidos = transporte.textosPara(destinatario).join('\n');
+      textos
+        .filter(texto => !recibidos.includes(texto))
+        .forEach(texto => faltantes.push(`${destinatario.split('@')[0]}: ${texto}`));
+    });
+    const ok = faltantes.length === 0;
+
+    console.log(`${ok ? '✔' : '✘'} [${index + 1}] ${remitente.split('@')[0]}: ${paso.enviar || `<${Object.keys(paso.mensaje || {}).join(', ')}>`}`);
+    if (verbose || !ok) {
+      console.log(respuestas.replace(/^/gm, '    | '));
+    }
+    if (!ok) {
+      console.log(`    Faltan: ${faltantes.map(t => JSON.stringify(t)).join(', ')}`);
+      fallos.push({ paso: index + 1, faltantes });
+    }
+  }
+
+  return fallos;
+}
+
+if (require.main === module) {
+  const archivo = process.argv[2];
+  if (!archivo) {
+    console.error('Uso: node tools/dialogRunner.js <guion.json> [--verbose]');
+    process.exit(2);
+  }
+  const guion = JSON.parse(fs.readFileSync(archivo, 'utf8'));
+  ejecutarDialogo(guion, { verbose: process.argv.includes('--verbose') })
+    .then(fallos => {
+      console.log(fallos.length === 0 ? '\nDiálogo completado.' : `\n${fallos.length} paso(s) fallido(s).`);
+      process.exit(fallos.length === 0 ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Error al ejecutar el diálogo:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ejecutarDialogo
+};
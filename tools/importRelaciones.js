@@ -0,0 +1,31 @@
+/**
+ * Importación única de los PINs de relaciones.xlsx al almacén de credenciales.
+ * Lee la primera hoja (columna 1: ID del estudiante, columna 2: PIN, fila 1
+ * de encabezados) y guarda cada PIN con sal y hash. Los estudiantes que ya
+ * tienen credencial se omiten. El bot hace lo mismo al arrancar si el
+ * almacén de credenciales está vacío (ver migrarPINs en services/pinService.js).
+ *
+ * Uso: node tools/importRelaciones.js [ruta/relaciones.xlsx]
+ */
+
+const { relacionesFilePath, credencialesFilePath } = require('../config/config');
+const { importarRelaciones } = require('../services/pinService');
+
+if (require.main === module) {
+  const archivo = process.argv[2] || relacionesFilePath;
+  importarRelaciones(archivo)
+    .then(({ importados, omitidos, invalidos }) => {
+      console.log(`PINs importados: ${importados}`);
+      console.log(`Omitidos (ya tenían credencial): ${omitidos}`);
+      console.log(`Filas inválidas: ${invalidos}`);
+      console.log(`Credenciales guardadas en: ${credencialesFilePath}`);
+    })
+    .catch(error => {
+      console.error('Error al importar relaciones:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  importarRelaciones
+};
@@ -0,0 +1,115 @@
+/**
+ * Evaluación del clasificador de intenciones del menú principal contra el
+ * corpus de frases de encargados (tools/intents/corpus.json).
+ *
+ * Por intención muestra cuántas frases se ejecutan directamente, cuántas se
+ * sugieren y cuántas caen al menú. Termina con código 1 si la precisión de
+ * ejecución queda bajo el objetivo, si alguna frase ejecuta una opción
+ * equivocada o si alguna frase sin intención ejecuta o sugiere algo.
+ *
+ * Uso: node tools/intentEval.js [corpus.json] [--verbose]
+ *
+ * test/intenciones.test.js aplica los mismos criterios en npm test.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { clasificarIntencion } = require('../services/intentService');
+
+const PRECISION_OBJETIVO = 0.9;
+
+const CORPUS = path.join(__dirname, 'intents', 'corpus.json');
+
+/**
+ * Clasifica las frases de un corpus y cuenta los resultados.
+ * @param {string} archivo - Ruta del corpus.
+ * @param {boolean} detallado - Mostrar cada frase y su clasificación.
+ * @returns {Object} { resumen, errores, precision } donde `resumen` cuenta por
+ *   intención las frases ejecutadas, sugeridas y que caen al menú, y `errores`
+ *   son las frases que ejecutan una opción equivocada o, sin intención,
+ *   ejecutan o sugieren algo.
+ */
+function medirCorpus(archivo = CORPUS, detallado = false) {
+  const { casos } = JSON.parse(fs.readFileSync(archivo, 'utf8'));
+  const resumen = {};
+  const errores = [];
+
+  casos.forEach(({ texto, intencion }) => {
+    const esperada = intencion || 'ninguna';
+    const resultado = clasificarIntencion(texto);
+    const fila = resumen[esperada] || (resumen[esperada] = { total: 0, ejecutadas: 0, sugeridas: 0, menu: 0 });
+    fila.total++;
+
+    // Una frase sin intención acierta sólo si cae al menú
+    const correcta = intencion === null
+      ? resultado.accion === 'ninguna'
+      : resultado.intencion === intencion;
+    if (intencion === null) {
+      if (correcta) {
+        fila.menu++;
+      } else {
+        errores.push({ texto, esperada, resultado });
+      }
+    } else if (correcta && resultado.accion === 'ejecutar') {
+      fila.ejecutadas++;
+    } else if (correcta && resultado.accion === 'sugerir') {
+      fila.sugeridas++;
+    } else if (resultado.accion === 'ejecutar') {
+      errores.push({ texto, esperada, resultado });
+    } else {
+      fila.menu++;
+    }
+
+    if (detallado) {
+      console.log(`${correcta ? '✓' : '✗'} "${texto}" → ${resultado.intencion || '-'} ` +
+        `(${resultado.accion}, ${resultado.confianza}) ${JSON.stringify(resultado.puntajes)}`);
+    }
+  });
+
+  let aciertos = 0;
+  let positivas = 0;
+  Object.entries(resumen)
+    .filter(([intencion]) => intencion !== 'ninguna')
+    .forEach(([, fila]) => {
+      aciertos += fila.ejecutadas;
+      positivas += fila.total;
+    });
+
+  return { resumen, errores, precision: positivas ? aciertos / positivas : 1 };
+}
+
+/**
+ * Evalúa el corpus y muestra el resumen.
+ * @param {string} archivo - Ruta del corpus.
+ * @param {boolean} detallado - Mostrar cada frase y su clasificación.
+ * @returns {boolean} true si el clasificador cumple los criterios.
+ */
+function evaluarCorpus(archivo, detallado) {
+  const { resumen, errores, precision } = medirCorpus(archivo, detallado);
+
+  console.log('\nIntención     Frases  Ejecuta  Sugiere  Menú');
+  Object.entries(resumen).forEach(([intencion, fila]) => {
+    console.log(`${intencion.padEnd(13)} ${String(fila.total).padStart(6)}  ${String(fila.ejecutadas).padStart(7)}  ` +
+      `${String(fila.sugeridas).padStart(7)}  ${String(fila.menu).padStart(4)}`);
+  });
+
+  errores.forEach(({ texto, esperada, resultado }) => {
+    console.log(`✗ "${texto}": se esperaba ${esperada}, ${resultado.accion} ${resultado.intencion} (${resultado.confianza})`);
+  });
+
+  console.log(`\nPrecisión de ejecución: ${(precision * 100).toFixed(1)}% (objetivo ${PRECISION_OBJETIVO * 100}%), ` +
+    `acciones equivocadas: ${errores.length}`);
+  return precision >= PRECISION_OBJETIVO && errores.length === 0;
+}
+
+if (require.main === module) {
+  const argumentos = process.argv.slice(2);
+  const archivo = argumentos.find(arg => !arg.startsWith('--')) || CORPUS;
+  const cumple = evaluarCorpus(archivo, argumentos.includes('--verbose'));
+  process.exit(cumple ? 0 : 1);
+}
+
+module.exports = {
+  PRECISION_OBJETIVO,
+  medirCorpus
+};
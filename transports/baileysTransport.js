@@ -0,0 +1,31 @@
+/**
+ * Transporte de mensajería sobre un socket de Baileys (WhatsApp).
+ *
+ * Todo transporte expone:
+ *   - enviarMensaje(destinatario, contenido): envía contenido con el formato de Baileys.
+ *   - descargarMedia(mensajeObj): devuelve un Buffer con la media de un mensaje recibido.
+ *   - soportaInteractivos: true si acepta mensajes de botones y listas.
+ */
+
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+
+/**
+ * Crea un transporte a partir de un socket de Baileys.
+ * @param {Object} bot - Socket creado con makeWASocket.
+ * @returns {Object} Transporte.
+ */
+function crearTransporteBaileys(bot) {
+  return {
+    soportaInteractivos: true,
+    enviarMensaje(destinatario, contenido) {
+      return bot.sendMessage(destinatario, contenido);
+    },
+    descargarMedia(mensajeObj) {
+      return downloadMediaMessage(bot, { message: mensajeObj }, 'buffer', {}, { logger: console });
+    }
+  };
+}
+
+module.exports = {
+  crearTransporteBaileys
+};
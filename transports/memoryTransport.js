@@ -0,0 +1,58 @@
+/**
+ * Transporte en memoria para pruebas locales sin sesión de WhatsApp.
+ * Guarda cada mensaje enviado en vez de transmitirlo.
+ */
+
+/**
+ * Crea un transporte en memoria.
+ * Los mensajes de media simulados pueden traer su contenido en el campo `datos`
+ * (en base64) del nodo de media, p. ej. { imageMessage: { datos: '...' } }.
+ * @param {Object} opciones - { interactivos: boolean } para aceptar botones y listas.
+ * @returns {Object} Transporte con la lista `enviados`.
+ */
+function crearTransporteMemoria({ interactivos = false } = {}) {
+  const enviados = [];
+
+  return {
+    enviados,
+    soportaInteractivos: interactivos,
+
+    async enviarMensaje(destinatario, contenido) {
+      enviados.push({ destinatario, contenido, timestamp: Date.now() });
+    },
+
+    async descargarMedia(mensajeObj) {
+      const nodo = Object.values(mensajeObj || {}).find(valor => valor && typeof valor === 'object' && 'datos' in valor);
+      return Buffer.from(nodo ? nodo.datos : '', 'base64');
+    },
+
+    /**
+     * Devuelve los textos enviados a un destinatario. De los botones y
+     * listas se incluye cada opción como "[id] título".
+     * @param {string} destinatario - JID del destinatario.
+     * @returns {string[]} Textos (o captions) enviados.
+     */
+    textosPara(destinatario) {
+      return enviados
+        .filter(e => e.destinatario === destinatario)
+        .map(({ contenido }) => {
+          const opciones = [
+            ...(contenido.buttons || []).map(b => `[${b.buttonId}] ${b.buttonText.displayText}`),
+            ...(contenido.sections || []).flatMap(s => s.rows.map(r => `[${r.rowId}] ${r.title}`))
+          ];
+          return [contenido.text || contenido.caption || '', ...opciones].join('\n');
+        });
+    },
+
+    /**
+     * Vacía la lista de mensajes enviados.
+     */
+    limpiar() {
+      enviados.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  crearTransporteMemoria
+};